@@ -0,0 +1,128 @@
+/**
+ * Assignment deadlines - due dates, reminder times and the iCalendar feed
+ */
+
+const REMINDER_LEADS_MS = [24 * 60 * 60 * 1000, 60 * 60 * 1000]; // a day before, or an hour when it's due sooner
+
+// ISO dates only - one without a time is due at the end of that day (UTC)
+export function parseDueDate(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) return null;
+  
+  // Date.parse rolls impossible dates over (Feb 30 becomes Mar 2), so check the fields first
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(field => field && Number(field));
+  const calendarDay = new Date(Date.UTC(year, month - 1, day));
+  if (calendarDay.getUTCFullYear() !== year || calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== day
+    || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  
+  const time = Date.parse(text.length === 10 ? `${text}T23:59:00Z` : text);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// The first of REMINDER_LEADS_MS that's still ahead, or null when the deadline is too close
+export function defaultRemindAt(dueAt, now = Date.now()) {
+  const due = Date.parse(dueAt);
+  const lead = REMINDER_LEADS_MS.find(ms => due - ms > now);
+  return lead === undefined ? null : new Date(due - lead).toISOString();
+}
+
+export function reminderText({ title, course, dueAt }, now) {
+  const left = Date.parse(dueAt) - now.getTime();
+  const when = left > 60000 ? `is due in ${formatTimeLeft(left)}` : 'is due now';
+  return `⏰ Reminder: **${title}**${course ? ` for ${course}` : ''} ${when} (${dueAt.slice(0, 16).replace('T', ' ')} UTC).`;
+}
+
+// "2 days", "5 hours", "1 hour and 30 minutes" - rounded down to what matters
+function formatTimeLeft(ms) {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+  
+  if (days >= 2) return plural(days, 'day');
+  if (hours >= 1) {
+    return minutes % 60 === 0 || hours >= 6
+      ? plural(hours, 'hour')
+      : `${plural(hours, 'hour')} and ${plural(minutes % 60, 'minute')}`;
+  }
+  return plural(minutes, 'minute');
+}
+
+/**
+ * iCalendar (RFC 5545) feed of the assignments - each is an event at its
+ * deadline, with an alarm at its reminder while it's still open
+ */
+export function renderAssignmentsCalendar(assignments, now) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//cf-ai-student-assistant//Assignments//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Assignments',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  
+  for (const assignment of assignments) {
+    const title = assignment.course ? `${assignment.title} (${assignment.course})` : assignment.title;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${assignment.id}@cf-ai-student-assistant`,
+      `DTSTAMP:${icsDate(now.toISOString())}`,
+      `LAST-MODIFIED:${icsDate(assignment.updatedAt)}`,
+      `DTSTART:${icsDate(assignment.dueAt)}`,
+      `SUMMARY:${icsText(assignment.status === 'done' ? `✓ ${title}` : `Due: ${title}`)}`,
+      `DESCRIPTION:${icsText(`Status: ${assignment.status.replace('_', ' ')}`)}`
+    );
+    if (assignment.course) {
+      lines.push(`CATEGORIES:${icsText(assignment.course)}`);
+    }
+    if (assignment.remindAt && assignment.status !== 'done') {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${icsText(`${title} is due soon`)}`,
+        `TRIGGER;VALUE=DATE-TIME:${icsDate(assignment.remindAt)}`,
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+  
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// 2025-03-14T23:59:00.000Z -> 20250314T235900Z
+function icsDate(iso) {
+  return iso.replace(/\.\d+Z$/, 'Z').replace(/[-:]/g, '');
+}
+
+function icsText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes continue on the next line after a space (never mid-character)
+export function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
@@ -0,0 +1,16 @@
+/**
+ * Base64 for audio sent to and from the speech models
+ */
+
+// Chunked, since spreading megabytes of audio into fromCharCode overflows the stack
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let start = 0; start < bytes.length; start += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
@@ -0,0 +1,18 @@
+/**
+ * Only our own inline script may run (pinned by hash), so even markup that
+ * slipped past the client's Markdown renderer couldn't execute anything
+ */
+export function chatPagePolicy(scriptHash, url) {
+  const socket = `${url.protocol === 'https:' ? 'wss:' : 'ws:'}//${url.host}`;
+  return [
+    "default-src 'self'",
+    `script-src 'sha256-${scriptHash}'`,
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    `connect-src 'self' ${socket}`,
+    "media-src 'self' blob:", // replies read aloud play from object URLs
+    "object-src 'none'",
+    "base-uri 'none'",
+    "frame-ancestors 'none'"
+  ].join('; ');
+}
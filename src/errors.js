@@ -0,0 +1,70 @@
+/**
+ * Error taxonomy - every failure the API reports carries one of these stable codes
+ * Clients should branch on `code`; `error` is a human-readable message
+ */
+export const ERROR_TYPES = {
+  INVALID_INPUT: { code: 'invalid_input', status: 400, message: 'Invalid request format' },
+  UNAUTHORIZED: { code: 'unauthorized', status: 401, message: 'Session expired. Please reload the page.' },
+  NOT_FOUND: { code: 'not_found', status: 404, message: 'Not found' },
+  PAYLOAD_TOO_LARGE: { code: 'payload_too_large', status: 413, message: 'That upload is too large' },
+  CONTENT_BLOCKED: { code: 'content_blocked', status: 422, message: "Sorry, I can't help with that." },
+  RATE_LIMITED: { code: 'rate_limited', status: 429, message: "You're sending messages too quickly. Please wait a moment." },
+  QUOTA_EXHAUSTED: {
+    code: 'quota_exhausted',
+    status: 429,
+    message: 'Daily AI usage limit reached. Please try again tomorrow or consider the student plan for higher limits.'
+  },
+  INTERNAL: { code: 'internal', status: 500, message: 'Sorry, I encountered an error. Please try again.' },
+  NOT_CONFIGURED: { code: 'not_configured', status: 503, message: "The assistant isn't set up correctly. Please tell the site admin." },
+  MODEL_TIMEOUT: { code: 'model_timeout', status: 504, message: 'Request timed out. Please try again.' }
+};
+
+export class ChatError extends Error {
+  /**
+   * @param type - one of ERROR_TYPES
+   * @param message - overrides the type's default message
+   * @param details - extra fields for the response body (e.g. retryAfter)
+   */
+  constructor(type, message, details = {}) {
+    super(message || type.message);
+    this.name = 'ChatError';
+    this.code = type.code;
+    this.status = type.status;
+    this.details = details;
+    // Worth trying the model again? Set by toChatError for AI failures
+    this.retryable = false;
+  }
+
+  toJSON() {
+    return { success: false, code: this.code, error: this.message, ...this.details };
+  }
+}
+
+/**
+ * Classifies anything thrown (usually by a model call) into a ChatError
+ */
+export function toChatError(error) {
+  if (error instanceof ChatError) return error;
+
+  const message = (error && error.message) || '';
+  let chatError;
+  if (/quota|daily free allocation|neurons/i.test(message)) {
+    chatError = new ChatError(ERROR_TYPES.QUOTA_EXHAUSTED);
+  } else if (/timeout|timed out/i.test(message)) {
+    chatError = new ChatError(ERROR_TYPES.MODEL_TIMEOUT);
+    chatError.retryable = true;
+  } else if (/invalid input|validation/i.test(message)) {
+    chatError = new ChatError(ERROR_TYPES.INVALID_INPUT, 'The model rejected this input. Try rephrasing or shortening it.');
+  } else {
+    // Capacity errors, network blips, 5xx from the AI gateway - usually transient
+    chatError = new ChatError(ERROR_TYPES.INTERNAL);
+    chatError.retryable = true;
+  }
+  chatError.cause = error;
+  return chatError;
+}
+
+export function errorResponse(error, headers = {}) {
+  const chatError = toChatError(error);
+  return Response.json(chatError.toJSON(), { status: chatError.status, headers });
+}
@@ -4,783 +4,7669 @@
  * Author: Parag Dharadhar
  */
 
-// TODO: Maybe add rate limiting per user session in the future
-// FIXME: Consider optimizing conversation history storage for large conversations
+import { ERROR_TYPES, ChatError, toChatError, errorResponse } from './errors.js';
+import { getModelProvider, createStubEmbedder, normalizeVector } from './providers.js';
+import { TOOL_DEFINITIONS, runTool, WEEKDAYS } from './tools.js';
+import { parseDueDate, defaultRemindAt, reminderText, renderAssignmentsCalendar } from './assignments.js';
+import { scheduleReview } from './spaced-repetition.js';
+import { getRateLimitConfig, takeToken, rateLimitHeaders, rateLimitError } from './rate-limit.js';
+import { bytesToBase64, base64ToBytes } from './base64.js';
+import { readBodyWithin } from './request-body.js';
+import { chatPagePolicy } from './content-security.js';
+
+// Durable Object classes have to be exported from the entry module
+export { RateLimiter } from './rate-limit.js';
+
+// Models can be overridden with the CHAT_MODEL / FALLBACK_MODEL vars
+const DEFAULT_CHAT_MODEL = '@cf/meta/llama-3.3-70b-instruct-fp8-fast';
+const DEFAULT_FALLBACK_MODEL = '@cf/meta/llama-3.1-8b-instruct-fast';
+const AI_MAX_ATTEMPTS = 3; // per model, for transient failures
+const AI_RETRY_BASE_DELAY_MS = 250;
+const AI_TIMEOUT_MS = 30000; // time allowed for the model to start answering
+const MAX_MESSAGE_LENGTH = 16000;
+const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+const MAX_TITLE_LENGTH = 100;
+const HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const DEFAULT_FLASHCARD_COUNT = 10;
+const MAX_FLASHCARD_COUNT = 30;
+const FLASHCARD_SOURCE_TOKENS = 4000; // most transcript sent when making cards from a conversation
+const MAX_TOPIC_LENGTH = 200;
+const DEFAULT_QUIZ_QUESTIONS = 5;
+const MAX_QUIZ_QUESTIONS = 10;
+const MAX_ANSWER_LENGTH = 2000;
+// Course notes (retrieval) - the embedding model can be overridden with EMBEDDING_MODEL
+const DEFAULT_EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+const EMBEDDING_BATCH_SIZE = 50; // chunks per embedding call
+const CHUNK_SIZE = 1200; // characters (~300 tokens)
+const CHUNK_OVERLAP = 200;
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_DOCUMENT_CHARS = 300000;
+const MAX_DOCUMENT_NAME_LENGTH = 200;
+const NOTES_TOP_K = 4; // chunks added to the prompt per question
+// Tool calling (see TOOLS in tools.js) - rounds of model -> tools before the model must answer
+const MAX_TOOL_ROUNDS = 3;
+const MAX_TOOL_CALLS = 4; // per round
+const TOOL_ROUND_MAX_TOKENS = 256; // streamed turns only read tool calls from those rounds - see runWithTools
+const ASSIGNMENT_STATUSES = ['todo', 'in_progress', 'done'];
+const MAX_COURSE_LENGTH = 100;
+const MAX_EXTRACTED_ASSIGNMENTS = 5; // per message
+const ASSIGNMENT_HINT = /\b(due|deadlines?|remind|submit|hand(?:ed|ing)? in)\b/i; // worth asking the model to extract
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const MAX_IMPORT_MESSAGES = 5000;
+// Voice - models can be overridden with the TRANSCRIBE_MODEL / SPEECH_MODEL vars
+const DEFAULT_TRANSCRIBE_MODEL = '@cf/openai/whisper-large-v3-turbo';
+const DEFAULT_SPEECH_MODEL = '@cf/myshell-ai/melotts';
+const MAX_AUDIO_BYTES = 5 * 1024 * 1024;
+const MAX_RECORDING_MS = 2 * 60 * 1000; // the mic stops itself after this, well under MAX_AUDIO_BYTES
+const MAX_SPEECH_CHARS = 2000; // longer replies are read up to the last sentence that fits
+// Health checks - the AI probe only runs when HEALTH_CHECK_AI is "true"
+const HEALTH_OBJECT_NAME = 'health-check'; // dedicated ChatMemory instance, never a session
+const HEALTH_CACHE_MS = 15000; // reports are reused this long per isolate
+const HEALTH_AI_CACHE_MS = 60000; // and the AI probe this long, across all isolates
+const HEALTH_PROBE_TIMEOUT_MS = 5000;
+const HEALTH_SLOW_MS = { durableObjects: 1000, memory: 500, ai: 5000 }; // slower counts as degraded
+// Prompt size (system prompt + summary + recent turns + new message), in estimated
+// tokens - override with the CONTEXT_TOKEN_BUDGET var
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 6000;
+const SUMMARY_MAX_TOKENS = 400;
+const SUMMARY_KEEP_RECENT_TOKENS = 1500; // newest turns stay verbatim when older ones are summarized
+const SUMMARY_BATCH_TOKENS = 6000; // most turns folded into the summary in one model call
+// Daily allowance per session, counting every model call - override with the
+// USAGE_DAILY_TOKEN_LIMIT / USAGE_DAILY_REQUEST_LIMIT vars (0 turns a limit off)
+const DEFAULT_USAGE_DAILY_TOKEN_LIMIT = 100000;
+const DEFAULT_USAGE_DAILY_REQUEST_LIMIT = 300;
+const USAGE_HISTORY_DAYS = 30;
+const MAX_USAGE_HISTORY_DAYS = 365;
+
+// Data retention
+const DEFAULT_RETENTION_DAYS = 90; // a session idle this long is erased (RETENTION_DAYS=0 keeps it forever)
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 60 * 1000; // last activity is saved at most this often
+const ERASED_KEY = 'erasedAt'; // the one key an erased session keeps, so its token stays refused
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tutoring personas - each conversation picks one (PATCH /api/conversations/:id
+ * or the selector in the page header), which sets the system prompt and sampling
+ */
+const PERSONAS = {
+  assistant: {
+    name: 'General assistant',
+    description: 'Friendly, concise help with anything',
+    prompt: 'You are a helpful AI assistant built on Cloudflare Workers AI. You are knowledgeable, friendly, and concise in your responses. Help users with their questions and tasks. Format your responses with proper line breaks and structure for readability.',
+    temperature: 0.7,
+    maxTokens: 500
+  },
+  socratic: {
+    name: 'Socratic tutor',
+    description: 'Guides you with questions instead of giving answers',
+    prompt: 'You are a patient Socratic tutor. Never give the final answer or a complete solution, even if asked directly. Instead, find out what the student already knows, ask one guiding question at a time, point out mistakes by asking about them, and give small hints when the student is stuck. Praise progress and let the student reach the answer themselves. Keep each reply short.',
+    temperature: 0.6,
+    maxTokens: 300
+  },
+  explainer: {
+    name: 'Concise explainer',
+    description: 'Short, plain-language explanations',
+    prompt: 'You explain concepts to students as clearly and briefly as possible. Start with a one-sentence answer, then add at most three short bullet points or a tiny example if they help. Use plain language, define any jargon, and skip preamble and filler.',
+    temperature: 0.3,
+    maxTokens: 250
+  },
+  examiner: {
+    name: 'Exam reviewer',
+    description: 'Drills you with exam-style questions and feedback',
+    prompt: 'You are an exam reviewer helping a student prepare for a test. Ask exam-style questions on the topic the student gives, one at a time, mixing recall, application and short problems. After each answer, say whether it is correct, explain what a full-marks answer would include, and note common mistakes. Keep track of weak spots and return to them.',
+    temperature: 0.5,
+    maxTokens: 600
+  },
+  coder: {
+    name: 'Code mentor',
+    description: 'Reviews and explains code, nudges towards good practice',
+    prompt: 'You are an experienced programming mentor for students. Explain code and errors step by step, show short focused code examples in fenced code blocks with the language named, and point out bugs, edge cases and style issues. For homework-style tasks, help the student write the solution themselves rather than handing over complete programs.',
+    temperature: 0.4,
+    maxTokens: 800
+  }
+};
+const DEFAULT_PERSONA = 'assistant';
+
+/**
+ * Content moderation (MODERATION_ENABLED=true) - Llama Guard checks each student
+ * message before the model sees it and each reply before it's stored. Every hazard
+ * category it can flag has an action, overridable with the MODERATION_ACTIONS var:
+ *   block  - refuse the turn with a content_blocked error (nothing is saved)
+ *   redact - replace contact details, or the whole text if there are none
+ *   warn   - let it through with a note on the message
+ *   allow  - ignore the flag
+ * The strictest action among the flagged categories wins; unknown ones use `default`
+ */
+const DEFAULT_MODERATION_MODEL = '@cf/meta/llama-guard-3-8b';
+const MODERATION_ACTION_ORDER = ['allow', 'warn', 'redact', 'block']; // least to most strict
+const MODERATION_CATEGORIES = {
+  S1: 'violent crimes',
+  S2: 'non-violent crimes',
+  S3: 'sex-related crimes',
+  S4: 'child sexual exploitation',
+  S5: 'defamation',
+  S6: 'specialized advice',
+  S7: 'privacy',
+  S8: 'intellectual property',
+  S9: 'indiscriminate weapons',
+  S10: 'hate',
+  S11: 'suicide and self-harm',
+  S12: 'sexual content',
+  S13: 'elections',
+  S14: 'code interpreter abuse'
+};
+const DEFAULT_MODERATION_ACTIONS = {
+  S1: 'block', S2: 'block', S3: 'block', S4: 'block', S5: 'warn', S6: 'warn', S7: 'redact',
+  S8: 'warn', S9: 'block', S10: 'block', S11: 'block', S12: 'block', S13: 'warn', S14: 'block',
+  default: 'block'
+};
+const REDACTED_TEXT = '[removed by moderation]';
+
+/**
+ * Frame types for the /api/ws channel - shared with the browser client
+ * Client sends send/edit/regenerate/switch/clear/history, server answers with
+ * token/ack/history/error
+ * (every reply echoes the client's frame id so requests can be matched up)
+ * The server also pushes reminder frames, with no id, when an assignment reminder fires
+ */
+const FRAME_TYPES = {
+  SEND: 'send',
+  EDIT: 'edit', // resend an earlier user message with new text - starts a branch
+  REGENERATE: 'regenerate', // another reply to an earlier user message
+  SWITCH: 'switch', // open a different branch
+  CLEAR: 'clear',
+  HISTORY: 'history',
+  TOKEN: 'token', // streamed piece of a reply, sent before the final ack
+  ACK: 'ack',
+  ERROR: 'error',
+  REMINDER: 'reminder' // pushed to every open socket by the reminder alarm
+};
+
+/**
+ * Runs a chat model with a timeout, retrying transient failures with exponential
+ * backoff and moving on to the fallback model if the primary keeps failing
+ * Resolves with { model, result } so callers know which model answered
+ */
+async function runChatModel(env, input) {
+  const primary = env.CHAT_MODEL || DEFAULT_CHAT_MODEL;
+  const fallback = env.FALLBACK_MODEL || DEFAULT_FALLBACK_MODEL;
+  const models = fallback && fallback !== primary ? [primary, fallback] : [primary];
+  let lastError;
+
+  for (const model of models) {
+    for (let attempt = 1; attempt <= AI_MAX_ATTEMPTS; attempt++) {
+      try {
+        const result = await withTimeout(getModelProvider(env).run(model, input), AI_TIMEOUT_MS);
+        return { model, result };
+      } catch (error) {
+        lastError = toChatError(error);
+        console.error(`Model ${model} failed (attempt ${attempt}/${AI_MAX_ATTEMPTS}):`, error);
+        if (!lastError.retryable) throw lastError;
+
+        if (attempt < AI_MAX_ATTEMPTS) {
+          // 250ms, 500ms, ... plus jitter so parallel retries don't line up
+          const delay = AI_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+          await new Promise(resolve => setTimeout(resolve, delay + Math.random() * delay));
+        }
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new ChatError(ERROR_TYPES.MODEL_TIMEOUT)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Embedders turn text into unit-length vectors for searching uploaded notes:
+ *   { model, minSimilarity, embed(texts) } - embed resolves to one vector per text
+ * minSimilarity is the cosine score below which a chunk isn't worth adding to the
+ * prompt, which depends on the model. EMBEDDING_PROVIDER=stub swaps in a
+ * deterministic local embedder (no AI calls) for tests and offline development -
+ * it's also the default when AI_PROVIDER=stub
+ */
+function createEmbedder(env) {
+  const provider = env.EMBEDDING_PROVIDER || (env.AI_PROVIDER === 'stub' ? 'stub' : 'workers-ai');
+  return provider === 'stub' ? createStubEmbedder() : createWorkersAIEmbedder(env);
+}
+
+function createWorkersAIEmbedder(env) {
+  const model = env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+  return {
+    model,
+    minSimilarity: 0.5,
+    async embed(texts) {
+      const vectors = [];
+      for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+        const result = await withTimeout(
+          getModelProvider(env).run(model, { text: texts.slice(start, start + EMBEDDING_BATCH_SIZE) }),
+          AI_TIMEOUT_MS
+        );
+        vectors.push(...result.data.map(normalizeVector));
+      }
+      return vectors;
+    }
+  };
+}
+
+/**
+ * SQLite schema for ChatMemory, applied in order on first access
+ * Append new steps to the end - never edit one that has shipped
+ */
+const SCHEMA_MIGRATIONS = [
+  // v1 - one row per message instead of a rewritten array
+  `CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    title_generated INTEGER NOT NULL DEFAULT 0,
+    archived INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    metadata TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages (conversation_id, id);`,
+
+  // v2 - per-message token estimates and a rolling summary of older turns
+  // (summary_through is the id of the last message folded into the summary)
+  `ALTER TABLE messages ADD COLUMN token_estimate INTEGER NOT NULL DEFAULT 0;
+  UPDATE messages SET token_estimate = (length(content) + 3) / 4 + 4;
+  ALTER TABLE conversations ADD COLUMN summary TEXT;
+  ALTER TABLE conversations ADD COLUMN summary_through INTEGER NOT NULL DEFAULT 0;`,
+
+  // v3 - tutoring persona per conversation (see PERSONAS)
+  `ALTER TABLE conversations ADD COLUMN persona TEXT NOT NULL DEFAULT 'assistant';`,
+
+  // v4 - flashcard decks with SM-2 scheduling state per card
+  `CREATE TABLE IF NOT EXISTS decks (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    conversation_id TEXT,
+    topic TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS cards (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    deck_id TEXT NOT NULL,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    ease REAL NOT NULL DEFAULT 2.5,
+    interval_days INTEGER NOT NULL DEFAULT 0,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    due_at TEXT NOT NULL,
+    last_reviewed_at TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_cards_deck_due ON cards (deck_id, due_at);`,
+
+  // v5 - quizzes; answer keys stay here and are only revealed once a question is answered
+  `CREATE TABLE IF NOT EXISTS quizzes (
+    id TEXT PRIMARY KEY,
+    topic TEXT NOT NULL,
+    score REAL NOT NULL DEFAULT 0,
+    max_score INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS quiz_questions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    quiz_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    question TEXT NOT NULL,
+    choices TEXT,
+    answer TEXT NOT NULL,
+    explanation TEXT NOT NULL,
+    submitted TEXT,
+    points REAL,
+    feedback TEXT,
+    answered_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz ON quiz_questions (quiz_id, id);`,
+
+  // v6 - uploaded course notes, split into chunks with one embedding (Float32 blob) each
+  `CREATE TABLE IF NOT EXISTS documents (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    embedding_model TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS document_chunks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    embedding BLOB NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_document_chunks_document ON document_chunks (document_id, position);`,
+
+  // v7 - branching; every message points at the one it follows, and each
+  // conversation remembers the last message of the branch that's open
+  `ALTER TABLE messages ADD COLUMN parent_id INTEGER;
+  UPDATE messages SET parent_id = (
+    SELECT MAX(earlier.id) FROM messages AS earlier
+    WHERE earlier.conversation_id = messages.conversation_id AND earlier.id < messages.id
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages (parent_id);
+  ALTER TABLE conversations ADD COLUMN active_leaf INTEGER;
+  UPDATE conversations SET active_leaf = (
+    SELECT MAX(id) FROM messages WHERE messages.conversation_id = conversations.id
+  );`,
+
+  // v8 - model usage per UTC day (estimated_requests counts calls whose token
+  // counts were estimated because the model didn't report them)
+  `CREATE TABLE IF NOT EXISTS usage_daily (
+    day TEXT PRIMARY KEY,
+    requests INTEGER NOT NULL DEFAULT 0,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    estimated_requests INTEGER NOT NULL DEFAULT 0
+  );`,
+
+  // v9 - exchanges Llama Guard flagged, kept for review (reply_content is null
+  // when the student's message was flagged before the model answered)
+  `CREATE TABLE IF NOT EXISTS moderation_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL,
+    stage TEXT NOT NULL,
+    action TEXT NOT NULL,
+    categories TEXT NOT NULL,
+    user_content TEXT NOT NULL,
+    reply_content TEXT,
+    created_at TEXT NOT NULL
+  );`,
+
+  // v10 - assignments and deadlines; remind_at is when the alarm should post a
+  // reminder (null for none), reminded_at when it did
+  `CREATE TABLE IF NOT EXISTS assignments (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    course TEXT,
+    due_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'todo',
+    remind_at TEXT,
+    reminded_at TEXT,
+    conversation_id TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_assignments_due ON assignments (due_at);`
+];
+
+/**
+ * Walks parent links from one message back towards the first - the branch that
+ * message is on. Prefix a query with it and filter on "id IN branch"; ids only
+ * grow along a branch, so ORDER BY id is chronological
+ * Takes three parameters: the message to start from, an id the walk stops above
+ * (0 for the whole branch) and the most ids to visit (-1 for no limit). Bound
+ * the walk with them - an unbounded one reads the whole branch every time
+ */
+const BRANCH_CTE = `WITH RECURSIVE branch(id) AS (
+  SELECT ?
+  UNION ALL
+  SELECT messages.parent_id FROM messages JOIN branch ON messages.id = branch.id
+  WHERE messages.parent_id > ?
+  LIMIT ?
+)`;
+const WHOLE_BRANCH = [0, -1];
 
 /**
  * ChatMemory Durable Object - handles persistent conversation storage
- * Each instance manages chat state for a single user session
+ * Each instance manages chat state for a single user session, which can hold
+ * several named conversations (threads)
+ *
+ * Data lives in the object's SQLite database (see SCHEMA_MIGRATIONS) - appends
+ * and recent-history reads touch only the rows they need
  */
 export class ChatMemory {
   constructor(state, env) {
     this.state = state;
     this.env = env;
-    // Could add more initialization here later
+    this.sql = state.storage.sql;
+    this.summarizing = new Set(); // conversation ids with a summary update in flight
+    this.embedder = createEmbedder(env);
+    // Answer keep-alive pings without waking a hibernating object
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+    this.lastActiveAt = null; // see recordActivity
+    this.schemaReady = false;
+    this.erasedAt = null; // set for good once the session is erased - see eraseSession
+    // Bring the schema (and any pre-SQL data) up to date before serving anything
+    this.state.blockConcurrencyWhile(async () => {
+      this.erasedAt = await this.state.storage.get(ERASED_KEY) || null;
+      if (!this.erasedAt) await this.ensureSchema();
+    });
+  }
+
+  /**
+   * Runs the schema steps this object hasn't had yet. Each step commits together
+   * with its version bump, so one that fails rolls back whole and is retried on
+   * the next access instead of re-running the steps before it
+   */
+  async migrateStorage() {
+    const version = await this.state.storage.get('schemaVersion') || 0;
+
+    for (let step = version; step < SCHEMA_MIGRATIONS.length; step++) {
+      this.state.storage.transactionSync(() => {
+        this.sql.exec(SCHEMA_MIGRATIONS[step]);
+        // Pre-SQL data needs the finished schema
+        if (step === SCHEMA_MIGRATIONS.length - 1) {
+          this.importKeyValueMessages();
+        }
+        this.state.storage.kv.put('schemaVersion', step + 1);
+      });
+    }
+  }
+
+  /**
+   * Earlier versions kept conversations as key-value arrays - either one 'messages'
+   * array (before threads) or a 'conversations' index plus 'messages:<id>' arrays
+   * Copies them into SQL rows once and deletes the old keys - call it inside a
+   * transaction so both happen or neither does
+   */
+  importKeyValueMessages() {
+    const legacyMessages = this.state.storage.kv.get('messages');
+    const conversations = this.state.storage.kv.get('conversations') || [];
+    const threads = [];
+
+    if (legacyMessages && legacyMessages.length > 0) {
+      const firstUserMessage = legacyMessages.find(msg => msg.role === 'user');
+      threads.push({
+        conversation: {
+          id: crypto.randomUUID(),
+          title: firstUserMessage ? fallbackTitle(firstUserMessage.content) : DEFAULT_CONVERSATION_TITLE,
+          titleGenerated: true,
+          archived: false,
+          createdAt: legacyMessages[0].timestamp,
+          updatedAt: legacyMessages[legacyMessages.length - 1].timestamp
+        },
+        messages: legacyMessages
+      });
+    }
+    for (const conversation of conversations) {
+      threads.push({
+        conversation,
+        messages: this.state.storage.kv.get(`messages:${conversation.id}`) || []
+      });
+    }
+
+    for (const { conversation, messages } of threads) {
+      this.sql.exec(
+        `INSERT OR IGNORE INTO conversations (id, title, title_generated, archived, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        conversation.id, conversation.title, conversation.titleGenerated ? 1 : 0,
+        conversation.archived ? 1 : 0, conversation.createdAt, conversation.updatedAt
+      );
+      for (const msg of messages) {
+        this.insertMessage(conversation.id, msg.role, msg.content, msg.timestamp);
+      }
+    }
+
+    for (const key of ['messages', 'conversations', ...conversations.map(conversation => `messages:${conversation.id}`)]) {
+      this.state.storage.kv.delete(key);
+    }
+  }
+
+  /**
+   * Writes a value to storage and reads it back, plus a one-token model call when
+   * includeAI is set. The AI result is kept for HEALTH_AI_CACHE_MS, and since every
+   * isolate asks this same instance, polling can't run up AI usage
+   */
+  async runHealthProbe(includeAI) {
+    const started = Date.now();
+    const memory = await timeProbe(async () => {
+      const token = crypto.randomUUID();
+      await this.state.storage.put('healthProbe', token);
+      if (await this.state.storage.get('healthProbe') !== token) {
+        throw new Error('Storage returned a different value than was written');
+      }
+    }, HEALTH_SLOW_MS.memory);
+    
+    let ai = { status: 'unchecked' };
+    try {
+      getModelProvider(this.env);
+    } catch (error) {
+      // A missing binding is reported even when the model itself isn't called
+      ai = { status: 'down', error: error.message };
+    }
+    if (includeAI && ai.status !== 'down') {
+      if (!this.aiHealth || this.aiHealth.expires <= Date.now()) {
+        const probe = timeProbe(() => getModelProvider(this.env).run(this.env.CHAT_MODEL || DEFAULT_CHAT_MODEL, {
+          messages: [{ role: 'user', content: 'Reply with OK' }],
+          max_tokens: 1
+        }), HEALTH_SLOW_MS.ai);
+        this.aiHealth = { probe, expires: Date.now() + HEALTH_AI_CACHE_MS };
+      }
+      ai = await this.aiHealth.probe;
+    }
+    
+    return { memory, ai, elapsedMs: Date.now() - started };
   }
 
   async fetch(request) {
     const url = new URL(request.url);
     
+    // Health probe - only ever asked of the dedicated health instance (see checkHealth)
+    if (url.pathname === '/health') {
+      return Response.json(await this.runHealthProbe(url.searchParams.get('ai') === '1'));
+    }
+    
+    // An erased session stays closed - its old cookie (or feed link) opens nothing
+    if (this.erasedAt) {
+      if (url.searchParams.has('feed')) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Calendar not found'));
+      }
+      if (url.pathname === '/moderation') {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND));
+      }
+      return errorResponse(new ChatError(ERROR_TYPES.UNAUTHORIZED, 'This session was deleted. Reload the page to start a new one.'));
+    }
+    
+    // Anything else is the student using the session, which restarts the retention
+    // window - except calendar apps polling the feed and reviewers reading the log
+    await this.ensureSchema();
+    if (!url.searchParams.has('feed') && url.pathname !== '/moderation') {
+      await this.recordActivity();
+    }
+    
+    // What the session holds and when it expires, or erase all of it (right to delete)
+    if (url.pathname === '/session') {
+      if (request.method === 'GET') {
+        const expiresAt = await this.getRetentionExpiry();
+        const { rows } = await this.describeStoredData();
+        return Response.json({
+          success: true,
+          retentionDays: getRetentionDays(this.env),
+          lastActiveAt: new Date(this.lastActiveAt).toISOString(),
+          expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+          stored: rows
+        });
+      }
+      if (request.method === 'DELETE') {
+        return Response.json({ success: true, receipt: await this.eraseSession('request') });
+      }
+      return new Response('Method not allowed', { status: 405 });
+    }
+    
+    // WebSocket upgrade - uses the hibernation API so idle sockets don't keep us in memory
+    if (url.pathname === '/ws') {
+      if (request.headers.get('Upgrade') !== 'websocket') {
+        return new Response('Expected WebSocket upgrade', { status: 426 });
+      }
+      
+      const { 0: client, 1: server } = new WebSocketPair();
+      this.state.acceptWebSocket(server);
+      
+      return new Response(null, { status: 101, webSocket: client });
+    }
+    
+    // Conversation index - list/create/rename/archive/delete threads
+    if (url.pathname === '/conversations' || url.pathname.startsWith('/conversations/')) {
+      return this.handleConversationRequest(request, url);
+    }
+    
+    // Flashcard decks - generate, list, review
+    if (url.pathname === '/decks' || url.pathname.startsWith('/decks/')) {
+      return this.handleDeckRequest(request, url);
+    }
+    
+    // Uploaded course notes - list, upload, delete
+    if (url.pathname === '/documents' || url.pathname.startsWith('/documents/')) {
+      return this.handleDocumentRequest(request, url);
+    }
+    
+    // Assignment tracker - list, add, update, delete; reminders are posted by alarm()
+    if (url.pathname === '/assignments.ics' && request.method === 'GET') {
+      return this.exportAssignmentsCalendar();
+    }
+    if (url.pathname === '/assignments' || url.pathname.startsWith('/assignments/')) {
+      return this.handleAssignmentRequest(request, url);
+    }
+    
+    // Quiz score history and single quizzes (started and answered through /chat)
+    if ((url.pathname === '/quizzes' || url.pathname.startsWith('/quizzes/')) && request.method === 'GET') {
+      const quizId = url.pathname.split('/')[2];
+      if (!quizId) {
+        return Response.json({ topics: this.getQuizHistory() });
+      }
+      const quiz = this.getQuiz(quizId);
+      if (!quiz) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Quiz not found'));
+      }
+      return Response.json({ quiz });
+    }
+    
     // Handle POST requests for chat operations
     if (url.pathname === '/chat' && request.method === 'POST') {
+      let body;
       try {
-        const { message, action } = await request.json();
-        
-        if (action === 'clear') {
-          return await this.clearConversation();
-        } else if (message) {
-          return await this.processMessage(message);
-        } else {
-          return Response.json({ error: 'Message required' }, { status: 400 });
-        }
+        body = await request.json();
       } catch (error) {
         console.error('Error parsing request:', error);
-        return Response.json({ 
-          error: 'Invalid request format' 
-        }, { status: 400 });
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT));
+      }
+      
+      const { action, conversationId } = body;
+      
+      if (action === 'clear') {
+        return await this.clearConversation(conversationId);
+      }
+      if (action === 'quiz') {
+        return await this.startQuiz(body);
+      }
+      if (action === 'answer') {
+        return await this.answerQuizQuestion(body);
+      }
+      if (action === FRAME_TYPES.SWITCH) {
+        try {
+          return Response.json({ success: true, ...this.switchBranch(body) });
+        } catch (error) {
+          return errorResponse(error);
+        }
+      }
+      
+      // A new message, or an edit/regeneration that branches off an earlier one
+      let turn;
+      try {
+        const kind = action === FRAME_TYPES.EDIT || action === FRAME_TYPES.REGENERATE ? action : FRAME_TYPES.SEND;
+        turn = this.resolveTurn(kind, body);
+      } catch (error) {
+        return errorResponse(error);
+      }
+      
+      // Every message costs a model call - charge it to this session's bucket
+      const quota = await this.consumeMessageQuota();
+      if (!quota.allowed) {
+        return errorResponse(rateLimitError(quota), rateLimitHeaders(quota));
+      }
+      
+      if (url.searchParams.get('stream') === '1') {
+        return await this.processMessageStream(turn, rateLimitHeaders(quota));
+      }
+      return await this.processMessage(turn, rateLimitHeaders(quota));
+    }
+    
+    // Full transcript download - ?conversation=<id>&format=md|json|txt
+    if (url.pathname === '/export' && request.method === 'GET') {
+      return this.exportConversation(url.searchParams.get('conversation'), url.searchParams.get('format') || 'md');
+    }
+    
+    // Today's and past model usage against the daily allowance
+    if (url.pathname === '/usage' && request.method === 'GET') {
+      const days = Number(url.searchParams.get('days') || USAGE_HISTORY_DAYS);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_USAGE_HISTORY_DAYS) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, `days must be between 1 and ${MAX_USAGE_HISTORY_DAYS}`));
+      }
+      return Response.json({ success: true, ...this.getUsage(days) });
+    }
+    
+    // Flagged exchanges from content moderation - reviewers only (see reviewModerationLog)
+    if (url.pathname === '/moderation' && request.method === 'GET') {
+      const limit = Number(url.searchParams.get('limit') || HISTORY_PAGE_SIZE);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, `limit must be between 1 and ${MAX_HISTORY_PAGE_SIZE}`));
       }
+      return Response.json({ success: true, entries: this.getModerationLog(limit) });
+    }
+    
+    // Restore a JSON export as a new conversation
+    if (url.pathname === '/import' && request.method === 'POST') {
+      return this.importConversation(request);
     }
     
-    // GET request for conversation history
+    // Voice - dictation from the mic button, and replies read aloud
+    if (url.pathname === '/transcribe' && request.method === 'POST') {
+      return this.transcribeAudio(request);
+    }
+    if (url.pathname === '/speak' && request.method === 'POST') {
+      return this.speakReply(request);
+    }
+    
+    // GET request for conversation history - one page at a time (?before= / ?after= / ?limit=)
     if (url.pathname === '/history' && request.method === 'GET') {
-      try {
-        const messages = await this.state.storage.get('messages') || [];
-        // Only return last 10 messages to keep response size manageable
-        return Response.json({ messages: messages.slice(-10) });
-      } catch (error) {
-        console.error('Failed to load history:', error);
-        return Response.json({ messages: [] }); // fallback to empty array
+      const page = parseHistoryCursor(Object.fromEntries(url.searchParams));
+      if (page.error) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, page.error));
       }
+      
+      const conversation = this.getConversation(url.searchParams.get('conversation'));
+      return Response.json({
+        conversation,
+        ...(conversation ? this.getMessagePage(conversation.id, page) : { messages: [], nextCursor: null })
+      });
     }
 
     return new Response('Not found', { status: 404 });
   }
 
-  async processMessage(userMessage) {
-    try {
-      // Load existing conversation from storage
-      let conversationHistory = await this.state.storage.get('messages') || [];
+  async handleConversationRequest(request, url) {
+    const conversationId = url.pathname.split('/')[2];
+    
+    if (!conversationId && request.method === 'GET') {
+      return Response.json({ conversations: this.listConversations() });
+    }
+    
+    let body = {};
+    if (request.method === 'POST' || request.method === 'PATCH') {
+      try {
+        body = await request.json();
+      } catch (error) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT));
+      }
       
-      // Add the user's message to our conversation log
-      const userMsgObj = {
-        role: 'user',
-        content: userMessage,
-        timestamp: new Date().toISOString()
-      };
-      conversationHistory.push(userMsgObj);
-
-      // Prepare messages for AI - include system prompt + recent context
-      const messagesToSend = [
-        {
-          role: 'system',
-          content: 'You are a helpful AI assistant built on Cloudflare Workers AI. You are knowledgeable, friendly, and concise in your responses. Help users with their questions and tasks. Format your responses with proper line breaks and structure for readability.'
-        },
-        // Include last 8 messages for context (to manage token usage)
-        ...conversationHistory.slice(-8).map(msg => ({
-          role: msg.role,
-          content: msg.content
-        }))
-      ];
+      if (body.title !== undefined && (typeof body.title !== 'string' || !body.title.trim())) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Title must be a non-empty string'));
+      }
+      if (body.persona !== undefined && !Object.hasOwn(PERSONAS, body.persona)) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Unknown persona'));
+      }
+    }
+    
+    if (!conversationId && request.method === 'POST') {
+      const conversation = this.createConversation(body.title, body.persona);
+      return Response.json({ success: true, conversation }, { status: 201 });
+    }
+    
+    if (conversationId && request.method === 'PATCH') {
+      const changes = {};
+      if (body.title !== undefined) {
+        changes.title = body.title.trim().slice(0, MAX_TITLE_LENGTH);
+        changes.titleGenerated = true; // a user-chosen title is never replaced
+      }
+      if (body.archived !== undefined) {
+        changes.archived = Boolean(body.archived);
+      }
+      if (body.persona !== undefined) {
+        changes.persona = body.persona;
+      }
+      
+      const conversation = this.updateConversation(conversationId, changes);
+      if (!conversation) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found'));
+      }
+      return Response.json({ success: true, conversation });
+    }
+    
+    if (conversationId && request.method === 'DELETE') {
+      const deleted = this.deleteConversation(conversationId);
+      if (!deleted) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found'));
+      }
+      return Response.json({ success: true });
+    }
+    
+    return new Response('Method not allowed', { status: 405 });
+  }
 
-      // Call Cloudflare Workers AI - using the free Llama 3.3 model
-      const aiResponse = await this.env.AI.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', {
-        messages: messagesToSend,
-        max_tokens: 500,  // Keep responses concise
-        temperature: 0.7  // Bit of creativity but not too random
-      });
+  // --- Conversation index ---
 
-      // Create response object and add to history
-      const assistantMsgObj = {
-        role: 'assistant',
-        content: aiResponse.response,
-        timestamp: new Date().toISOString()
-      };
+  listConversations() {
+    // Most recently active first
+    return this.sql.exec('SELECT * FROM conversations ORDER BY updated_at DESC').toArray().map(toConversation);
+  }
 
-      conversationHistory.push(assistantMsgObj);
-      
-      // Save the updated conversation back to storage
-      await this.state.storage.put('messages', conversationHistory);
+  getConversation(conversationId) {
+    if (!conversationId) return null;
+    const rows = this.sql.exec('SELECT * FROM conversations WHERE id = ?', conversationId).toArray();
+    return rows.length > 0 ? toConversation(rows[0]) : null;
+  }
 
-      // Return success response
-      return Response.json({
-        success: true,
-        response: aiResponse.response,
-        timestamp: assistantMsgObj.timestamp
-      });
+  /**
+   * Finds the conversation a chat request is for - with no ID, continue the latest
+   * active thread (or start one) so older clients keep working
+   */
+  resolveConversation(conversationId) {
+    if (conversationId) {
+      return this.getConversation(conversationId);
+    }
+    const rows = this.sql.exec('SELECT * FROM conversations WHERE archived = 0 ORDER BY updated_at DESC LIMIT 1').toArray();
+    return rows.length > 0 ? toConversation(rows[0]) : this.createConversation();
+  }
 
-    } catch (error) {
-      console.error('AI processing error:', error);
-      
-      // Handle different error types
-      let errorMessage = 'Sorry, I encountered an error. Please try again.';
-      
-      if (error.message && error.message.includes('quota')) {
-        errorMessage = 'Daily AI usage limit reached. Please try again tomorrow or consider the student plan for higher limits.';
-      } else if (error.message && error.message.includes('timeout')) {
-        errorMessage = 'Request timed out. Please try again.';
+  /**
+   * Works out where a chat turn goes in the conversation's message tree
+   * - send { message }: after the last message of the open branch
+   * - edit { messageId, message }: next to an earlier user message, starting a new
+   *   branch from there (the original stays on its own branch)
+   * - regenerate { messageId }: another reply to a user message (or to the user
+   *   message behind the given reply)
+   * Returns { conversation, userMessage, branch } for generateReply - throws ChatError
+   */
+  resolveTurn(kind, { conversationId, messageId, message }) {
+    if (kind !== FRAME_TYPES.REGENERATE) {
+      const invalid = validateMessage(message);
+      if (invalid) throw invalid;
+    }
+    
+    if (kind === FRAME_TYPES.SEND) {
+      const conversation = this.resolveConversation(conversationId);
+      if (!conversation) {
+        throw new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found');
       }
-      
-      return Response.json({
-        success: false,
-        error: errorMessage
-      }, { status: 500 });
+      return { conversation, userMessage: message, branch: {} };
+    }
+    
+    const conversation = this.getConversation(conversationId);
+    if (!conversation) {
+      throw new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found');
+    }
+    let target = this.getMessage(conversation.id, messageId);
+    if (!target) {
+      throw new ChatError(ERROR_TYPES.NOT_FOUND, 'Message not found');
+    }
+    
+    if (kind === FRAME_TYPES.EDIT) {
+      if (target.role !== 'user') {
+        throw new ChatError(ERROR_TYPES.INVALID_INPUT, 'Only your own messages can be edited');
+      }
+      return { conversation, userMessage: message, branch: { parentId: target.parentId } };
     }
+    
+    if (target.role === 'assistant') {
+      target = this.getMessage(conversation.id, target.parentId);
+      if (!target || target.role !== 'user') {
+        throw new ChatError(ERROR_TYPES.INVALID_INPUT, 'That reply has no question to answer again');
+      }
+    }
+    return {
+      conversation,
+      userMessage: target.content,
+      branch: { parentId: target.parentId, userMessageId: target.id }
+    };
   }
 
-  async clearConversation() {
-    try {
-      // Reset conversation history
-      await this.state.storage.put('messages', []);
-      
-      return Response.json({
-        success: true,
-        message: 'Conversation history cleared!'
-      });
-    } catch (error) {
-      console.error('Error clearing conversation:', error);
-      return Response.json({
-        success: false,
-        error: 'Failed to clear conversation'
-      }, { status: 500 });
+  /**
+   * Opens the branch a message is on - the newest message below it becomes the
+   * conversation's active leaf. Returns { conversation } or throws ChatError
+   */
+  switchBranch({ conversationId, messageId }) {
+    const conversation = this.getConversation(conversationId);
+    if (!conversation) {
+      throw new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found');
+    }
+    const target = this.getMessage(conversation.id, messageId);
+    if (!target) {
+      throw new ChatError(ERROR_TYPES.NOT_FOUND, 'Message not found');
     }
+    
+    // Replies always come after what they answer, so the highest id is a leaf
+    const { leaf } = this.sql.exec(
+      `WITH RECURSIVE below(id) AS (
+         SELECT ?
+         UNION ALL
+         SELECT messages.id FROM messages JOIN below ON messages.parent_id = below.id
+       )
+       SELECT MAX(id) AS leaf FROM below`,
+      target.id
+    ).one();
+    this.setActiveLeaf(conversation.id, leaf);
+    return { conversation };
   }
-}
 
-/**
- * Main Worker - handles routing and serves the chat interface
- */
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
+  getActiveLeaf(conversationId) {
+    const rows = this.sql.exec('SELECT active_leaf FROM conversations WHERE id = ?', conversationId).toArray();
+    return rows.length > 0 ? rows[0].active_leaf : null;
+  }
 
-    // Serve the main chat page
-    if (url.pathname === '/' || url.pathname === '/index.html') {
-      return new Response(getChatHTML(), {
-        headers: { 
-          'Content-Type': 'text/html',
-          'Cache-Control': 'public, max-age=3600' // Cache for 1 hour
-        }
-      });
+  /**
+   * Moves the conversation to another branch; a summary of turns that aren't on
+   * it would leak the old branch into prompts, so it's dropped and rebuilt
+   */
+  setActiveLeaf(conversationId, leafId) {
+    const { summary_through: summaryThrough } = this.sql.exec(
+      'SELECT summary_through FROM conversations WHERE id = ?', conversationId
+    ).one();
+    if (summaryThrough > 0 && !this.isOnBranch(summaryThrough, leafId)) {
+      this.sql.exec(
+        'UPDATE conversations SET active_leaf = ?, summary = NULL, summary_through = 0 WHERE id = ?',
+        leafId, conversationId
+      );
+    } else {
+      this.sql.exec('UPDATE conversations SET active_leaf = ? WHERE id = ?', leafId, conversationId);
     }
+  }
 
-    // Route API requests to the appropriate Durable Object
-    if (url.pathname === '/api/chat' || url.pathname === '/api/history') {
-      // Extract session ID from query params, default to 'default' if none provided
-      const sessionId = url.searchParams.get('session') || 'default';
-      
-      // Get the Durable Object instance for this session
-      const durableObjectId = env.CHAT_MEMORY.idFromName(sessionId);
-      const durableObject = env.CHAT_MEMORY.get(durableObjectId);
-      
-      // Forward the request to the Durable Object with the correct path
-      const newUrl = new URL(request.url);
-      newUrl.pathname = url.pathname === '/api/chat' ? '/chat' : '/history';
-      
-      const forwardedRequest = new Request(newUrl.toString(), {
-        method: request.method,
-        headers: request.headers,
-        body: request.body
-      });
-      
-      return durableObject.fetch(forwardedRequest);
-    }
+  // Is messageId on the branch that ends at leafId?
+  isOnBranch(messageId, leafId) {
+    if (leafId === null) return false;
+    // Ancestors have smaller ids, so the walk can stop once it passes messageId
+    return this.sql.exec(
+      `${BRANCH_CTE} SELECT 1 FROM branch WHERE id = ?`, leafId, messageId - 1, -1, messageId
+    ).toArray().length > 0;
+  }
 
-    // Simple health check endpoint
-    if (url.pathname === '/api/health') {
-      return Response.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        service: 'Cloudflare AI Assistant',
-        components: {
-          ai: 'operational',
-          durableObjects: 'operational',
-          memory: 'operational'
-        }
-      });
-    }
+  createConversation(title, persona = DEFAULT_PERSONA) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: crypto.randomUUID(),
+      title: title ? title.trim().slice(0, MAX_TITLE_LENGTH) : DEFAULT_CONVERSATION_TITLE,
+      titleGenerated: Boolean(title), // untitled threads get a model-written title after the first reply
+      archived: false,
+      persona,
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    this.sql.exec(
+      `INSERT INTO conversations (id, title, title_generated, archived, persona, created_at, updated_at)
+       VALUES (?, ?, ?, 0, ?, ?, ?)`,
+      conversation.id, conversation.title, conversation.titleGenerated ? 1 : 0, persona, now, now
+    );
+    return conversation;
+  }
 
-    // 404 for everything else
-    return new Response('Not Found', { 
-      status: 404,
-      headers: { 'Content-Type': 'text/plain' }
+  updateConversation(conversationId, changes) {
+    const columns = {
+      title: 'title',
+      titleGenerated: 'title_generated',
+      archived: 'archived',
+      persona: 'persona',
+      updatedAt: 'updated_at'
+    };
+    const fields = Object.keys(changes).filter(field => columns[field]);
+    
+    if (fields.length > 0) {
+      const assignments = fields.map(field => `${columns[field]} = ?`).join(', ');
+      const values = fields.map(field => typeof changes[field] === 'boolean' ? Number(changes[field]) : changes[field]);
+      this.sql.exec(`UPDATE conversations SET ${assignments} WHERE id = ?`, ...values, conversationId);
+    }
+    return this.getConversation(conversationId);
+  }
+
+  deleteConversation(conversationId) {
+    return this.state.storage.transactionSync(() => {
+      this.sql.exec('DELETE FROM messages WHERE conversation_id = ?', conversationId);
+      return this.sql.exec('DELETE FROM conversations WHERE id = ?', conversationId).rowsWritten > 0;
     });
   }
-};
 
-/**
- * Returns the HTML for our chat interface
- * Kept inline to avoid extra file management - could be externalized later
- */
-function getChatHTML() {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>CF AI Assistant</title>
-    <meta name="description" content="AI-powered assistant built on Cloudflare Workers AI">
-    <style>
-        /* Apple Liquid Glass Design System (iOS 26 / WWDC 2025) */
+  // --- Messages ---
+
+  getMessage(conversationId, messageId) {
+    if (!Number.isInteger(messageId)) return null;
+    const rows = this.sql.exec(
+      'SELECT * FROM messages WHERE id = ? AND conversation_id = ?', messageId, conversationId
+    ).toArray();
+    return rows.length > 0 ? toMessage(rows[0]) : null;
+  }
+
+  /**
+   * Appends a message to the open branch, or under parentId (null for a new
+   * first message) when editing or regenerating - either way it becomes the
+   * end of the open branch
+   */
+  insertMessage(conversationId, role, content, timestamp, metadata = null, parentId = undefined) {
+    const activeLeaf = this.getActiveLeaf(conversationId);
+    const parent = parentId === undefined ? activeLeaf : parentId;
+    const row = this.sql.exec(
+      `INSERT INTO messages (conversation_id, parent_id, role, content, created_at, updated_at, metadata, token_estimate)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      conversationId, parent, role, content, timestamp, timestamp, metadata ? JSON.stringify(metadata) : null,
+      estimateTokens(content)
+    ).one();
+    
+    if (parent === activeLeaf) {
+      this.sql.exec('UPDATE conversations SET active_leaf = ? WHERE id = ?', row.id, conversationId);
+    } else {
+      this.setActiveLeaf(conversationId, row.id);
+    }
+    return toMessage(row);
+  }
+
+  // Every message in the conversation, on all branches, oldest first
+  getAllMessages(conversationId) {
+    return this.sql.exec('SELECT * FROM messages WHERE conversation_id = ? ORDER BY id', conversationId)
+      .toArray().map(toMessage);
+  }
+
+  // Messages on the open branch, oldest first
+  getBranchMessages(conversationId) {
+    return this.sql.exec(
+      `${BRANCH_CTE} SELECT * FROM messages WHERE id IN branch ORDER BY id`,
+      this.getActiveLeaf(conversationId), ...WHOLE_BRANCH
+    ).toArray().map(toMessage);
+  }
+
+  clearMessages(conversationId) {
+    this.state.storage.transactionSync(() => {
+      this.sql.exec('DELETE FROM messages WHERE conversation_id = ?', conversationId);
+      this.sql.exec(
+        'UPDATE conversations SET summary = NULL, summary_through = 0, active_leaf = NULL WHERE id = ?', conversationId
+      );
+    });
+  }
+
+  /**
+   * Hibernation API handler - called for every frame a connected client sends
+   */
+  async webSocketMessage(ws, rawMessage) {
+    // Sockets are closed when the session is erased, but a frame can still be in
+    // flight - it mustn't bring the session's storage back
+    if (this.erasedAt) {
+      try {
+        ws.close(1000, 'Session data deleted');
+      } catch (error) {
+        // Already closed
+      }
+      return;
+    }
+    
+    await this.ensureSchema();
+    await this.recordActivity();
+    
+    // The client can go away mid-reply - the reply is still saved, there's just
+    // no one left to send it to
+    const send = (payload) => {
+      try {
+        ws.send(JSON.stringify(payload));
+      } catch (error) {
+        // Socket closed
+      }
+    };
+    
+    let frame;
+    try {
+      frame = JSON.parse(rawMessage);
+    } catch (error) {
+      const invalid = new ChatError(ERROR_TYPES.INVALID_INPUT, 'Invalid frame format');
+      send({ type: FRAME_TYPES.ERROR, ...invalid.toJSON() });
+      return;
+    }
+
+    const { id, type, conversationId } = frame;
+    const reply = (payload) => send({ id, ...payload });
+    const replyError = (error) => reply({ type: FRAME_TYPES.ERROR, ...toChatError(error).toJSON() });
+
+    if (type === FRAME_TYPES.SEND || type === FRAME_TYPES.EDIT || type === FRAME_TYPES.REGENERATE) {
+      let turn;
+      try {
+        turn = this.resolveTurn(type, frame);
+      } catch (error) {
+        replyError(error);
+        return;
+      }
+      const quota = await this.consumeMessageQuota();
+      if (!quota.allowed) {
+        replyError(rateLimitError(quota));
+        return;
+      }
+      try {
+        const result = await this.generateReply(turn.conversation, turn.userMessage, (token) => {
+          reply({ type: FRAME_TYPES.TOKEN, token });
+        }, turn.branch);
+        reply({ type: FRAME_TYPES.ACK, success: true, ...result });
+      } catch (error) {
+        console.error('AI processing error:', error);
+        replyError(error);
+      }
+    } else if (type === FRAME_TYPES.SWITCH) {
+      try {
+        reply({ type: FRAME_TYPES.ACK, success: true, ...this.switchBranch(frame) });
+      } catch (error) {
+        replyError(error);
+      }
+    } else if (type === FRAME_TYPES.CLEAR) {
+      if (!this.getConversation(conversationId)) {
+        replyError(new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found'));
+        return;
+      }
+      try {
+        this.clearMessages(conversationId);
+        reply({ type: FRAME_TYPES.ACK, success: true, message: 'Conversation history cleared!' });
+      } catch (error) {
+        console.error('Error clearing conversation:', error);
+        replyError(new ChatError(ERROR_TYPES.INTERNAL, 'Failed to clear conversation'));
+      }
+    } else if (type === FRAME_TYPES.HISTORY) {
+      const page = parseHistoryCursor(frame);
+      if (page.error) {
+        replyError(new ChatError(ERROR_TYPES.INVALID_INPUT, page.error));
+        return;
+      }
+      const conversation = this.getConversation(conversationId);
+      reply({
+        type: FRAME_TYPES.HISTORY,
+        conversation,
+        ...(conversation ? this.getMessagePage(conversation.id, page) : { messages: [], nextCursor: null })
+      });
+    } else {
+      replyError(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Unknown frame type'));
+    }
+  }
+
+  async webSocketClose(ws, code, reason) {
+    try {
+      ws.close(code, reason);
+    } catch (error) {
+      // Socket already closed on the other side - nothing to do
+    }
+  }
+
+  async webSocketError(ws, error) {
+    console.error('WebSocket error:', error);
+  }
+
+  /**
+   * One page of the open branch in chronological order, keyed on message id
+   * - before: older messages (scrolling up); nextCursor continues further back
+   * - after: newer messages (catching up); nextCursor continues forward
+   * - neither: the latest page
+   * nextCursor is null once there is nothing more in that direction
+   * Messages with alternatives (edits, regenerated replies) list them in siblingIds
+   * Each page only walks as far as it returns: back from the cursor (or the leaf)
+   * for older pages, back from the leaf to the cursor for newer ones
+   */
+  getMessagePage(conversationId, { before = null, after = null, limit = HISTORY_PAGE_SIZE }) {
+    // Fetch one extra row to know whether another page exists
+    let rows;
+    if (after !== null) {
+      rows = this.sql.exec(
+        `${BRANCH_CTE} SELECT * FROM messages WHERE id IN branch AND id > ? ORDER BY id ASC LIMIT ?`,
+        this.getActiveLeaf(conversationId), after, -1, after, limit + 1
+      ).toArray();
+    } else if (before !== null) {
+      // The cursor came from an earlier page of this branch - continue from it
+      rows = this.sql.exec(
+        `${BRANCH_CTE} SELECT * FROM messages
+         WHERE id IN branch AND id < ? AND conversation_id = ? ORDER BY id DESC`,
+        before, 0, limit + 2, before, conversationId
+      ).toArray();
+    } else {
+      rows = this.sql.exec(
+        `${BRANCH_CTE} SELECT * FROM messages WHERE id IN branch ORDER BY id DESC`,
+        this.getActiveLeaf(conversationId), 0, limit + 1
+      ).toArray();
+    }
+
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    if (after === null) pageRows.reverse();
+
+    // Fork points on this page - parents with more than one child
+    const forks = new Map();
+    const parentIds = [...new Set(pageRows.map(row => row.parent_id).filter(id => id !== null))];
+    const forkRows = this.sql.exec(
+      `SELECT parent_id, group_concat(id) AS ids FROM messages
+       WHERE parent_id IN (SELECT value FROM json_each(?)) GROUP BY parent_id HAVING COUNT(*) > 1`,
+      JSON.stringify(parentIds)
+    ).toArray();
+    if (pageRows.some(row => row.parent_id === null)) {
+      // First messages have no parent - an edit of one is a sibling with none either
+      forkRows.push(...this.sql.exec(
+        `SELECT NULL AS parent_id, group_concat(id) AS ids FROM messages
+         WHERE conversation_id = ? AND parent_id IS NULL HAVING COUNT(*) > 1`,
+        conversationId
+      ).toArray());
+    }
+    for (const row of forkRows) {
+      forks.set(row.parent_id, row.ids.split(',').map(Number).sort((a, b) => a - b));
+    }
+
+    const messages = pageRows.map(row => {
+      const message = toMessage(row);
+      return forks.has(message.parentId) ? { ...message, siblingIds: forks.get(message.parentId) } : message;
+    });
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = after !== null ? messages[messages.length - 1].id : messages[0].id;
+    }
+    return { messages, nextCursor };
+  }
+
+  /**
+   * Takes one token from this session's message bucket (persisted so limits
+   * survive the object being evicted)
+   */
+  async consumeMessageQuota() {
+    const limit = getRateLimitConfig(this.env, 'SESSION');
+    const bucket = await this.state.storage.get('rateLimitBucket');
+    const result = takeToken(bucket, limit, Date.now());
+    await this.state.storage.put('rateLimitBucket', result.bucket);
+    return result;
+  }
+
+  /**
+   * runChatModel for this session - refuses once today's allowance is used up,
+   * then adds the call to today's usage. Streams are counted by the caller once
+   * they've been read (see generateReply)
+   */
+  async runModel(input) {
+    this.checkUsageAllowance();
+    const { model, result } = await runChatModel(this.env, input);
+    const usage = input.stream ? null : this.recordUsage(measureUsage(input.messages, result.response, result.usage));
+    return { model, result, usage };
+  }
+
+  checkUsageAllowance() {
+    const { remaining, resetAt } = this.getUsage(1);
+    if (remaining.tokens === 0 || remaining.requests === 0) {
+      throw new ChatError(
+        ERROR_TYPES.QUOTA_EXHAUSTED,
+        "You've used today's AI allowance for this session. It resets at midnight UTC.",
+        { resetAt }
+      );
+    }
+  }
+
+  /**
+   * Runs Llama Guard over the student's message (stage 'input') or the model's reply
+   * to it ('output'). Resolves with null when moderation is off or nothing was
+   * flagged, otherwise { action, categories } plus the redacted `content` for
+   * redact. Throws content_blocked for block, and like any model call if the check
+   * itself fails - nothing goes through unchecked
+   */
+  async moderate(conversationId, stage, userMessage, reply = null) {
+    const config = getModerationConfig(this.env);
+    if (!config.enabled) return null;
+    
+    this.checkUsageAllowance();
+    const messages = [{ role: 'user', content: userMessage }];
+    if (stage === 'output') {
+      messages.push({ role: 'assistant', content: reply });
+    }
+    let result;
+    try {
+      result = await withTimeout(getModelProvider(this.env).run(config.model, { messages }), AI_TIMEOUT_MS);
+    } catch (error) {
+      console.error(`Moderation (${stage}) failed:`, error);
+      throw toChatError(error);
+    }
+    this.recordUsage(measureUsage(messages, result.response, result.usage));
+    
+    const verdict = parseModerationVerdict(result.response);
+    if (verdict.safe) return null;
+    
+    const action = verdict.categories
+      .map(category => config.actions[category] || config.actions.default)
+      .reduce((strictest, next) => (
+        MODERATION_ACTION_ORDER.indexOf(next) > MODERATION_ACTION_ORDER.indexOf(strictest) ? next : strictest
+      ), verdict.categories.length > 0 ? 'allow' : config.actions.default);
+    this.sql.exec(
+      `INSERT INTO moderation_log (conversation_id, stage, action, categories, user_content, reply_content, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      conversationId, stage, action, JSON.stringify(verdict.categories), userMessage, reply, new Date().toISOString()
+    );
+    // Tells reviewers where to look, without any of the text
+    console.warn(`Moderation ${action} (${stage}, ${verdict.categories.join(',') || 'no category'}) - review at /api/moderation/${this.state.id}`);
+    
+    if (action === 'allow') return null;
+    if (action === 'block') {
+      const flagged = describeCategories(verdict.categories);
+      let message = stage === 'input'
+        ? `This message can't be sent because it was flagged for ${flagged}. Try rephrasing it.`
+        : `The reply was withheld because it was flagged for ${flagged}.`;
+      if (verdict.categories.includes('S11')) {
+        message += ' If you are going through a hard time, please talk to someone you trust or contact a local helpline.';
+      }
+      throw new ChatError(ERROR_TYPES.CONTENT_BLOCKED, message, { stage, categories: verdict.categories });
+    }
+    
+    const moderation = { action, categories: verdict.categories };
+    if (action === 'redact') {
+      moderation.content = redactText(stage === 'input' ? userMessage : reply);
+    }
+    return moderation;
+  }
+
+  /**
+   * Flagged exchanges for review, newest first
+   */
+  getModerationLog(limit) {
+    return this.sql.exec('SELECT * FROM moderation_log ORDER BY id DESC LIMIT ?', limit)
+      .toArray()
+      .map(toModerationEntry);
+  }
+
+  recordUsage(usage) {
+    this.sql.exec(
+      `INSERT INTO usage_daily (day, requests, prompt_tokens, completion_tokens, estimated_requests)
+       VALUES (?, 1, ?, ?, ?)
+       ON CONFLICT (day) DO UPDATE SET
+         requests = requests + 1,
+         prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+         completion_tokens = completion_tokens + excluded.completion_tokens,
+         estimated_requests = estimated_requests + excluded.estimated_requests`,
+      utcDay(), usage.promptTokens, usage.completionTokens, usage.estimated ? 1 : 0
+    );
+    return usage;
+  }
+
+  /**
+   * Today's totals, the last `days` days (newest first, days without calls left out)
+   * and what's left of today's allowance - null limits and remaining mean unlimited
+   */
+  getUsage(days) {
+    const now = new Date();
+    const since = new Date(now.getTime() - (days - 1) * 86400000);
+    const history = this.sql.exec(
+      'SELECT * FROM usage_daily WHERE day >= ? ORDER BY day DESC', utcDay(since)
+    ).toArray().map(toUsageDay);
+    const today = history.find(day => day.day === utcDay(now))
+      || toUsageDay({ day: utcDay(now), requests: 0, prompt_tokens: 0, completion_tokens: 0, estimated_requests: 0 });
+    
+    const limits = getUsageLimits(this.env);
+    const tomorrow = new Date(now);
+    tomorrow.setUTCHours(24, 0, 0, 0);
+    return {
+      today,
+      limits,
+      remaining: {
+        tokens: limits.tokens === null ? null : Math.max(limits.tokens - today.totalTokens, 0),
+        requests: limits.requests === null ? null : Math.max(limits.requests - today.requests, 0)
+      },
+      resetAt: tomorrow.toISOString(),
+      history
+    };
+  }
+
+  /**
+   * Builds the model's messages within the token budget: the persona's system
+   * prompt (with the rolling summary appended), as many recent unsummarized turns
+   * as fit, and the new message
+   * The turns come from the open branch, or from the one ending at parentId when
+   * the new message goes somewhere else (edits and regenerations)
+   */
+  buildContext(conversationId, persona, userMessage, notes = [], parentId = undefined) {
+    const row = this.sql.exec(
+      'SELECT summary, summary_through, active_leaf FROM conversations WHERE id = ?', conversationId
+    ).one();
+    const tipId = parentId === undefined ? row.active_leaf : parentId;
+    
+    // The summary only applies if what it covers is on this branch
+    let { summary, summary_through: summaryThrough } = row;
+    if (summaryThrough > 0 && !this.isOnBranch(summaryThrough, tipId)) {
+      summary = null;
+      summaryThrough = 0;
+    }
+
+    let systemPrompt = persona.prompt;
+    if (summary) {
+      systemPrompt += `\n\nSummary of the earlier conversation:\n${summary}`;
+    }
+    if (notes.length > 0) {
+      systemPrompt += '\n\nExcerpts from the student\'s own course notes that may be relevant. Prefer them over general knowledge when they answer the question, and cite them by number like [1]:\n\n'
+        + notes.map((note, index) => `[${index + 1}] ${note.name} (part ${note.position + 1}):\n${note.content}`).join('\n\n');
+    }
+
+    // Walk back from the newest turn until the budget runs out
+    let remaining = getContextTokenBudget(this.env) - estimateTokens(systemPrompt) - estimateTokens(userMessage);
+    const history = [];
+    const turns = this.sql.exec(
+      `${BRANCH_CTE} SELECT role, content, token_estimate FROM messages WHERE id IN branch AND id > ? ORDER BY id DESC`,
+      tipId, summaryThrough, maxMessagesWithin(remaining), summaryThrough
+    );
+    for (const turn of turns) {
+      if (turn.token_estimate > remaining) break;
+      remaining -= turn.token_estimate;
+      history.unshift({ role: turn.role, content: turn.content });
+    }
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...history,
+      { role: 'user', content: userMessage }
+    ];
+  }
+
+  /**
+   * Folds older turns into the conversation's rolling summary once the
+   * unsummarized history passes half the context budget
+   * Runs after a reply is saved; on failure the turns just stay unsummarized
+   */
+  async updateSummary(conversationId) {
+    if (this.summarizing.has(conversationId)) return;
+    this.summarizing.add(conversationId);
+
+    try {
+      const { summary, summary_through: summaryThrough, active_leaf: leafId } = this.sql.exec(
+        'SELECT summary, summary_through, active_leaf FROM conversations WHERE id = ?', conversationId
+      ).one();
+      const rows = this.sql.exec(
+        `${BRANCH_CTE} SELECT id, role, content, token_estimate FROM messages WHERE id IN branch AND id > ? ORDER BY id ASC`,
+        leafId, summaryThrough, -1, summaryThrough
+      ).toArray();
+
+      const total = rows.reduce((sum, row) => sum + row.token_estimate, 0);
+      if (total <= getContextTokenBudget(this.env) / 2) return;
+
+      // Keep at least the latest exchange verbatim, plus whatever else fits
+      let keepFrom = Math.max(rows.length - 2, 0);
+      let kept = rows.slice(keepFrom).reduce((sum, row) => sum + row.token_estimate, 0);
+      while (keepFrom > 0 && kept + rows[keepFrom - 1].token_estimate <= SUMMARY_KEEP_RECENT_TOKENS) {
+        keepFrom--;
+        kept += rows[keepFrom].token_estimate;
+      }
+
+      // Fold the oldest turns first, a bounded batch per call
+      const batch = [];
+      let batchTokens = 0;
+      for (const row of rows.slice(0, keepFrom)) {
+        if (batch.length > 0 && batchTokens + row.token_estimate > SUMMARY_BATCH_TOKENS) break;
+        batch.push(row);
+        batchTokens += row.token_estimate;
+      }
+      if (batch.length === 0) return;
+
+      const transcript = batch
+        .map(row => `${row.role === 'user' ? 'Student' : 'Assistant'}: ${row.content}`)
+        .join('\n\n');
+      const { result } = await this.runModel({
+        messages: [
+          {
+            role: 'system',
+            content: 'You maintain a running summary of a study conversation between a student and an AI assistant. Merge the new messages into the current summary. Keep the topics covered, key facts, definitions and answers, the student\'s goals and anything they said about themselves. Write plain prose under 250 words. Reply with the updated summary only.'
+          },
+          {
+            role: 'user',
+            content: `Current summary:\n${summary || '(none yet)'}\n\nNew messages:\n${transcript}`
+          }
+        ],
+        max_tokens: SUMMARY_MAX_TOKENS,
+        temperature: 0.2
+      });
+
+      const updated = (result.response || '').trim();
+      if (!updated) return;
+      // Skip the write if the thread was cleared, summarized or moved to another branch meanwhile
+      if (!this.isOnBranch(batch[batch.length - 1].id, this.getActiveLeaf(conversationId))) return;
+      this.sql.exec(
+        'UPDATE conversations SET summary = ?, summary_through = ? WHERE id = ? AND summary_through = ?',
+        updated, batch[batch.length - 1].id, conversationId, summaryThrough
+      );
+    } catch (error) {
+      console.error('Summary update failed:', error);
+    } finally {
+      this.summarizing.delete(conversationId);
+    }
+  }
+
+  async processMessage({ conversation, userMessage, branch }, headers = {}) {
+    try {
+      const result = await this.generateReply(conversation, userMessage, null, branch);
+
+      // Return success response
+      return Response.json({ success: true, ...result }, { headers });
+
+    } catch (error) {
+      console.error('AI processing error:', error);
+      return errorResponse(error, headers);
+    }
+  }
+
+  /**
+   * Streams the reply as Server-Sent Events (token events, then done or error)
+   * Failures before the first token (quota, timeout...) get a normal JSON error
+   * with the right status; after that they arrive as an error event
+   * The model is read to the end and the reply saved even if the client goes away
+   */
+  async processMessageStream({ conversation, userMessage, branch }, headers = {}) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    let clientConnected = true;
+
+    const sendEvent = (payload) => {
+      if (!clientConnected) return;
+      writer.write(encoder.encode(`data: ${JSON.stringify(payload)}\n\n`)).catch(() => {
+        clientConnected = false; // client disconnected - keep generating anyway
+      });
+    };
+
+    let markStarted;
+    const started = new Promise(resolve => { markStarted = resolve; });
+    const work = this.generateReply(conversation, userMessage, (token) => {
+      markStarted();
+      sendEvent({ type: 'token', token });
+    }, branch);
+
+    try {
+      await Promise.race([started, work]);
+    } catch (error) {
+      console.error('AI streaming error:', error);
+      writer.close().catch(() => {});
+      return errorResponse(error, headers);
+    }
+
+    const finished = work
+      .then(
+        (result) => sendEvent({ type: 'done', success: true, ...result }),
+        (error) => {
+          console.error('AI streaming error:', error);
+          sendEvent({ type: 'error', ...toChatError(error).toJSON() });
+        }
+      )
+      .finally(() => writer.close().catch(() => {}));
+    this.state.waitUntil(finished);
+
+    return new Response(readable, {
+      headers: {
+        ...headers,
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache'
+      }
+    });
+  }
+
+  /**
+   * Runs one chat turn: stores the user message, asks the model, stores the reply
+   * Shared by the HTTP and WebSocket paths - throws on AI/storage failures
+   * Pass onToken to stream the reply; the full text is still returned at the end
+   * branch (from resolveTurn) places the turn off the open branch: parentId is
+   * what the user message follows, userMessageId reuses a stored one (regenerate)
+   */
+  async generateReply(conversation, userMessage, onToken, branch = {}) {
+    // Screen the student's message first (a regenerated one was screened when sent)
+    const inputModeration = branch.userMessageId ? null : await this.moderate(conversation.id, 'input', userMessage);
+    if (inputModeration && inputModeration.content !== undefined) {
+      userMessage = inputModeration.content;
+    }
+    
+    // Summary + matching notes + recent turns within the token budget, plus the new
+    // message (saved once the model answers). Deadlines the student mentions go into
+    // the assignment tracker first, so the reply can confirm them (a regenerated
+    // message was looked at when it was sent)
+    const userTimestamp = new Date().toISOString();
+    const persona = getPersona(conversation.persona);
+    const [notes, assignments] = await Promise.all([
+      this.searchNotes(userMessage),
+      branch.userMessageId ? [] : this.extractAssignments(conversation.id, userMessage)
+    ]);
+    const messagesToSend = this.buildContext(conversation.id, persona, userMessage, notes, branch.parentId);
+    if (assignments.length > 0) {
+      messagesToSend[0].content += `\n\n${describeSavedAssignments(assignments)}`;
+    }
+    const savedAssignments = assignments.map(({ id, title, course, dueAt, remindAt }) => ({ id, title, course, dueAt, remindAt }));
+    const sources = notes.map(note => ({
+      documentId: note.documentId,
+      name: note.name,
+      part: note.position + 1,
+      score: Math.round(note.score * 1000) / 1000
+    }));
+
+    // Call Cloudflare Workers AI - Llama 3.3 by default, with retries and a fallback model
+    // With moderation on, no model output reaches the student until it's been checked,
+    // so the reply isn't streamed - it's sent in one piece once moderation passes it
+    const started = Date.now();
+    const modelOnToken = getModerationConfig(this.env).enabled ? null : onToken;
+    let model;
+    let replyText;
+    let usage;
+    const toolSteps = [];
+    if (this.env.TOOLS_ENABLED === 'true') {
+      ({ model, text: replyText, usage } = await this.runWithTools(messagesToSend, persona, toolSteps, modelOnToken));
+    } else {
+      const { result: aiResponse, ...call } = await this.runModel({
+        messages: messagesToSend,
+        max_tokens: persona.maxTokens,
+        temperature: persona.temperature,
+        stream: Boolean(modelOnToken)
+      });
+      ({ model, usage } = call);
+      if (modelOnToken) {
+        const streamed = await readAIStream(aiResponse, modelOnToken);
+        replyText = streamed.text;
+        usage = this.recordUsage(measureUsage(messagesToSend, replyText, streamed.usage));
+      } else {
+        replyText = aiResponse.response;
+      }
+    }
+    const latencyMs = Date.now() - started;
+    
+    // And the reply before it's stored or sent
+    const outputModeration = await this.moderate(conversation.id, 'output', userMessage, replyText);
+    if (outputModeration && outputModeration.content !== undefined) {
+      replyText = outputModeration.content;
+    }
+    if (onToken && !modelOnToken) {
+      onToken(replyText);
+    }
+
+    // Append both sides of the exchange as new rows (just the reply when regenerating)
+    const { userMessageId, assistantMsgObj } = this.state.storage.transactionSync(() => {
+      const userMessageId = branch.userMessageId || this.insertMessage(
+        conversation.id, 'user', userMessage, userTimestamp,
+        inputModeration ? { moderation: moderationMetadata(inputModeration) } : null, branch.parentId
+      ).id;
+      const assistantMsgObj = this.insertMessage(conversation.id, 'assistant', replyText, new Date().toISOString(), {
+        model,
+        persona: conversation.persona,
+        usage,
+        latencyMs,
+        ...(toolSteps.length > 0 ? { tools: toolSteps } : {}),
+        ...(savedAssignments.length > 0 ? { assignments: savedAssignments } : {}),
+        ...(outputModeration ? { moderation: moderationMetadata(outputModeration) } : {}),
+        ...(sources.length > 0 ? { sources } : {})
+      }, userMessageId);
+      return { userMessageId, assistantMsgObj };
+    });
+
+    // Name the thread after its first exchange, unless the user already did
+    const changes = { updatedAt: assistantMsgObj.timestamp };
+    if (!conversation.titleGenerated) {
+      changes.title = await this.generateTitle(userMessage, replyText);
+      changes.titleGenerated = true;
+    }
+    const updatedConversation = this.updateConversation(conversation.id, changes);
+
+    // Compress older turns in the background so the next prompt stays in budget
+    this.state.waitUntil(this.updateSummary(conversation.id));
+
+    return {
+      response: replyText,
+      timestamp: assistantMsgObj.timestamp,
+      messageId: assistantMsgObj.id,
+      userMessageId,
+      model,
+      usage,
+      latencyMs,
+      sources,
+      tools: toolSteps,
+      assignments: savedAssignments,
+      moderation: inputModeration || outputModeration ? { input: inputModeration, output: outputModeration } : null,
+      conversation: updatedConversation
+    };
+  }
+
+  /**
+   * Function calling - the model may call TOOLS for up to MAX_TOOL_ROUNDS rounds
+   * (MAX_TOOL_CALLS per round), seeing the results each time, and then has to answer
+   * without them. Each call goes into `steps`; usage is summed over the rounds
+   * Tool rounds can't be streamed, so with onToken they're only asked for tool calls
+   * (capped at TOOL_ROUND_MAX_TOKENS) and the answer comes from a streamed round
+   * without tools once the model stops calling them
+   */
+  async runWithTools(messages, persona, steps, onToken = null) {
+    const transcript = [...messages];
+    const usage = { promptTokens: 0, completionTokens: 0, estimated: false };
+    const addUsage = (callUsage) => {
+      usage.promptTokens += callUsage.promptTokens;
+      usage.completionTokens += callUsage.completionTokens;
+      usage.estimated = usage.estimated || callUsage.estimated;
+    };
+    
+    for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
+      const { model, result, usage: callUsage } = await this.runModel({
+        messages: transcript,
+        max_tokens: onToken ? Math.min(persona.maxTokens, TOOL_ROUND_MAX_TOKENS) : persona.maxTokens,
+        temperature: persona.temperature,
+        tools: TOOL_DEFINITIONS
+      });
+      addUsage(callUsage);
+      
+      const calls = Array.isArray(result.tool_calls) ? result.tool_calls.slice(0, MAX_TOOL_CALLS) : [];
+      if (calls.length === 0) {
+        if (onToken) break; // answered - ask again, streamed
+        return { model, text: typeof result.response === 'string' ? result.response : '', usage };
+      }
+      
+      for (const call of calls) {
+        const step = await runTool(call, { memory: this });
+        steps.push({ round, ...step });
+        transcript.push({ role: 'assistant', content: JSON.stringify({ name: step.name, arguments: step.arguments }) });
+        transcript.push({
+          role: 'tool',
+          name: step.name,
+          content: JSON.stringify(step.error !== undefined ? { error: step.error } : step.result)
+        });
+      }
+    }
+    
+    // The answer, without tools on offer
+    const { model, result, usage: callUsage } = await this.runModel({
+      messages: transcript,
+      max_tokens: persona.maxTokens,
+      temperature: persona.temperature,
+      stream: Boolean(onToken)
+    });
+    if (!onToken) {
+      addUsage(callUsage);
+      return { model, text: typeof result.response === 'string' ? result.response : '', usage };
+    }
+    const streamed = await readAIStream(result, onToken);
+    addUsage(this.recordUsage(measureUsage(transcript, streamed.text, streamed.usage)));
+    return { model, text: streamed.text, usage };
+  }
+
+  /**
+   * Asks the model for a short thread title - falls back to the start of the question
+   * when the call fails, times out or the day's allowance is used up
+   */
+  async generateTitle(userMessage, replyText) {
+    try {
+      const messages = [
+        {
+          role: 'system',
+          content: 'Write a short title (at most 6 words) for a study conversation that starts with the exchange below. Reply with the title only - no quotes and no trailing punctuation.'
+        },
+        {
+          role: 'user',
+          content: `Student: ${userMessage.slice(0, 1000)}\n\nAssistant: ${replyText.slice(0, 1000)}`
+        }
+      ];
+      const { result } = await this.runModel({ messages, max_tokens: 20, temperature: 0.3 });
+      
+      const firstLine = (result.response || '').trim().split('\n')[0];
+      const title = firstLine.trim().replace(/^["']|["'.]$/g, '');
+      return title ? title.slice(0, MAX_TITLE_LENGTH) : fallbackTitle(userMessage);
+    } catch (error) {
+      console.error('Title generation failed:', error);
+      return fallbackTitle(userMessage);
+    }
+  }
+
+  async clearConversation(conversationId) {
+    if (!this.getConversation(conversationId)) {
+      return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found'));
+    }
+    
+    try {
+      // Reset conversation history
+      this.clearMessages(conversationId);
+      
+      return Response.json({
+        success: true,
+        message: 'Conversation history cleared!'
+      });
+    } catch (error) {
+      console.error('Error clearing conversation:', error);
+      return errorResponse(new ChatError(ERROR_TYPES.INTERNAL, 'Failed to clear conversation'));
+    }
+  }
+
+  // --- Flashcards ---
+
+  /**
+   * /decks                                 GET list, POST generate a deck
+   * /decks/<id>                            GET deck with its cards, DELETE
+   * /decks/<id>/due                        GET cards due for review (?limit=)
+   * /decks/<id>/cards/<cardId>/review      POST { grade } (0-5)
+   */
+  async handleDeckRequest(request, url) {
+    const [, , deckId, section, cardId, action] = url.pathname.split('/');
+    
+    if (!deckId) {
+      if (request.method === 'GET') {
+        return Response.json({ decks: this.listDecks() });
+      }
+      if (request.method === 'POST') {
+        return this.generateDeck(request);
+      }
+      return new Response('Method not allowed', { status: 405 });
+    }
+    
+    const deck = this.getDeck(deckId);
+    if (!deck) {
+      return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Deck not found'));
+    }
+    
+    if (!section && request.method === 'GET') {
+      const cards = this.sql.exec('SELECT * FROM cards WHERE deck_id = ? ORDER BY id', deckId).toArray().map(toCard);
+      return Response.json({ deck, cards });
+    }
+    
+    if (!section && request.method === 'DELETE') {
+      this.state.storage.transactionSync(() => {
+        this.sql.exec('DELETE FROM cards WHERE deck_id = ?', deckId);
+        this.sql.exec('DELETE FROM decks WHERE id = ?', deckId);
+      });
+      return Response.json({ success: true });
+    }
+    
+    if (section === 'due' && request.method === 'GET') {
+      const limit = Number(url.searchParams.get('limit') || MAX_FLASHCARD_COUNT);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Limit must be a positive integer'));
+      }
+      const cards = this.sql.exec(
+        'SELECT * FROM cards WHERE deck_id = ? AND due_at <= ? ORDER BY due_at, id LIMIT ?',
+        deckId, new Date().toISOString(), limit
+      ).toArray().map(toCard);
+      return Response.json({ deck, cards });
+    }
+    
+    if (section === 'cards' && cardId && action === 'review' && request.method === 'POST') {
+      let body;
+      try {
+        body = await request.json();
+      } catch (error) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT));
+      }
+      if (!Number.isInteger(body.grade) || body.grade < 0 || body.grade > 5) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Grade must be an integer from 0 to 5'));
+      }
+      
+      const rows = this.sql.exec('SELECT * FROM cards WHERE id = ? AND deck_id = ?', Number(cardId), deckId).toArray();
+      if (rows.length === 0) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Card not found'));
+      }
+      
+      const next = scheduleReview(toCard(rows[0]), body.grade, new Date());
+      const card = toCard(this.sql.exec(
+        `UPDATE cards SET ease = ?, interval_days = ?, repetitions = ?, due_at = ?, last_reviewed_at = ?
+         WHERE id = ? RETURNING *`,
+        next.ease, next.intervalDays, next.repetitions, next.dueAt, next.lastReviewedAt, rows[0].id
+      ).one());
+      return Response.json({ success: true, card });
+    }
+    
+    return new Response('Not found', { status: 404 });
+  }
+
+  listDecks() {
+    const now = new Date().toISOString();
+    return this.sql.exec(
+      `SELECT decks.*, COUNT(cards.id) AS card_count,
+              COALESCE(SUM(cards.due_at <= ?), 0) AS due_count
+       FROM decks LEFT JOIN cards ON cards.deck_id = decks.id
+       GROUP BY decks.id ORDER BY decks.created_at DESC`,
+      now
+    ).toArray().map(toDeck);
+  }
+
+  getDeck(deckId) {
+    const rows = this.sql.exec(
+      `SELECT decks.*, COUNT(cards.id) AS card_count,
+              COALESCE(SUM(cards.due_at <= ?), 0) AS due_count
+       FROM decks LEFT JOIN cards ON cards.deck_id = decks.id
+       WHERE decks.id = ? GROUP BY decks.id`,
+      new Date().toISOString(), deckId
+    ).toArray();
+    return rows.length > 0 ? toDeck(rows[0]) : null;
+  }
+
+  /**
+   * POST /decks { conversationId?, fromMessageId?, toMessageId?, topic?, count?, title? }
+   * Makes cards from a range of a conversation's messages (the whole thread by
+   * default, newest first up to FLASHCARD_SOURCE_TOKENS), from a topic, or both
+   */
+  async generateDeck(request) {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT));
+    }
+    
+    const { conversationId, fromMessageId = null, toMessageId = null, count = DEFAULT_FLASHCARD_COUNT } = body;
+    const topic = typeof body.topic === 'string' ? body.topic.trim() : '';
+    if (body.topic !== undefined && typeof body.topic !== 'string') {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Topic must be a string'));
+    }
+    if (topic.length > MAX_TOPIC_LENGTH) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, `Topic is too long (max ${MAX_TOPIC_LENGTH} characters)`));
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_FLASHCARD_COUNT) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, `Count must be between 1 and ${MAX_FLASHCARD_COUNT}`));
+    }
+    if ([fromMessageId, toMessageId].some(id => id !== null && (!Number.isInteger(id) || id < 1))) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Message ids must be positive integers'));
+    }
+    if (!conversationId && !topic) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Give a topic or a conversation to make flashcards from'));
+    }
+    
+    let conversation = null;
+    let transcript = '';
+    if (conversationId) {
+      conversation = this.getConversation(conversationId);
+      if (!conversation) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found'));
+      }
+      
+      // Walk back from the end of the range, no further than its start or the budget
+      const rows = this.sql.exec(
+        `${BRANCH_CTE} SELECT role, content, token_estimate FROM messages
+         WHERE id IN branch AND id >= ? AND conversation_id = ? ORDER BY id DESC`,
+        toMessageId || this.getActiveLeaf(conversation.id), Math.max((fromMessageId || 0) - 1, 0),
+        maxMessagesWithin(FLASHCARD_SOURCE_TOKENS) + 1, fromMessageId || 0, conversation.id
+      );
+      const lines = [];
+      let remaining = FLASHCARD_SOURCE_TOKENS;
+      for (const row of rows) {
+        if (lines.length > 0 && row.token_estimate > remaining) break;
+        remaining -= row.token_estimate;
+        lines.unshift(`${row.role === 'user' ? 'Student' : 'Assistant'}: ${row.content}`);
+      }
+      if (lines.length === 0 && !topic) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'No messages in that range'));
+      }
+      transcript = lines.join('\n\n');
+    }
+    
+    // Every deck costs a model call - charge it like a chat message
+    const quota = await this.consumeMessageQuota();
+    if (!quota.allowed) {
+      return errorResponse(rateLimitError(quota), rateLimitHeaders(quota));
+    }
+    
+    try {
+      let prompt = `Make ${count} flashcards`;
+      if (topic) prompt += ` about: ${topic}`;
+      if (transcript) prompt += `\n\nBase them on this study conversation:\n\n${transcript}`;
+      
+      const { result } = await this.runModel({
+        messages: [
+          {
+            role: 'system',
+            content: 'You write study flashcards. Each card has a question on the front and a short, self-contained answer on the back. Cover the key facts, definitions and ideas, one per card, with no duplicates. Also give the deck a short title. Respond with JSON only.'
+          },
+          { role: 'user', content: prompt }
+        ],
+        response_format: { type: 'json_schema', json_schema: FLASHCARD_SCHEMA },
+        max_tokens: 2000,
+        temperature: 0.3
+      });
+      
+      const generated = parseFlashcards(result.response, count);
+      const now = new Date().toISOString();
+      const title = (typeof body.title === 'string' && body.title.trim()) || generated.title || topic || conversation.title;
+      const deck = { id: crypto.randomUUID(), title: title.slice(0, MAX_TITLE_LENGTH) };
+      
+      this.state.storage.transactionSync(() => {
+        this.sql.exec(
+          'INSERT INTO decks (id, title, conversation_id, topic, created_at) VALUES (?, ?, ?, ?, ?)',
+          deck.id, deck.title, conversation ? conversation.id : null, topic || null, now
+        );
+        for (const card of generated.cards) {
+          this.sql.exec(
+            'INSERT INTO cards (deck_id, question, answer, due_at, created_at) VALUES (?, ?, ?, ?, ?)',
+            deck.id, card.question, card.answer, now, now
+          );
+        }
+      });
+      
+      const cards = this.sql.exec('SELECT * FROM cards WHERE deck_id = ? ORDER BY id', deck.id).toArray().map(toCard);
+      return Response.json(
+        { success: true, deck: this.getDeck(deck.id), cards },
+        { status: 201, headers: rateLimitHeaders(quota) }
+      );
+    } catch (error) {
+      console.error('Flashcard generation failed:', error);
+      return errorResponse(error, rateLimitHeaders(quota));
+    }
+  }
+
+  // --- Export / import ---
+
+  exportConversation(conversationId, format) {
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Format must be md, json or txt'));
+    }
+    const conversation = this.getConversation(conversationId);
+    if (!conversation) {
+      return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found'));
+    }
+    
+    // JSON keeps every branch so an import can rebuild the tree; the others
+    // are transcripts of the open branch
+    const { contentType, render, allBranches } = EXPORT_FORMATS[format];
+    const messages = allBranches ? this.getAllMessages(conversation.id) : this.getBranchMessages(conversation.id);
+    
+    return new Response(render(conversation, messages, new Date().toISOString(), this.getActiveLeaf(conversation.id)), {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${exportFilename(conversation.title)}.${format}"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  /**
+   * Checks a JSON export (size, shape, every message) and restores it as a new
+   * conversation - original timestamps and branches are kept, ids are new, and
+   * only the metadata keys in IMPORTED_METADATA_KEYS come across
+   */
+  async importConversation(request) {
+    let buffer;
+    try {
+      buffer = await readBodyWithin(request, MAX_IMPORT_BYTES, importTooLarge);
+    } catch (error) {
+      return errorResponse(toChatError(error));
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(new TextDecoder().decode(buffer));
+    } catch (error) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Imports must be a JSON export from this app'));
+    }
+    
+    const parsed = parseConversationImport(data);
+    if (parsed.error) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, parsed.error));
+    }
+    
+    const conversation = this.state.storage.transactionSync(() => {
+      const created = this.createConversation(parsed.title, parsed.persona);
+      // The file's ids only link its messages together - map them to new ones
+      const newIds = new Map();
+      for (const msg of parsed.messages) {
+        const parentId = msg.parentId === null ? null : newIds.get(msg.parentId);
+        newIds.set(msg.id, this.insertMessage(created.id, msg.role, msg.content, msg.timestamp, msg.metadata, parentId).id);
+      }
+      if (parsed.activeLeaf !== null) {
+        this.setActiveLeaf(created.id, newIds.get(parsed.activeLeaf));
+      }
+      const lastMessage = parsed.messages[parsed.messages.length - 1];
+      return this.updateConversation(created.id, {
+        titleGenerated: true,
+        ...(lastMessage ? { updatedAt: lastMessage.timestamp } : {})
+      });
+    });
+    
+    return Response.json({ success: true, conversation, imported: parsed.messages.length }, { status: 201 });
+  }
+
+  // --- Course notes ---
+
+  /**
+   * /documents         GET list, POST upload (multipart `file`, or JSON { name, content })
+   * /documents/<id>    DELETE
+   */
+  async handleDocumentRequest(request, url) {
+    const documentId = url.pathname.split('/')[2];
+    
+    if (!documentId && request.method === 'GET') {
+      return Response.json({ documents: this.listDocuments() });
+    }
+    if (!documentId && request.method === 'POST') {
+      return this.uploadDocument(request);
+    }
+    if (documentId && request.method === 'DELETE') {
+      const deleted = this.state.storage.transactionSync(() => {
+        this.sql.exec('DELETE FROM document_chunks WHERE document_id = ?', documentId);
+        return this.sql.exec('DELETE FROM documents WHERE id = ?', documentId).rowsWritten > 0;
+      });
+      if (!deleted) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Document not found'));
+      }
+      return Response.json({ success: true });
+    }
+    
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  listDocuments() {
+    return this.sql.exec(
+      `SELECT documents.*, COUNT(document_chunks.id) AS chunk_count
+       FROM documents LEFT JOIN document_chunks ON document_chunks.document_id = documents.id
+       GROUP BY documents.id ORDER BY documents.created_at DESC`
+    ).toArray().map(toDocument);
+  }
+
+  /**
+   * Reads the upload as text (PDFs go through Workers AI's document conversion),
+   * then chunks and embeds it - one quota token per upload
+   */
+  async uploadDocument(request) {
+    let upload;
+    try {
+      upload = await readDocumentUpload(request, this.env);
+    } catch (error) {
+      return errorResponse(error);
+    }
+    
+    const chunks = chunkText(upload.text);
+    if (chunks.length === 0) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'That file has no text in it'));
+    }
+    
+    const quota = await this.consumeMessageQuota();
+    if (!quota.allowed) {
+      return errorResponse(rateLimitError(quota), rateLimitHeaders(quota));
+    }
+    
+    try {
+      const vectors = await this.embedder.embed(chunks);
+      const document = {
+        id: crypto.randomUUID(),
+        name: upload.name,
+        type: upload.type,
+        size: upload.text.length,
+        embedding_model: this.embedder.model,
+        created_at: new Date().toISOString()
+      };
+      
+      this.state.storage.transactionSync(() => {
+        this.sql.exec(
+          'INSERT INTO documents (id, name, type, size, embedding_model, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+          document.id, document.name, document.type, document.size, document.embedding_model, document.created_at
+        );
+        chunks.forEach((content, position) => {
+          this.sql.exec(
+            'INSERT INTO document_chunks (document_id, position, content, embedding) VALUES (?, ?, ?, ?)',
+            document.id, position, content, new Float32Array(vectors[position]).buffer
+          );
+        });
+      });
+      
+      return Response.json(
+        { success: true, document: toDocument({ ...document, chunk_count: chunks.length }) },
+        { status: 201, headers: rateLimitHeaders(quota) }
+      );
+    } catch (error) {
+      console.error('Document upload failed:', error);
+      return errorResponse(error, rateLimitHeaders(quota));
+    }
+  }
+
+  /**
+   * The note chunks closest to the question (cosine similarity), best first
+   * Notes are optional context - a failed search is logged and answered without them
+   */
+  async searchNotes(query) {
+    const { model, minSimilarity } = this.embedder;
+    const { count } = this.sql.exec('SELECT COUNT(*) AS count FROM documents WHERE embedding_model = ?', model).one();
+    if (count === 0) return [];
+    
+    try {
+      const [queryVector] = await this.embedder.embed([query]);
+      const rows = this.sql.exec(
+        `SELECT document_chunks.position, document_chunks.content, document_chunks.embedding,
+                documents.id AS document_id, documents.name
+         FROM document_chunks JOIN documents ON documents.id = document_chunks.document_id
+         WHERE documents.embedding_model = ?`,
+        model
+      );
+      
+      const matches = [];
+      for (const row of rows) {
+        const vector = new Float32Array(row.embedding);
+        let score = 0;
+        for (let i = 0; i < vector.length; i++) {
+          score += vector[i] * queryVector[i];
+        }
+        if (score >= minSimilarity) {
+          matches.push({ documentId: row.document_id, name: row.name, position: row.position, content: row.content, score });
+        }
+      }
+      return matches.sort((a, b) => b.score - a.score).slice(0, NOTES_TOP_K);
+    } catch (error) {
+      console.error('Note search failed:', error);
+      return [];
+    }
+  }
+
+  // --- Quizzes ---
+
+  /**
+   * /chat { action: 'quiz', topic, count? } - generates a mix of multiple-choice
+   * and short-answer questions; the answer keys are stored but not returned
+   */
+  async startQuiz({ topic, count = DEFAULT_QUIZ_QUESTIONS }) {
+    if (typeof topic !== 'string' || !topic.trim()) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Topic required'));
+    }
+    if (topic.length > MAX_TOPIC_LENGTH) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, `Topic is too long (max ${MAX_TOPIC_LENGTH} characters)`));
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_QUIZ_QUESTIONS) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, `Count must be between 1 and ${MAX_QUIZ_QUESTIONS}`));
+    }
+    
+    const quota = await this.consumeMessageQuota();
+    if (!quota.allowed) {
+      return errorResponse(rateLimitError(quota), rateLimitHeaders(quota));
+    }
+    
+    try {
+      const { result } = await this.runModel({
+        messages: [
+          {
+            role: 'system',
+            content: 'You write quizzes for students. Mix multiple-choice questions (exactly 4 choices, one correct) and short-answer questions that can be answered in a sentence or two. For multiple choice, "answer" must be the exact text of the correct choice. For short answer, "answer" is a model answer. Each question gets a brief explanation of the correct answer. Respond with JSON only.'
+          },
+          { role: 'user', content: `Write a ${count}-question quiz about: ${topic.trim()}` }
+        ],
+        response_format: { type: 'json_schema', json_schema: QUIZ_SCHEMA },
+        max_tokens: 2500,
+        temperature: 0.5
+      });
+      
+      const questions = parseQuizQuestions(result.response, count);
+      const quizId = crypto.randomUUID();
+      this.state.storage.transactionSync(() => {
+        this.sql.exec(
+          'INSERT INTO quizzes (id, topic, max_score, created_at) VALUES (?, ?, ?, ?)',
+          quizId, topic.trim(), questions.length, new Date().toISOString()
+        );
+        for (const question of questions) {
+          this.sql.exec(
+            `INSERT INTO quiz_questions (quiz_id, type, question, choices, answer, explanation)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            quizId, question.type, question.question,
+            question.choices ? JSON.stringify(question.choices) : null,
+            question.answer, question.explanation
+          );
+        }
+      });
+      
+      return Response.json({ success: true, quiz: this.getQuiz(quizId) }, { headers: rateLimitHeaders(quota) });
+    } catch (error) {
+      console.error('Quiz generation failed:', error);
+      return errorResponse(error, rateLimitHeaders(quota));
+    }
+  }
+
+  /**
+   * /chat { action: 'answer', quizId, questionId, answer } - grades one question
+   * Multiple choice takes the choice index and is checked here; short answers
+   * are graded by the model against the key, with feedback on what was missed
+   * Each question can be answered once - the key comes back with the result
+   */
+  async answerQuizQuestion({ quizId, questionId, answer }) {
+    if (typeof quizId !== 'string' || !Number.isInteger(questionId)) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'quizId and questionId required'));
+    }
+    
+    const rows = this.sql.exec(
+      'SELECT * FROM quiz_questions WHERE id = ? AND quiz_id = ?', questionId, quizId
+    ).toArray();
+    if (rows.length === 0) {
+      return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Question not found'));
+    }
+    const question = rows[0];
+    if (question.answered_at) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'That question has already been answered'));
+    }
+    
+    let graded;
+    let headers = {};
+    if (question.type === 'multiple_choice') {
+      const choices = JSON.parse(question.choices);
+      if (!Number.isInteger(answer) || answer < 0 || answer >= choices.length) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Answer must be the index of a choice'));
+      }
+      graded = { submitted: String(answer), points: String(answer) === question.answer ? 1 : 0, feedback: null };
+    } else {
+      if (typeof answer !== 'string' || !answer.trim()) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'Answer required'));
+      }
+      if (answer.length > MAX_ANSWER_LENGTH) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, `Answer is too long (max ${MAX_ANSWER_LENGTH} characters)`));
+      }
+      
+      // Grading a short answer is a model call - charge it like a chat message
+      const quota = await this.consumeMessageQuota();
+      headers = rateLimitHeaders(quota);
+      if (!quota.allowed) {
+        return errorResponse(rateLimitError(quota), headers);
+      }
+      try {
+        graded = { submitted: answer.trim(), ...await this.gradeShortAnswer(question, answer.trim()) };
+      } catch (error) {
+        console.error('Short answer grading failed:', error);
+        return errorResponse(error, headers);
+      }
+    }
+    
+    const now = new Date().toISOString();
+    const updated = this.state.storage.transactionSync(() => {
+      // Guard against a second submission that raced the grading call
+      const written = this.sql.exec(
+        `UPDATE quiz_questions SET submitted = ?, points = ?, feedback = ?, answered_at = ?
+         WHERE id = ? AND answered_at IS NULL`,
+        graded.submitted, graded.points, graded.feedback, now, question.id
+      ).rowsWritten;
+      if (written === 0) return false;
+      
+      const { remaining } = this.sql.exec(
+        'SELECT COUNT(*) AS remaining FROM quiz_questions WHERE quiz_id = ? AND answered_at IS NULL', quizId
+      ).one();
+      this.sql.exec(
+        `UPDATE quizzes SET score = score + ?, completed_at = ? WHERE id = ?`,
+        graded.points, remaining === 0 ? now : null, quizId
+      );
+      return true;
+    });
+    if (!updated) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'That question has already been answered'), headers);
+    }
+    
+    const quiz = this.getQuiz(quizId);
+    return Response.json({
+      success: true,
+      result: quiz.questions.find(q => q.id === question.id).result,
+      quiz
+    }, { headers });
+  }
+
+  /**
+   * Asks the model to mark a short answer against the key - full, half or no credit
+   */
+  async gradeShortAnswer(question, answer) {
+    const { result } = await this.runModel({
+      messages: [
+        {
+          role: 'system',
+          content: 'You grade a student\'s short answer against an answer key. Accept answers that are right in substance even if worded differently. Give a score of 1 for a correct answer, 0.5 for a partly correct one and 0 for a wrong one. In "feedback", speak to the student in one to three sentences: say what was right, and explain any mistake or missing point. Respond with JSON only.'
+        },
+        {
+          role: 'user',
+          content: `Question: ${question.question}\nAnswer key: ${question.answer}\nStudent's answer: ${answer}`
+        }
+      ],
+      response_format: { type: 'json_schema', json_schema: GRADE_SCHEMA },
+      max_tokens: 300,
+      temperature: 0
+    });
+    
+    return parseGrade(result.response);
+  }
+
+  /**
+   * A quiz as the client sees it - keys, explanations and feedback only for
+   * questions that have been answered
+   */
+  getQuiz(quizId) {
+    const rows = this.sql.exec('SELECT * FROM quizzes WHERE id = ?', quizId).toArray();
+    if (rows.length === 0) return null;
+    
+    const questions = this.sql.exec(
+      'SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY id', quizId
+    ).toArray().map(toQuizQuestion);
+    return { ...toQuiz(rows[0]), questions };
+  }
+
+  /**
+   * Every quiz grouped by topic (case-insensitive), attempts oldest first,
+   * most recently quizzed topic first
+   */
+  getQuizHistory() {
+    const attempts = this.sql.exec(
+      `SELECT quizzes.*, COUNT(quiz_questions.answered_at) AS answered
+       FROM quizzes LEFT JOIN quiz_questions ON quiz_questions.quiz_id = quizzes.id
+       GROUP BY quizzes.id ORDER BY quizzes.created_at`
+    ).toArray().map(toQuiz);
+    
+    const topics = new Map();
+    for (const attempt of attempts) {
+      const key = attempt.topic.toLowerCase();
+      if (!topics.has(key)) {
+        topics.set(key, { topic: attempt.topic, attempts: [] });
+      }
+      topics.get(key).attempts.push(attempt);
+    }
+    
+    return [...topics.values()]
+      .map(({ topic, attempts }) => {
+        const completed = attempts.filter(attempt => attempt.completedAt);
+        const percents = completed.map(attempt => attempt.percent);
+        return {
+          topic,
+          attempts,
+          bestPercent: percents.length > 0 ? Math.max(...percents) : null,
+          averagePercent: percents.length > 0 ? Math.round(percents.reduce((a, b) => a + b, 0) / percents.length) : null,
+          lastAttemptAt: attempts[attempts.length - 1].createdAt
+        };
+      })
+      .sort((a, b) => b.lastAttemptAt.localeCompare(a.lastAttemptAt));
+  }
+
+  // --- Assignments and reminders ---
+
+  async handleAssignmentRequest(request, url) {
+    const assignmentId = url.pathname.split('/')[2];
+    
+    if (!assignmentId && request.method === 'GET') {
+      const status = url.searchParams.get('status');
+      if (status !== null && !ASSIGNMENT_STATUSES.includes(status)) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, `Status must be one of ${ASSIGNMENT_STATUSES.join(', ')}`));
+      }
+      return Response.json({ assignments: this.listAssignments(status) });
+    }
+    
+    if (assignmentId && request.method === 'GET') {
+      const assignment = this.getAssignment(assignmentId);
+      if (!assignment) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Assignment not found'));
+      }
+      return Response.json({ assignment });
+    }
+    
+    if (assignmentId && request.method === 'DELETE') {
+      const deleted = this.sql.exec('DELETE FROM assignments WHERE id = ?', assignmentId).rowsWritten > 0;
+      if (!deleted) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Assignment not found'));
+      }
+      await this.scheduleAlarm();
+      return Response.json({ success: true });
+    }
+    
+    if ((!assignmentId && request.method === 'POST') || (assignmentId && request.method === 'PATCH')) {
+      let body;
+      try {
+        body = await request.json();
+      } catch (error) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT));
+      }
+      
+      const fields = readAssignmentFields(body, { partial: Boolean(assignmentId) });
+      if (fields.error) {
+        return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, fields.error));
+      }
+      if (fields.conversationId && !this.getConversation(fields.conversationId)) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Conversation not found'));
+      }
+      
+      if (!assignmentId) {
+        const assignment = this.createAssignment(fields);
+        await this.scheduleAlarm();
+        return Response.json({ success: true, assignment }, { status: 201 });
+      }
+      
+      const assignment = this.updateAssignment(assignmentId, fields);
+      if (!assignment) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Assignment not found'));
+      }
+      await this.scheduleAlarm();
+      return Response.json({ success: true, assignment });
+    }
+    
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  // Open work first, soonest deadline first
+  listAssignments(status = null) {
+    const rows = status
+      ? this.sql.exec("SELECT * FROM assignments WHERE status = ? ORDER BY due_at, created_at", status)
+      : this.sql.exec("SELECT * FROM assignments ORDER BY status = 'done', due_at, created_at");
+    return rows.toArray().map(toAssignment);
+  }
+
+  getAssignment(assignmentId) {
+    const rows = this.sql.exec('SELECT * FROM assignments WHERE id = ?', assignmentId).toArray();
+    return rows.length > 0 ? toAssignment(rows[0]) : null;
+  }
+
+  /**
+   * Fields come from readAssignmentFields. Without a remindAt the reminder goes
+   * out a day (or an hour) before the deadline - see defaultRemindAt
+   */
+  createAssignment({ title, course = null, dueAt, status = 'todo', remindAt, conversationId = null }) {
+    const now = new Date().toISOString();
+    const row = this.sql.exec(
+      `INSERT INTO assignments (id, title, course, due_at, status, remind_at, conversation_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      crypto.randomUUID(), title, course, dueAt, status,
+      remindAt === undefined ? defaultRemindAt(dueAt) : remindAt, conversationId, now, now
+    ).one();
+    return toAssignment(row);
+  }
+
+  // A new deadline moves the reminder too (unless one is given), and a moved reminder can fire again
+  updateAssignment(assignmentId, changes) {
+    const existing = this.getAssignment(assignmentId);
+    if (!existing) return null;
+    
+    const updated = { ...existing, ...changes };
+    if (changes.dueAt !== undefined && changes.remindAt === undefined) {
+      updated.remindAt = defaultRemindAt(updated.dueAt);
+    }
+    const remindedAt = updated.remindAt === existing.remindAt ? existing.remindedAt : null;
+    
+    const row = this.sql.exec(
+      `UPDATE assignments SET title = ?, course = ?, due_at = ?, status = ?, remind_at = ?, reminded_at = ?,
+       conversation_id = ?, updated_at = ? WHERE id = ? RETURNING *`,
+      updated.title, updated.course, updated.dueAt, updated.status, updated.remindAt, remindedAt,
+      updated.conversationId, new Date().toISOString(), assignmentId
+    ).one();
+    return toAssignment(row);
+  }
+
+  /**
+   * Looks for deadlines in a student's message ("remind me my essay is due Friday")
+   * and saves them, updating an open assignment with the same title and course
+   * rather than adding it twice. Only messages that mention a deadline cost a
+   * model call. Returns the saved assignments - never throws, since the reply
+   * matters more
+   */
+  async extractAssignments(conversationId, userMessage) {
+    if (!ASSIGNMENT_HINT.test(userMessage)) return [];
+    
+    try {
+      const now = new Date();
+      const { result } = await this.runModel({
+        messages: [
+          {
+            role: 'system',
+            content: `You find deadlines in a student's message. Today is ${WEEKDAYS[now.getUTCDay()]}, ${utcDay(now)}. List each assignment, exam or other piece of work the student says is due, with a short title, the course if they name one, and the due date as YYYY-MM-DD, or YYYY-MM-DDTHH:MM if they give a time. Work out dates like "Friday" or "next week" from today. Only include deadlines the student actually states - if there are none, return an empty list. Respond with JSON only.`
+          },
+          { role: 'user', content: userMessage }
+        ],
+        response_format: { type: 'json_schema', json_schema: ASSIGNMENT_SCHEMA },
+        max_tokens: 400,
+        temperature: 0
+      });
+      
+      const saved = [];
+      for (const found of parseAssignments(result.response)) {
+        const existing = this.sql.exec(
+          `SELECT id FROM assignments WHERE status != 'done' AND lower(title) = lower(?) AND lower(coalesce(course, '')) = lower(?)`,
+          found.title, found.course || ''
+        ).toArray();
+        saved.push(existing.length > 0
+          ? this.updateAssignment(existing[0].id, { dueAt: found.dueAt, conversationId })
+          : this.createAssignment({ ...found, conversationId }));
+      }
+      if (saved.length > 0) await this.scheduleAlarm();
+      return saved;
+    } catch (error) {
+      console.error('Assignment extraction failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * A Durable Object has a single alarm, so it points at whichever comes first -
+   * the next assignment reminder or the end of the retention window - and is
+   * cleared when there's neither
+   */
+  async scheduleAlarm() {
+    const times = [];
+    const { next } = this.sql.exec(
+      `SELECT MIN(remind_at) AS next FROM assignments
+       WHERE status != 'done' AND remind_at IS NOT NULL AND reminded_at IS NULL`
+    ).one();
+    if (next) times.push(Date.parse(next));
+    
+    const expiresAt = await this.getRetentionExpiry();
+    if (expiresAt !== null) times.push(expiresAt);
+    
+    if (times.length > 0) {
+      await this.state.storage.setAlarm(Math.min(...times));
+    } else {
+      await this.state.storage.deleteAlarm();
+    }
+  }
+
+  /**
+   * Alarm handler - erases the session once it's been idle for the retention
+   * window, otherwise posts every reminder that's due and schedules the next alarm
+   */
+  async alarm() {
+    if (this.erasedAt) return;
+    await this.ensureSchema();
+    const expiresAt = await this.getRetentionExpiry();
+    if (expiresAt !== null && expiresAt <= Date.now()) {
+      // Totals only - the receipt's id and timestamps would tie the log line to the session
+      const { deleted, verified } = await this.eraseSession('retention');
+      const rows = Object.values(deleted.rows).reduce((sum, count) => sum + count, 0);
+      console.log(`Erased an inactive session: ${rows} rows, ${deleted.storageKeys} storage keys, verified=${verified}`);
+      return;
+    }
+    
+    await this.deliverReminders();
+    await this.scheduleAlarm();
+  }
+
+  /**
+   * Each due reminder becomes an assistant message in the conversation the
+   * assignment came from (or the latest open one, or a new "Reminders" thread)
+   * and is pushed to every connected socket so an open page shows it straight away
+   */
+  async deliverReminders() {
+    const now = new Date();
+    const due = this.sql.exec(
+      `SELECT * FROM assignments
+       WHERE status != 'done' AND remind_at IS NOT NULL AND reminded_at IS NULL AND remind_at <= ?
+       ORDER BY remind_at`,
+      now.toISOString()
+    ).toArray().map(toAssignment);
+    
+    for (const assignment of due) {
+      const { message, conversation } = this.state.storage.transactionSync(() => {
+        const target = this.getConversation(assignment.conversationId)
+          || this.listConversations().find(conversation => !conversation.archived)
+          || this.createConversation('Reminders');
+        const message = this.insertMessage(
+          target.id, 'assistant', reminderText(assignment, now), now.toISOString(),
+          { reminder: { assignmentId: assignment.id, dueAt: assignment.dueAt } }
+        );
+        this.sql.exec('UPDATE assignments SET reminded_at = ? WHERE id = ?', now.toISOString(), assignment.id);
+        return { message, conversation: this.updateConversation(target.id, { updatedAt: message.timestamp }) };
+      });
+      
+      const frame = JSON.stringify({ type: FRAME_TYPES.REMINDER, assignment, message, conversation });
+      for (const ws of this.state.getWebSockets()) {
+        try {
+          ws.send(frame);
+        } catch (error) {
+          // Socket closing - the reminder is in the conversation anyway
+        }
+      }
+    }
+  }
+
+  exportAssignmentsCalendar() {
+    return new Response(renderAssignmentsCalendar(this.listAssignments(), new Date()), {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="assignments.ics"',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  // --- Voice ---
+
+  /**
+   * Speech to text for the mic button - the body is the recording as the browser
+   * made it. One quota token per recording, like an upload
+   */
+  async transcribeAudio(request) {
+    let audio;
+    try {
+      audio = await readAudioUpload(request);
+    } catch (error) {
+      return errorResponse(error);
+    }
+    
+    const quota = await this.consumeMessageQuota();
+    if (!quota.allowed) {
+      return errorResponse(rateLimitError(quota), rateLimitHeaders(quota));
+    }
+    
+    try {
+      this.checkUsageAllowance();
+      const model = this.env.TRANSCRIBE_MODEL || DEFAULT_TRANSCRIBE_MODEL;
+      const result = await withTimeout(
+        getModelProvider(this.env).run(model, { audio: bytesToBase64(audio) }),
+        AI_TIMEOUT_MS
+      );
+      const text = String(result.text || '').trim();
+      this.recordUsage(measureUsage([], text, result.usage));
+      return Response.json({ success: true, text }, { headers: rateLimitHeaders(quota) });
+    } catch (error) {
+      console.error('Transcription failed:', error);
+      return errorResponse(error, rateLimitHeaders(quota));
+    }
+  }
+
+  /**
+   * Reads a saved assistant reply aloud - { conversationId, messageId } in, audio out.
+   * Only stored replies can be spoken, and their Markdown is flattened first
+   */
+  async speakReply(request) {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT));
+    }
+    if (typeof body.conversationId !== 'string') {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'conversationId must be a string'));
+    }
+    
+    const message = this.getMessage(body.conversationId, body.messageId);
+    if (!message || message.role !== 'assistant') {
+      return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Reply not found'));
+    }
+    const text = speechText(message.content);
+    if (!text) {
+      return errorResponse(new ChatError(ERROR_TYPES.INVALID_INPUT, 'That reply has nothing to read out'));
+    }
+    
+    const quota = await this.consumeMessageQuota();
+    if (!quota.allowed) {
+      return errorResponse(rateLimitError(quota), rateLimitHeaders(quota));
+    }
+    
+    try {
+      this.checkUsageAllowance();
+      const model = this.env.SPEECH_MODEL || DEFAULT_SPEECH_MODEL;
+      const result = await withTimeout(
+        getModelProvider(this.env).run(model, { prompt: text, lang: 'en' }),
+        AI_TIMEOUT_MS
+      );
+      this.recordUsage(measureUsage([{ content: text }], '', result.usage));
+      
+      const audio = base64ToBytes(result.audio);
+      return new Response(audio, {
+        headers: {
+          'Content-Type': audioContentType(audio),
+          'Cache-Control': 'private, max-age=3600',
+          ...rateLimitHeaders(quota)
+        }
+      });
+    } catch (error) {
+      console.error('Speech failed:', error);
+      return errorResponse(error, rateLimitHeaders(quota));
+    }
+  }
+
+  // --- Retention and deletion ---
+
+  /**
+   * Notes that the student used the session, which restarts the retention window
+   * Saved at most every ACTIVITY_WRITE_INTERVAL_MS so busy sessions don't write on
+   * every request
+   */
+  async recordActivity() {
+    const now = Date.now();
+    if (this.lastActiveAt && now - this.lastActiveAt < ACTIVITY_WRITE_INTERVAL_MS) return;
+    
+    this.lastActiveAt = now;
+    await this.state.storage.put('lastActiveAt', now);
+    await this.scheduleAlarm();
+  }
+
+  // When the session is erased if nobody uses it before then, or null when retention is off
+  async getRetentionExpiry() {
+    const days = getRetentionDays(this.env);
+    if (days === null) return null;
+    
+    const lastActiveAt = this.lastActiveAt || await this.state.storage.get('lastActiveAt');
+    return lastActiveAt ? lastActiveAt + days * DAY_MS : null;
+  }
+
+  /**
+   * Rows per table and storage keys - what a deletion receipt reports
+   */
+  async describeStoredData() {
+    const tables = this.sql.exec(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND substr(name, 1, 4) != '_cf_' ORDER BY name"
+    ).toArray();
+    const rows = {};
+    for (const { name } of tables) {
+      rows[name] = this.sql.exec(`SELECT COUNT(*) AS count FROM "${name}"`).one().count;
+    }
+    const keys = [...(await this.state.storage.list()).keys()];
+    return { rows, keys };
+  }
+
+  /**
+   * Right to delete - removes every row and key the object holds with deleteAll,
+   * cancels the alarm and closes open sockets, then checks that nothing is left
+   * Returns a receipt of what was deleted. Only the ERASED_KEY marker is written
+   * back, so the session's token is refused from then on rather than starting over
+   */
+  async eraseSession(reason) {
+    const before = await this.describeStoredData();
+    
+    await this.state.storage.deleteAlarm();
+    await this.state.storage.deleteAll();
+    this.lastActiveAt = null;
+    for (const ws of this.state.getWebSockets()) {
+      try {
+        ws.close(1000, 'Session data deleted');
+      } catch (error) {
+        // Already closed
+      }
+    }
+    
+    const after = await this.describeStoredData();
+    const remainingRows = Object.values(after.rows).reduce((total, count) => total + count, 0);
+    const deletedAt = new Date().toISOString();
+    this.erasedAt = deletedAt;
+    await this.state.storage.put(ERASED_KEY, deletedAt);
+    return {
+      id: crypto.randomUUID(),
+      reason,
+      deletedAt,
+      deleted: { rows: before.rows, storageKeys: before.keys.length },
+      remaining: { rows: remainingRows, storageKeys: after.keys.length },
+      verified: remainingRows === 0 && after.keys.length === 0
+    };
+  }
+
+  async ensureSchema() {
+    if (this.schemaReady) return;
+    await this.migrateStorage();
+    this.schemaReady = true;
+  }
+}
+
+/**
+ * Validates before/after/limit from a history request (query string or WS frame)
+ * Returns { before, after, limit } or { error }
+ */
+function parseHistoryCursor({ before, after, limit }) {
+  const toInteger = (value) => value === undefined || value === null || value === '' ? null : Number(value);
+  const page = {
+    before: toInteger(before),
+    after: toInteger(after),
+    limit: toInteger(limit) === null ? HISTORY_PAGE_SIZE : toInteger(limit)
+  };
+
+  if ([page.before, page.after].some(cursor => cursor !== null && !Number.isInteger(cursor))) {
+    return { error: 'Cursors must be message ids' };
+  }
+  if (page.before !== null && page.after !== null) {
+    return { error: 'Use either before or after, not both' };
+  }
+  if (!Number.isInteger(page.limit) || page.limit < 1) {
+    return { error: 'Limit must be a positive integer' };
+  }
+  page.limit = Math.min(page.limit, MAX_HISTORY_PAGE_SIZE);
+  return page;
+}
+
+/**
+ * Rough token count for budgeting - about 4 characters per token, plus a few
+ * for the role markers around each message
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4) + 4;
+}
+
+// Most messages that could fit in a token budget - bounds branch walks
+function maxMessagesWithin(tokens) {
+  return Math.max(Math.floor(tokens / estimateTokens('')), 0);
+}
+
+/**
+ * Token counts for one model call - what the model reported (Workers AI's usage
+ * field), or estimates from the prompt and reply when it didn't say
+ */
+function measureUsage(messages, reply, reported) {
+  if (reported && Number.isFinite(reported.prompt_tokens) && Number.isFinite(reported.completion_tokens)) {
+    return { promptTokens: reported.prompt_tokens, completionTokens: reported.completion_tokens, estimated: false };
+  }
+  const text = typeof reply === 'string' ? reply : JSON.stringify(reply ?? '');
+  return {
+    promptTokens: messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+    completionTokens: estimateTokens(text),
+    estimated: true
+  };
+}
+
+// Unknown ids (e.g. a persona that was removed) fall back to the default
+function getPersona(personaId) {
+  return PERSONAS[personaId] || PERSONAS[DEFAULT_PERSONA];
+}
+
+/**
+ * Persona list for the browser - everything except the prompts and sampling settings
+ */
+function listPersonas() {
+  return Object.entries(PERSONAS).map(([id, { name, description }]) => ({ id, name, description }));
+}
+
+// Days of inactivity before a session is erased, or null when RETENTION_DAYS is 0
+function getRetentionDays(env) {
+  const value = env.RETENTION_DAYS === undefined || env.RETENTION_DAYS === '' ? DEFAULT_RETENTION_DAYS : Number(env.RETENTION_DAYS);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function getContextTokenBudget(env) {
+  return Number(env.CONTEXT_TOKEN_BUDGET) || DEFAULT_CONTEXT_TOKEN_BUDGET;
+}
+
+// null means no limit (the var set to 0)
+function getUsageLimits(env) {
+  const read = (value, fallback) => {
+    const limit = value === undefined || value === '' ? fallback : Number(value);
+    return Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : null;
+  };
+  return {
+    tokens: read(env.USAGE_DAILY_TOKEN_LIMIT, DEFAULT_USAGE_DAILY_TOKEN_LIMIT),
+    requests: read(env.USAGE_DAILY_REQUEST_LIMIT, DEFAULT_USAGE_DAILY_REQUEST_LIMIT)
+  };
+}
+
+// Usage is kept per UTC day - YYYY-MM-DD
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * MODERATION_ACTIONS is a JSON object of category -> action, e.g. {"S6":"block"}
+ * merged over DEFAULT_MODERATION_ACTIONS - bad entries are logged and skipped
+ */
+function getModerationConfig(env) {
+  const actions = { ...DEFAULT_MODERATION_ACTIONS };
+  if (env.MODERATION_ACTIONS) {
+    try {
+      for (const [category, action] of Object.entries(JSON.parse(env.MODERATION_ACTIONS))) {
+        const key = category === 'default' ? category : category.toUpperCase();
+        if (MODERATION_ACTION_ORDER.includes(action)) {
+          actions[key] = action;
+        } else {
+          console.error(`Ignoring moderation action "${action}" for ${category}`);
+        }
+      }
+    } catch (error) {
+      console.error('Ignoring MODERATION_ACTIONS - not a JSON object:', error);
+    }
+  }
+  return {
+    enabled: env.MODERATION_ENABLED === 'true',
+    model: env.MODERATION_MODEL || DEFAULT_MODERATION_MODEL,
+    actions
+  };
+}
+
+/**
+ * Llama Guard answers "safe", or "unsafe" with the flagged categories on the next
+ * line ("S1,S10") - JSON mode gives { safe, categories } instead
+ */
+function parseModerationVerdict(response) {
+  if (response && typeof response === 'object') {
+    const categories = Array.isArray(response.categories) ? response.categories : [];
+    return { safe: response.safe !== false, categories: categories.map(category => String(category).toUpperCase()) };
+  }
+  
+  const [verdict = '', flagged = ''] = String(response || '').trim().split('\n');
+  if (/^safe\b/i.test(verdict.trim())) {
+    return { safe: true, categories: [] };
+  }
+  if (/^unsafe\b/i.test(verdict.trim())) {
+    return { safe: false, categories: (flagged.match(/S\d+/gi) || []).map(category => category.toUpperCase()) };
+  }
+  throw new ChatError(ERROR_TYPES.INTERNAL, 'Could not read the moderation result');
+}
+
+function describeCategories(categories) {
+  const names = [...new Set(categories.map(category => MODERATION_CATEGORIES[category] || 'unsafe content'))];
+  return names.length > 0 ? names.join(', ') : 'unsafe content';
+}
+
+// What's kept in message metadata - the verdict without the redacted text
+function moderationMetadata({ action, categories }) {
+  return { action, categories };
+}
+
+/**
+ * Blanks out e-mail addresses and phone or ID numbers; if there are none, the
+ * flag was about something else and the whole text goes
+ */
+function redactText(text) {
+  const redacted = text
+    .replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[redacted]')
+    .replace(/\+?\d[\d\s().-]{6,}\d/g, '[redacted]');
+  return redacted === text ? REDACTED_TEXT : redacted;
+}
+
+/**
+ * Map SQL rows to the shapes the API returns
+ */
+function toConversation(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    titleGenerated: row.title_generated === 1,
+    archived: row.archived === 1,
+    persona: row.persona,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toUsageDay(row) {
+  return {
+    day: row.day,
+    requests: row.requests,
+    promptTokens: row.prompt_tokens,
+    completionTokens: row.completion_tokens,
+    totalTokens: row.prompt_tokens + row.completion_tokens,
+    estimatedRequests: row.estimated_requests
+  };
+}
+
+function toModerationEntry(row) {
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    stage: row.stage,
+    action: row.action,
+    categories: JSON.parse(row.categories),
+    userContent: row.user_content,
+    replyContent: row.reply_content,
+    createdAt: row.created_at
+  };
+}
+
+function toDeck(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    conversationId: row.conversation_id,
+    topic: row.topic,
+    cardCount: row.card_count,
+    dueCount: row.due_count,
+    createdAt: row.created_at
+  };
+}
+
+function toCard(row) {
+  return {
+    id: row.id,
+    deckId: row.deck_id,
+    question: row.question,
+    answer: row.answer,
+    ease: row.ease,
+    intervalDays: row.interval_days,
+    repetitions: row.repetitions,
+    dueAt: row.due_at,
+    lastReviewedAt: row.last_reviewed_at,
+    createdAt: row.created_at
+  };
+}
+
+function toDocument(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    size: row.size,
+    chunkCount: row.chunk_count,
+    createdAt: row.created_at
+  };
+}
+
+function toQuiz(row) {
+  return {
+    id: row.id,
+    topic: row.topic,
+    score: row.score,
+    maxScore: row.max_score,
+    percent: Math.round((row.score / row.max_score) * 100),
+    ...(row.answered !== undefined ? { answered: row.answered } : {}),
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+// The answer key and explanation stay hidden until the question is answered
+function toQuizQuestion(row) {
+  const question = {
+    id: row.id,
+    type: row.type,
+    question: row.question,
+    choices: row.choices ? JSON.parse(row.choices) : null,
+    result: null
+  };
+  if (row.answered_at) {
+    const multipleChoice = row.type === 'multiple_choice';
+    question.result = {
+      questionId: row.id,
+      submitted: multipleChoice ? Number(row.submitted) : row.submitted,
+      points: row.points,
+      correct: row.points === 1,
+      correctAnswer: multipleChoice ? Number(row.answer) : row.answer,
+      explanation: row.explanation,
+      feedback: row.feedback,
+      answeredAt: row.answered_at
+    };
+  }
+  return question;
+}
+
+function toAssignment(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    course: row.course,
+    dueAt: row.due_at,
+    status: row.status,
+    remindAt: row.remind_at,
+    remindedAt: row.reminded_at,
+    conversationId: row.conversation_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toMessage(row) {
+  return {
+    id: row.id,
+    parentId: row.parent_id,
+    role: row.role,
+    content: row.content,
+    timestamp: row.created_at,
+    updatedAt: row.updated_at,
+    metadata: row.metadata ? JSON.parse(row.metadata) : null
+  };
+}
+
+/**
+ * Title used when the model can't name a thread - the first words of the question
+ */
+function fallbackTitle(userMessage) {
+  const words = userMessage.trim().split(/\s+/).slice(0, 6).join(' ');
+  return words.length > 60 ? words.slice(0, 57) + '...' : words;
+}
+
+/**
+ * Reads a Workers AI stream (SSE lines of {"response": "..."} ending in [DONE])
+ * Calls onToken for each piece and resolves with { text, usage } - usage is the
+ * token counts the model sends near the end, if it does
+ */
+async function readAIStream(stream, onToken) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let fullText = '';
+  let usage = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // last line may be incomplete
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      const data = line.slice(6).trim();
+      if (data === '[DONE]') return { text: fullText, usage };
+
+      // Only the parse is guarded - onToken's own errors aren't malformed lines
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (error) {
+        console.error('Skipping malformed stream line:', data);
+        continue;
+      }
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.response) {
+        fullText += chunk.response;
+        onToken(chunk.response);
+      }
+    }
+  }
+
+  return { text: fullText, usage };
+}
+
+/**
+ * JSON schema for the model's flashcard output (Workers AI JSON mode)
+ */
+const FLASHCARD_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    cards: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          question: { type: 'string' },
+          answer: { type: 'string' }
+        },
+        required: ['question', 'answer']
+      }
+    }
+  },
+  required: ['title', 'cards']
+};
+
+/**
+ * Checks the model's flashcards against FLASHCARD_SCHEMA
+ * Throws if nothing usable came back
+ */
+function parseFlashcards(response, maxCards) {
+  const data = readJsonResponse(response);
+  
+  const cards = (data && Array.isArray(data.cards) ? data.cards : [])
+    .filter(card => card && typeof card.question === 'string' && typeof card.answer === 'string')
+    .map(card => ({ question: card.question.trim(), answer: card.answer.trim() }))
+    .filter(card => card.question && card.answer)
+    .slice(0, maxCards);
+  if (cards.length === 0) {
+    throw new ChatError(ERROR_TYPES.INTERNAL, 'The model did not return any usable flashcards - try again');
+  }
+  
+  const title = typeof data.title === 'string' ? data.title.trim() : '';
+  return { title, cards };
+}
+
+/**
+ * Conversation exports - JSON is the lossless format that /api/import reads back
+ */
+const EXPORT_SCHEMA = 'cf-ai-student-assistant/conversation';
+// v1 held the open branch only; v2 holds every message with its parent
+const EXPORT_VERSION = 2;
+
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', render: renderMarkdownExport },
+  json: { contentType: 'application/json; charset=utf-8', render: renderJsonExport, allBranches: true },
+  txt: { contentType: 'text/plain; charset=utf-8', render: renderTextExport }
+};
+
+// Metadata an import may restore - moderation results, deadlines and reminders
+// were decided by this app for the original session, so a file can't claim them
+const IMPORTED_METADATA_KEYS = ['model', 'persona', 'usage', 'latencyMs', 'tools', 'sources'];
+
+function renderJsonExport(conversation, messages, exportedAt, activeLeaf) {
+  return JSON.stringify({
+    format: EXPORT_SCHEMA,
+    version: EXPORT_VERSION,
+    exportedAt,
+    conversation: {
+      title: conversation.title,
+      persona: conversation.persona,
+      archived: conversation.archived,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      activeLeaf
+    },
+    messages: messages.map(({ id, parentId, role, content, timestamp, metadata }) => ({
+      id, parentId, role, content, timestamp, metadata
+    }))
+  }, null, 2);
+}
+
+function renderMarkdownExport(conversation, messages, exportedAt) {
+  const lines = [
+    `# ${conversation.title}`,
+    '',
+    `- Persona: ${getPersona(conversation.persona).name}`,
+    `- Started: ${conversation.createdAt}`,
+    `- Exported: ${exportedAt}`,
+    `- Messages: ${messages.length}`
+  ];
+  for (const msg of messages) {
+    const details = [msg.timestamp];
+    if (msg.metadata && msg.metadata.model) details.push(msg.metadata.model);
+    lines.push('', '---', '', `### ${msg.role === 'user' ? 'Student' : 'Assistant'} (${details.join(', ')})`, '', msg.content);
+    if (msg.metadata && msg.metadata.sources) {
+      lines.push('', `*Sources: ${msg.metadata.sources.map((source, index) => `[${index + 1}] ${source.name}, part ${source.part}`).join('; ')}*`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function renderTextExport(conversation, messages, exportedAt) {
+  const lines = [
+    conversation.title,
+    `Persona: ${getPersona(conversation.persona).name}`,
+    `Started: ${conversation.createdAt}`,
+    `Exported: ${exportedAt}`
+  ];
+  for (const msg of messages) {
+    const speaker = msg.role === 'user' ? 'Student' : 'Assistant';
+    const model = msg.metadata && msg.metadata.model ? ` (${msg.metadata.model})` : '';
+    lines.push('', `[${msg.timestamp}] ${speaker}${model}:`, msg.content);
+    if (msg.metadata && msg.metadata.sources) {
+      lines.push(`Sources: ${msg.metadata.sources.map(source => `${source.name} part ${source.part}`).join('; ')}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Safe download name from a (model-written) title
+function exportFilename(title) {
+  return title.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').slice(0, 60) || 'conversation';
+}
+
+function importTooLarge() {
+  return new ChatError(ERROR_TYPES.PAYLOAD_TOO_LARGE, `Import is too large (max ${MAX_IMPORT_BYTES / 1024 / 1024} MB)`);
+}
+
+/**
+ * Validates a JSON export before it's restored
+ * Returns { title, persona, activeLeaf, messages } or { error } naming the first
+ * bad field. Messages come back in file order, each parent before its replies;
+ * v1 files (one branch, no ids) are read as a chain
+ */
+function parseConversationImport(data) {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  
+  if (!isObject(data) || data.format !== EXPORT_SCHEMA) {
+    return { error: 'Imports must be a JSON export from this app' };
+  }
+  if (data.version !== 1 && data.version !== EXPORT_VERSION) {
+    return { error: `Unsupported export version (expected 1 to ${EXPORT_VERSION})` };
+  }
+  const chained = data.version === 1;
+  if (!isObject(data.conversation)) {
+    return { error: 'conversation must be an object' };
+  }
+  if (!Array.isArray(data.messages)) {
+    return { error: 'messages must be an array' };
+  }
+  if (data.messages.length > MAX_IMPORT_MESSAGES) {
+    return { error: `Too many messages (max ${MAX_IMPORT_MESSAGES})` };
+  }
+  
+  const { title, persona } = data.conversation;
+  if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+    return { error: 'conversation.title must be a non-empty string' };
+  }
+  if (persona !== undefined && !Object.hasOwn(PERSONAS, persona)) {
+    return { error: 'conversation.persona is not a known persona' };
+  }
+  
+  const messages = [];
+  const seenIds = new Set();
+  for (const [index, msg] of data.messages.entries()) {
+    const field = `messages[${index}]`;
+    if (!isObject(msg)) {
+      return { error: `${field} must be an object` };
+    }
+    const id = chained ? index + 1 : msg.id;
+    const parentId = chained ? (index > 0 ? index : null) : msg.parentId;
+    if (!Number.isInteger(id) || id < 1 || seenIds.has(id)) {
+      return { error: `${field}.id must be a positive integer used once` };
+    }
+    if (parentId !== null && !seenIds.has(parentId)) {
+      return { error: `${field}.parentId must be null or the id of an earlier message` };
+    }
+    if (msg.role !== 'user' && msg.role !== 'assistant') {
+      return { error: `${field}.role must be "user" or "assistant"` };
+    }
+    const invalid = validateMessage(msg.content);
+    if (invalid) {
+      return { error: `${field}.content: ${invalid.message}` };
+    }
+    if (typeof msg.timestamp !== 'string' || Number.isNaN(Date.parse(msg.timestamp))) {
+      return { error: `${field}.timestamp must be an ISO date` };
+    }
+    if (msg.metadata !== undefined && msg.metadata !== null && !isObject(msg.metadata)) {
+      return { error: `${field}.metadata must be an object or null` };
+    }
+    seenIds.add(id);
+    const metadata = msg.metadata
+      ? Object.fromEntries(IMPORTED_METADATA_KEYS.filter(key => Object.hasOwn(msg.metadata, key)).map(key => [key, msg.metadata[key]]))
+      : {};
+    messages.push({
+      id,
+      parentId,
+      role: msg.role,
+      content: msg.content,
+      timestamp: new Date(msg.timestamp).toISOString(),
+      metadata: Object.keys(metadata).length > 0 ? metadata : null
+    });
+  }
+  
+  const activeLeaf = chained || data.conversation.activeLeaf === undefined
+    ? (messages.length > 0 ? messages[messages.length - 1].id : null)
+    : data.conversation.activeLeaf;
+  if (activeLeaf !== null && !seenIds.has(activeLeaf)) {
+    return { error: 'conversation.activeLeaf must be the id of a message' };
+  }
+  
+  return {
+    title: title ? title.trim().slice(0, MAX_TITLE_LENGTH) : 'Imported conversation',
+    persona: persona || DEFAULT_PERSONA,
+    activeLeaf,
+    messages
+  };
+}
+
+/**
+ * Pulls { name, type, text } out of an upload - a multipart `file` (.txt, .md or
+ * .pdf) or JSON { name, content } with text that was already extracted
+ * Throws a ChatError for anything unusable
+ */
+async function readDocumentUpload(request, env) {
+  const contentType = request.headers.get('Content-Type') || '';
+  const multipart = contentType.startsWith('multipart/form-data');
+  let name;
+  let type;
+  let text;
+  
+  // Multipart gets room for its headers
+  const maxBytes = multipart ? MAX_UPLOAD_BYTES + 64 * 1024 : MAX_UPLOAD_BYTES;
+  const tooLarge = () => new ChatError(ERROR_TYPES.PAYLOAD_TOO_LARGE, `File is too large (max ${MAX_UPLOAD_BYTES / 1024 / 1024} MB)`);
+  const raw = await readBodyWithin(request, maxBytes, tooLarge);
+  
+  if (multipart) {
+    let file;
+    try {
+      file = (await new Response(raw, { headers: { 'Content-Type': contentType } }).formData()).get('file');
+    } catch (error) {
+      throw new ChatError(ERROR_TYPES.INVALID_INPUT, 'Could not read the upload');
+    }
+    if (!file || typeof file === 'string') {
+      throw new ChatError(ERROR_TYPES.INVALID_INPUT, 'Attach the notes as a "file" field');
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      throw tooLarge();
+    }
+    
+    name = file.name || 'notes';
+    const typeByName = documentTypeFromName(name);
+    if (typeByName === 'pdf' || file.type === 'application/pdf') {
+      type = 'pdf';
+      const [converted] = await getModelProvider(env).toMarkdown([{ name, blob: file }]);
+      if (!converted || converted.format === 'error') {
+        throw new ChatError(ERROR_TYPES.INVALID_INPUT, 'Could not read text from that PDF');
+      }
+      text = converted.data;
+    } else if (typeByName === 'markdown' || file.type === 'text/markdown') {
+      type = 'markdown';
+      text = await file.text();
+    } else if (typeByName === 'text' || file.type.startsWith('text/')) {
+      type = 'text';
+      text = await file.text();
+    } else {
+      throw new ChatError(ERROR_TYPES.INVALID_INPUT, 'Upload a .txt, .md or .pdf file');
+    }
+  } else {
+    let body;
+    try {
+      body = JSON.parse(new TextDecoder().decode(raw));
+    } catch (error) {
+      throw new ChatError(ERROR_TYPES.INVALID_INPUT);
+    }
+    if (!body || typeof body.name !== 'string' || !body.name.trim() || typeof body.content !== 'string') {
+      throw new ChatError(ERROR_TYPES.INVALID_INPUT, 'Send { name, content } or a multipart file');
+    }
+    name = body.name;
+    type = ['text', 'markdown', 'pdf'].includes(body.type) ? body.type : documentTypeFromName(name) || 'text';
+    text = body.content;
+  }
+  
+  if (text.length > MAX_DOCUMENT_CHARS) {
+    throw new ChatError(ERROR_TYPES.INVALID_INPUT, `Notes are too long (max ${MAX_DOCUMENT_CHARS} characters)`);
+  }
+  return { name: name.trim().slice(0, MAX_DOCUMENT_NAME_LENGTH), type, text };
+}
+
+// 'pdf', 'markdown' or 'text' from the file extension - null when it's none of those
+function documentTypeFromName(name) {
+  const extension = name.toLowerCase().split('.').pop();
+  if (extension === 'pdf') return 'pdf';
+  if (['md', 'markdown'].includes(extension)) return 'markdown';
+  return extension === 'txt' ? 'text' : null;
+}
+
+/**
+ * Splits notes into chunks of about CHUNK_SIZE characters, breaking between
+ * paragraphs where possible (then sentences, then anywhere). Each chunk starts
+ * with the last CHUNK_OVERLAP characters of the one before, so an idea that
+ * straddles a break can still be found
+ */
+function chunkText(text) {
+  const pieces = [];
+  for (const paragraph of text.replace(/\r\n/g, '\n').split(/\n\s*\n/)) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+    if (trimmed.length <= CHUNK_SIZE) {
+      pieces.push(trimmed);
+      continue;
+    }
+    for (const sentence of trimmed.match(/[^.!?]+[.!?]*\s*/g) || [trimmed]) {
+      for (let start = 0; start < sentence.length; start += CHUNK_SIZE) {
+        const part = sentence.slice(start, start + CHUNK_SIZE).trim();
+        if (part) pieces.push(part);
+      }
+    }
+  }
+  
+  const chunks = [];
+  let current = '';
+  let hasNewText = false; // false while current only holds the carried-over overlap
+  for (const piece of pieces) {
+    if (hasNewText && current.length + piece.length + 2 > CHUNK_SIZE) {
+      chunks.push(current);
+      const overlap = current.slice(-CHUNK_OVERLAP).replace(/^\S*\s+/, '');
+      current = overlap.length + piece.length + 2 <= CHUNK_SIZE ? overlap : '';
+      hasNewText = false;
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+    hasNewText = true;
+  }
+  if (hasNewText) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * JSON schemas for quiz generation and short-answer grading
+ */
+const QUIZ_SCHEMA = {
+  type: 'object',
+  properties: {
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['multiple_choice', 'short_answer'] },
+          question: { type: 'string' },
+          choices: { type: 'array', items: { type: 'string' } },
+          answer: { type: 'string' },
+          explanation: { type: 'string' }
+        },
+        required: ['type', 'question', 'answer', 'explanation']
+      }
+    }
+  },
+  required: ['questions']
+};
+
+const GRADE_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'number' },
+    feedback: { type: 'string' }
+  },
+  required: ['score', 'feedback']
+};
+
+/**
+ * JSON mode usually hands back an object, but some models reply with a JSON
+ * string (sometimes fenced) - returns the parsed object or null
+ */
+function readJsonResponse(response) {
+  if (typeof response !== 'string') return response || null;
+  try {
+    return JSON.parse(response.slice(response.indexOf('{'), response.lastIndexOf('}') + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Keeps the well-formed questions from the model's quiz - multiple-choice keys
+ * are stored as the index of the correct choice (matched by text, or by letter)
+ * Throws if nothing usable came back
+ */
+function parseQuizQuestions(response, maxQuestions) {
+  const data = readJsonResponse(response);
+  const questions = [];
+  
+  for (const item of data && Array.isArray(data.questions) ? data.questions : []) {
+    if (!item || typeof item.question !== 'string' || !item.question.trim() || typeof item.answer !== 'string') continue;
+    const explanation = typeof item.explanation === 'string' ? item.explanation.trim() : '';
+    const answer = item.answer.trim();
+    
+    if (item.type === 'multiple_choice') {
+      const choices = Array.isArray(item.choices)
+        ? item.choices.filter(choice => typeof choice === 'string' && choice.trim()).map(choice => choice.trim())
+        : [];
+      if (choices.length < 2 || choices.length > 6) continue;
+      
+      let index = choices.findIndex(choice => choice.toLowerCase() === answer.toLowerCase());
+      if (index === -1 && /^[A-F]$/i.test(answer)) {
+        index = answer.toUpperCase().charCodeAt(0) - 65;
+      }
+      if (index < 0 || index >= choices.length) continue;
+      questions.push({ type: 'multiple_choice', question: item.question.trim(), choices, answer: String(index), explanation });
+    } else if (item.type === 'short_answer' && answer) {
+      questions.push({ type: 'short_answer', question: item.question.trim(), choices: null, answer, explanation });
+    }
+  }
+  
+  if (questions.length === 0) {
+    throw new ChatError(ERROR_TYPES.INTERNAL, 'The model did not return any usable quiz questions - try again');
+  }
+  return questions.slice(0, maxQuestions);
+}
+
+/**
+ * Reads the grader's verdict - scores snap to 0, 0.5 or 1
+ */
+function parseGrade(response) {
+  const data = readJsonResponse(response);
+  const score = data ? Number(data.score) : NaN;
+  if (!Number.isFinite(score)) {
+    throw new ChatError(ERROR_TYPES.INTERNAL, 'Could not grade that answer - try again');
+  }
+  
+  return {
+    points: Math.round(Math.min(Math.max(score, 0), 1) * 2) / 2,
+    feedback: typeof data.feedback === 'string' ? data.feedback.trim() : null
+  };
+}
+
+/**
+ * Validates an assignment from the API - title, course, dueAt, status, remindAt
+ * (null for no reminder) and conversationId (where its reminder is posted)
+ * With partial (PATCH) every field is optional. Returns the fields given, or { error }
+ */
+function readAssignmentFields(body, { partial = false } = {}) {
+  const fields = {};
+  
+  if (!partial || body.title !== undefined) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      return { error: 'Title must be a non-empty string' };
+    }
+    fields.title = body.title.trim().slice(0, MAX_TITLE_LENGTH);
+  }
+  if (body.course !== undefined) {
+    if (body.course !== null && typeof body.course !== 'string') {
+      return { error: 'Course must be a string' };
+    }
+    fields.course = body.course ? body.course.trim().slice(0, MAX_COURSE_LENGTH) || null : null;
+  }
+  if (!partial || body.dueAt !== undefined) {
+    fields.dueAt = parseDueDate(body.dueAt);
+    if (!fields.dueAt) {
+      return { error: 'dueAt must be an ISO date (2025-03-14) or date-time (2025-03-14T17:00:00Z)' };
+    }
+  }
+  if (body.status !== undefined) {
+    if (!ASSIGNMENT_STATUSES.includes(body.status)) {
+      return { error: `Status must be one of ${ASSIGNMENT_STATUSES.join(', ')}` };
+    }
+    fields.status = body.status;
+  }
+  if (body.remindAt !== undefined) {
+    fields.remindAt = body.remindAt === null ? null : parseDueDate(body.remindAt);
+    if (fields.remindAt === null && body.remindAt !== null) {
+      return { error: 'remindAt must be an ISO date-time, or null for no reminder' };
+    }
+  }
+  if (body.conversationId !== undefined) {
+    if (body.conversationId !== null && typeof body.conversationId !== 'string') {
+      return { error: 'conversationId must be a string' };
+    }
+    fields.conversationId = body.conversationId;
+  }
+  return fields;
+}
+
+/**
+ * JSON schema for deadlines found in a chat message
+ */
+const ASSIGNMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    assignments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          course: { type: 'string' },
+          due: { type: 'string' }
+        },
+        required: ['title', 'due']
+      }
+    }
+  },
+  required: ['assignments']
+};
+
+/**
+ * Keeps the extracted deadlines that have a title and a future ISO due date
+ */
+function parseAssignments(response) {
+  const data = readJsonResponse(response);
+  const now = Date.now();
+  
+  return (data && Array.isArray(data.assignments) ? data.assignments : [])
+    .filter(item => item && typeof item.title === 'string' && item.title.trim())
+    .map(item => ({
+      title: item.title.trim().slice(0, MAX_TITLE_LENGTH),
+      course: typeof item.course === 'string' && item.course.trim() ? item.course.trim().slice(0, MAX_COURSE_LENGTH) : null,
+      dueAt: parseDueDate(item.due)
+    }))
+    .filter(item => item.dueAt && Date.parse(item.dueAt) > now)
+    .slice(0, MAX_EXTRACTED_ASSIGNMENTS);
+}
+
+/**
+ * Tells the chat model what was just added, so it doesn't claim it can't set reminders
+ */
+function describeSavedAssignments(assignments) {
+  const lines = assignments.map(({ title, course, dueAt, remindAt }) =>
+    `- ${title}${course ? ` (${course})` : ''}, due ${dueAt}${remindAt ? `, reminder at ${remindAt}` : ''}`
+  );
+  return `These deadlines from the student's message were just saved to their assignment tracker, which posts a reminder into this chat before each one is due:\n${lines.join('\n')}\nConfirm them briefly.`;
+}
+
+/**
+ * The mic recording posted to /api/transcribe - the raw body, in whatever format
+ * MediaRecorder produced (WebM/Opus, Ogg or MP4). Throws a ChatError when it isn't
+ * audio, is empty or is over MAX_AUDIO_BYTES
+ */
+async function readAudioUpload(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (!contentType.startsWith('audio/') && contentType !== 'application/octet-stream') {
+    throw new ChatError(ERROR_TYPES.INVALID_INPUT, 'Send the recording as audio/* (e.g. audio/webm)');
+  }
+  
+  const tooLarge = () => new ChatError(ERROR_TYPES.PAYLOAD_TOO_LARGE, `Recording is too large (max ${MAX_AUDIO_BYTES / 1024 / 1024} MB)`);
+  const audio = await readBodyWithin(request, MAX_AUDIO_BYTES, tooLarge);
+  if (audio.byteLength === 0) {
+    throw new ChatError(ERROR_TYPES.INVALID_INPUT, 'No audio was recorded');
+  }
+  return audio;
+}
+
+/**
+ * A reply as something to say out loud - code blocks and table dividers are
+ * skipped, Markdown markers dropped and links read by their text. Cut at the last
+ * sentence that fits in MAX_SPEECH_CHARS
+ */
+function speechText(markdown) {
+  const lines = [];
+  let fence = null;
+  for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    const marker = line.match(/^\s*(`{3,}|~{3,})/);
+    if (marker && (!fence || marker[1].startsWith(fence))) {
+      if (!fence) lines.push('(code example skipped)');
+      fence = fence ? null : marker[1];
+      continue;
+    }
+    if (fence || /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line)) continue;
+    
+    lines.push(line
+      .replace(/^\s{0,3}#{1,6}\s+/, '')
+      .replace(/^\s{0,3}>\s?/, '')
+      .replace(/^\s*(?:[-*+]|\d{1,9}[.)])\s+/, '')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_~`|$\\]+/g, ' '));
+  }
+  
+  let text = lines.join('\n').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  if (text.length > MAX_SPEECH_CHARS) {
+    const cut = text.slice(0, MAX_SPEECH_CHARS);
+    const lastSentence = Math.max(...['. ', '? ', '! ', '.\n', '?\n', '!\n'].map(end => cut.lastIndexOf(end)));
+    text = lastSentence > 0 ? cut.slice(0, lastSentence + 1) : cut;
+  }
+  return text;
+}
+
+// Workers AI speech comes back as MP3 - the offline stub sends WAV
+function audioContentType(audio) {
+  const magic = String.fromCharCode(...audio.subarray(0, 4));
+  if (magic === 'RIFF') return 'audio/wav';
+  if (magic === 'OggS') return 'audio/ogg';
+  return 'audio/mpeg';
+}
+
+/**
+ * Checks a chat message - returns a ChatError, or null if it's fine
+ */
+function validateMessage(message) {
+  if (typeof message !== 'string' || !message.trim()) {
+    return new ChatError(ERROR_TYPES.INVALID_INPUT, 'Message required');
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return new ChatError(ERROR_TYPES.INVALID_INPUT, `Message is too long (max ${MAX_MESSAGE_LENGTH} characters)`);
+  }
+  return null;
+}
+
+/**
+ * Session cookies - the value is "<sessionId>.<signature>" where the signature is
+ * an HMAC-SHA256 of the ID keyed with the SESSION_SECRET secret, so a client
+ * can't pick (or guess) another student's ChatMemory instance
+ */
+const SESSION_COOKIE = 'cf_ai_session';
+const SESSION_MAX_AGE = 60 * 60 * 24 * 365; // 1 year - survives browser restarts
+
+async function getSessionKey(env) {
+  if (!env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.SESSION_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+function toBase64Url(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Tokens are "<session id>.<HMAC>". A purpose (like 'calendar') is signed in too,
+ * so a token made for it can't be used as the session cookie
+ */
+async function signSessionId(sessionId, env, purpose = null) {
+  const key = await getSessionKey(env);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(purpose ? `${purpose}:${sessionId}` : sessionId));
+  return `${sessionId}.${toBase64Url(signature)}`;
+}
+
+async function createSessionToken(env) {
+  return signSessionId(crypto.randomUUID(), env);
+}
+
+/**
+ * Returns the session ID from a signed token, or null if it's missing or forged
+ */
+async function verifySessionToken(token, env, purpose = null) {
+  if (!token) return null;
+
+  const [sessionId, signature] = token.split('.');
+  if (!sessionId || !signature) return null;
+
+  const key = await getSessionKey(env);
+  try {
+    // crypto.subtle.verify compares in constant time
+    const signed = new TextEncoder().encode(purpose ? `${purpose}:${sessionId}` : sessionId);
+    const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), signed);
+    return valid ? sessionId : null;
+  } catch (error) {
+    return null; // malformed base64 etc.
+  }
+}
+
+function getCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const part of cookies.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return rest.join('=');
+  }
+  return null;
+}
+
+function sessionCookieHeader(token) {
+  return `${SESSION_COOKIE}=${token}; Path=/; Max-Age=${SESSION_MAX_AGE}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * Public API paths and the ChatMemory paths they are forwarded to
+ */
+const DURABLE_OBJECT_ROUTES = {
+  '/api/chat': '/chat',
+  '/api/history': '/history',
+  '/api/ws': '/ws',
+  '/api/conversations': '/conversations',
+  '/api/decks': '/decks',
+  '/api/quizzes': '/quizzes',
+  '/api/documents': '/documents',
+  '/api/export': '/export',
+  '/api/import': '/import',
+  '/api/usage': '/usage',
+  '/api/assignments': '/assignments',
+  '/api/assignments.ics': '/assignments.ics',
+  '/api/session': '/session',
+  '/api/transcribe': '/transcribe',
+  '/api/speak': '/speak'
+};
+
+function getDurableObjectPath(pathname) {
+  if (DURABLE_OBJECT_ROUTES[pathname]) {
+    return DURABLE_OBJECT_ROUTES[pathname];
+  }
+  // /api/conversations/<id>, /api/decks/<id>/..., /api/quizzes/<id>, /api/documents/<id>, /api/assignments/<id>
+  const prefixes = ['/api/conversations/', '/api/decks/', '/api/quizzes/', '/api/documents/', '/api/assignments/'];
+  if (prefixes.some(prefix => pathname.startsWith(prefix))) {
+    return pathname.slice('/api'.length);
+  }
+  return null;
+}
+
+/**
+ * Main Worker - handles routing and serves the chat interface
+ */
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+
+    // Serve the main chat page
+    if (url.pathname === '/' || url.pathname === '/index.html') {
+      const { html, scriptHash } = await getChatPage();
+      const headers = {
+        'Content-Type': 'text/html',
+        'Cache-Control': 'private, max-age=3600', // Cache for 1 hour (private - may carry Set-Cookie)
+        'Content-Security-Policy': chatPagePolicy(scriptHash, url)
+      };
+      
+      try {
+        // Issue a new session unless the browser already has a valid one
+        const existing = await verifySessionToken(getCookie(request, SESSION_COOKIE), env);
+        if (!existing) {
+          headers['Set-Cookie'] = sessionCookieHeader(await createSessionToken(env));
+        }
+      } catch (error) {
+        console.error('Failed to issue session:', error);
+        return new Response('Server misconfigured', { status: 500 });
+      }
+      
+      return new Response(html, { headers });
+    }
+
+    // Route API requests to the appropriate Durable Object
+    const durableObjectPath = getDurableObjectPath(url.pathname);
+    if (durableObjectPath) {
+      // Only signed session cookies are accepted - no client-chosen session names
+      let sessionId;
+      try {
+        sessionId = await verifySessionToken(getCookie(request, SESSION_COOKIE), env);
+      } catch (error) {
+        console.error('Failed to verify session:', error);
+        return errorResponse(new ChatError(ERROR_TYPES.INTERNAL, 'Server misconfigured'));
+      }
+      
+      if (!sessionId) {
+        return errorResponse(new ChatError(ERROR_TYPES.UNAUTHORIZED));
+      }
+      
+      // Per-IP limit across all sessions, so clearing cookies doesn't reset it
+      const clientIp = request.headers.get('CF-Connecting-IP') || 'unknown';
+      const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(clientIp));
+      const ipQuota = await (await limiter.fetch('https://rate-limiter/take', {
+        method: 'POST',
+        body: JSON.stringify(getRateLimitConfig(env, 'IP'))
+      })).json();
+      if (!ipQuota.allowed) {
+        return errorResponse(rateLimitError(ipQuota), rateLimitHeaders(ipQuota));
+      }
+      
+      // Subscription link for the assignments calendar (see /api/calendar below)
+      if (url.pathname === '/api/assignments/feed' && request.method === 'GET') {
+        const token = await signSessionId(sessionId, env, 'calendar');
+        return Response.json({ success: true, url: `${url.origin}/api/calendar/${token}.ics` });
+      }
+      
+      // Get the Durable Object instance for this session
+      const durableObjectId = env.CHAT_MEMORY.idFromName(sessionId);
+      const durableObject = env.CHAT_MEMORY.get(durableObjectId);
+      
+      // Forward the request to the Durable Object with the correct path
+      const newUrl = new URL(request.url);
+      newUrl.pathname = durableObjectPath;
+      
+      // Passing the original request as init keeps the Upgrade header for /api/ws
+      const forwardedRequest = new Request(newUrl.toString(), request);
+      
+      const response = await durableObject.fetch(forwardedRequest);
+      
+      // An erased session's cookie is dropped too, so the next visit starts a new one
+      // (also when an old copy of the cookie is replayed and ChatMemory refuses it)
+      const erased = url.pathname === '/api/session' && request.method === 'DELETE' && response.ok;
+      if (erased || response.status === 401) {
+        const headers = new Headers(response.headers);
+        headers.append('Set-Cookie', `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Lax`);
+        return new Response(response.body, { status: response.status, headers });
+      }
+      return response;
+    }
+
+    // Assignments calendar for calendar apps, which can't send the session cookie -
+    // the signed token in the path only opens this feed
+    const calendarMatch = url.pathname.match(/^\/api\/calendar\/([\w-]+\.[\w-]+)\.ics$/);
+    if (calendarMatch && request.method === 'GET') {
+      let sessionId;
+      try {
+        sessionId = await verifySessionToken(calendarMatch[1], env, 'calendar');
+      } catch (error) {
+        console.error('Failed to verify calendar token:', error);
+        return errorResponse(new ChatError(ERROR_TYPES.INTERNAL, 'Server misconfigured'));
+      }
+      if (!sessionId) {
+        return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND, 'Calendar not found'));
+      }
+      
+      const durableObject = env.CHAT_MEMORY.get(env.CHAT_MEMORY.idFromName(sessionId));
+      return durableObject.fetch(new Request(new URL('/assignments.ics?feed=1', request.url), { method: 'GET' }));
+    }
+
+    // Moderation log for reviewers - never reachable with a student's session cookie
+    const moderationMatch = url.pathname.match(/^\/api\/moderation\/([0-9a-f]{64})$/);
+    if (moderationMatch && request.method === 'GET') {
+      return reviewModerationLog(request, env, moderationMatch[1]);
+    }
+
+    // Health check - probes ChatMemory, its storage and (optionally) the model
+    if (url.pathname === '/api/health') {
+      const report = await getHealthReport(env);
+      return Response.json(report, {
+        status: report.status === 'down' ? 503 : 200,
+        headers: { 'Cache-Control': 'no-store' }
+      });
+    }
+
+    // 404 for everything else
+    return new Response('Not Found', { 
+      status: 404,
+      headers: { 'Content-Type': 'text/plain' }
+    });
+  }
+};
+
+/**
+ * GET /api/moderation/<object id>?limit= - one session's flagged exchanges, for
+ * whoever holds the MODERATION_REVIEW_TOKEN secret. The object id is the one each
+ * flag logs; without the secret configured the endpoint doesn't exist
+ */
+async function reviewModerationLog(request, env, objectId) {
+  if (!env.MODERATION_REVIEW_TOKEN) {
+    return errorResponse(new ChatError(ERROR_TYPES.NOT_FOUND));
+  }
+  const encoder = new TextEncoder();
+  const [given, expected] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode((request.headers.get('Authorization') || '').replace(/^Bearer /, ''))),
+    crypto.subtle.digest('SHA-256', encoder.encode(env.MODERATION_REVIEW_TOKEN))
+  ]);
+  if (!crypto.subtle.timingSafeEqual(given, expected)) {
+    return errorResponse(new ChatError(ERROR_TYPES.UNAUTHORIZED, 'A reviewer token is required'));
+  }
+  
+  const durableObject = env.CHAT_MEMORY.get(env.CHAT_MEMORY.idFromString(objectId));
+  const url = new URL('/moderation', request.url);
+  url.search = new URL(request.url).search;
+  return durableObject.fetch(new Request(url, { method: 'GET' }));
+}
+
+/**
+ * Health report for /api/health, reused for HEALTH_CACHE_MS. Each component is
+ * operational, degraded (slow) or down, and the service is down when ChatMemory or
+ * its storage is, degraded when anything else isn't right
+ */
+let healthCheck = null; // { report, expires }
+
+async function getHealthReport(env) {
+  if (!healthCheck || healthCheck.expires <= Date.now()) {
+    // Only the finished report is shared - Workers can't await another request's I/O
+    healthCheck = { report: await checkHealth(env), expires: Date.now() + HEALTH_CACHE_MS };
+  }
+  return healthCheck.report;
+}
+
+async function checkHealth(env) {
+  const includeAI = env.HEALTH_CHECK_AI === 'true';
+  let memory = { status: 'unknown' };
+  let ai = { status: includeAI ? 'unknown' : 'unchecked' };
+  let durableObjects;
+  
+  // Round trip to the health instance - its own probe time is taken off the latency
+  const started = Date.now();
+  try {
+    const healthObject = env.CHAT_MEMORY.get(env.CHAT_MEMORY.idFromName(HEALTH_OBJECT_NAME));
+    const response = await withTimeout(
+      healthObject.fetch(`https://chat-memory/health${includeAI ? '?ai=1' : ''}`),
+      HEALTH_PROBE_TIMEOUT_MS * 2
+    );
+    if (!response.ok) {
+      throw new Error(`Health probe answered ${response.status}`);
+    }
+    const probe = await response.json();
+    ({ memory, ai } = probe);
+    durableObjects = probeResult(Math.max(Date.now() - started - probe.elapsedMs, 0), HEALTH_SLOW_MS.durableObjects);
+  } catch (error) {
+    durableObjects = { status: 'down', latencyMs: Date.now() - started, error: error.message };
+  }
+  
+  const components = { ai, durableObjects, memory };
+  let status = 'healthy';
+  if (durableObjects.status === 'down' || memory.status === 'down') {
+    status = 'down';
+  } else if (Object.values(components).some(component => ['degraded', 'down'].includes(component.status))) {
+    status = 'degraded';
+  }
+  
+  return {
+    status,
+    timestamp: new Date().toISOString(),
+    service: 'Cloudflare AI Assistant',
+    components
+  };
+}
+
+/**
+ * Times one health probe - down if it throws or takes longer than HEALTH_PROBE_TIMEOUT_MS
+ */
+async function timeProbe(probe, slowMs) {
+  const started = Date.now();
+  try {
+    await withTimeout(probe(), HEALTH_PROBE_TIMEOUT_MS);
+    return probeResult(Date.now() - started, slowMs);
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+function probeResult(latencyMs, slowMs) {
+  return { status: latencyMs > slowMs ? 'degraded' : 'operational', latencyMs };
+}
+
+/**
+ * The chat page plus the SHA-256 of its inline script, worked out once per isolate
+ */
+let chatPage = null;
+
+async function getChatPage() {
+  if (!chatPage) {
+    const html = getChatHTML();
+    const script = /<script>([\s\S]*?)<\/script>/.exec(html)[1];
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(script));
+    chatPage = { html, scriptHash: btoa(String.fromCharCode(...new Uint8Array(digest))) };
+  }
+  return chatPage;
+}
+
+/**
+ * Returns the HTML for our chat interface
+ * Kept inline to avoid extra file management - could be externalized later
+ */
+function getChatHTML() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>CF AI Assistant</title>
+    <meta name="description" content="AI-powered assistant built on Cloudflare Workers AI">
+    <style>
+        /* Apple Liquid Glass Design System (iOS 26 / WWDC 2025) */
+        
+        /* Theme tokens - light by default, dark and high contrast follow the system
+           unless a theme was picked (html[data-theme]). Text colours are 4.5:1 or
+           better on the surfaces they sit on */
+        :root {
+            color-scheme: light;
+            --page-bg: radial-gradient(ellipse 80% 50% at 50% -20%, rgba(120, 119, 198, 0.3), transparent),
+                       radial-gradient(ellipse 80% 80% at 80% 80%, rgba(255, 119, 198, 0.15), transparent),
+                       radial-gradient(ellipse 80% 100% at 20% 30%, rgba(120, 200, 255, 0.2), transparent),
+                       linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
+            --surface: rgba(255, 255, 255, 0.85);
+            --surface-muted: rgba(255, 255, 255, 0.55);
+            --surface-raised: rgba(255, 255, 255, 0.95);
+            --surface-solid: #f5f7fa;
+            --surface-tint: rgba(142, 142, 147, 0.15);
+            --surface-hover: rgba(142, 142, 147, 0.25);
+            --border: rgba(142, 142, 147, 0.4);
+            --overlay: rgba(29, 29, 31, 0.35);
+            --text: #1d1d1f;
+            --text-muted: #48484d;
+            --accent: #0051d5;
+            --accent-strong: #003fa8;
+            --on-accent: #ffffff;
+            --link: #0051d5;
+            --danger: #c4001a;
+            --warning: #8f4700;
+            --success: #1e7b34;
+            --focus-ring: #0051d5;
+        }
+        
+        @media (prefers-color-scheme: dark) {
+            :root:not([data-theme]) {
+                color-scheme: dark;
+                --page-bg: radial-gradient(ellipse 80% 50% at 50% -20%, rgba(90, 80, 200, 0.25), transparent),
+                           radial-gradient(ellipse 80% 100% at 20% 30%, rgba(40, 110, 200, 0.15), transparent),
+                           linear-gradient(135deg, #0d0f14 0%, #1b2030 100%);
+                --surface: rgba(28, 28, 34, 0.9);
+                --surface-muted: rgba(44, 44, 52, 0.55);
+                --surface-raised: rgba(50, 50, 58, 0.96);
+                --surface-solid: #1c1c22;
+                --surface-tint: rgba(142, 142, 147, 0.22);
+                --surface-hover: rgba(142, 142, 147, 0.32);
+                --border: rgba(255, 255, 255, 0.18);
+                --overlay: rgba(0, 0, 0, 0.6);
+                --text: #f2f2f7;
+                --text-muted: #c7c7cc;
+                --accent: #0a64d6;
+                --accent-strong: #0051d5;
+                --on-accent: #ffffff;
+                --link: #7ab8ff;
+                --danger: #ff8a80;
+                --warning: #ffb340;
+                --success: #5fd97a;
+                --focus-ring: #7ab8ff;
+            }
+        }
+        
+        :root[data-theme="dark"] {
+            color-scheme: dark;
+            --page-bg: radial-gradient(ellipse 80% 50% at 50% -20%, rgba(90, 80, 200, 0.25), transparent),
+                       radial-gradient(ellipse 80% 100% at 20% 30%, rgba(40, 110, 200, 0.15), transparent),
+                       linear-gradient(135deg, #0d0f14 0%, #1b2030 100%);
+            --surface: rgba(28, 28, 34, 0.9);
+            --surface-muted: rgba(44, 44, 52, 0.55);
+            --surface-raised: rgba(50, 50, 58, 0.96);
+            --surface-solid: #1c1c22;
+            --surface-tint: rgba(142, 142, 147, 0.22);
+            --surface-hover: rgba(142, 142, 147, 0.32);
+            --border: rgba(255, 255, 255, 0.18);
+            --overlay: rgba(0, 0, 0, 0.6);
+            --text: #f2f2f7;
+            --text-muted: #c7c7cc;
+            --accent: #0a64d6;
+            --accent-strong: #0051d5;
+            --on-accent: #ffffff;
+            --link: #7ab8ff;
+            --danger: #ff8a80;
+            --warning: #ffb340;
+            --success: #5fd97a;
+            --focus-ring: #7ab8ff;
+        }
+        
+        /* High contrast - solid surfaces, black text and borders */
+        @media (prefers-contrast: more) {
+            :root:not([data-theme]) {
+                color-scheme: light;
+                --page-bg: #ffffff;
+                --surface: #ffffff;
+                --surface-muted: #ffffff;
+                --surface-raised: #ffffff;
+                --surface-solid: #ffffff;
+                --surface-tint: #f0f0f0;
+                --surface-hover: #dcdcdc;
+                --border: #000000;
+                --overlay: rgba(0, 0, 0, 0.7);
+                --text: #000000;
+                --text-muted: #1d1d1f;
+                --accent: #0038a8;
+                --accent-strong: #002a80;
+                --on-accent: #ffffff;
+                --link: #0038a8;
+                --danger: #a3000f;
+                --warning: #6b3500;
+                --success: #0b5a1e;
+                --focus-ring: #000000;
+            }
+        }
+        
+        :root[data-theme="contrast"] {
+            color-scheme: light;
+            --page-bg: #ffffff;
+            --surface: #ffffff;
+            --surface-muted: #ffffff;
+            --surface-raised: #ffffff;
+            --surface-solid: #ffffff;
+            --surface-tint: #f0f0f0;
+            --surface-hover: #dcdcdc;
+            --border: #000000;
+            --overlay: rgba(0, 0, 0, 0.7);
+            --text: #000000;
+            --text-muted: #1d1d1f;
+            --accent: #0038a8;
+            --accent-strong: #002a80;
+            --on-accent: #ffffff;
+            --link: #0038a8;
+            --danger: #a3000f;
+            --warning: #6b3500;
+            --success: #0b5a1e;
+            --focus-ring: #000000;
+        }
+        
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', 'SF Pro Text', system-ui, sans-serif;
+            background: var(--page-bg);
+            color: var(--text);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 16px;
+            overflow: hidden;
+            position: relative;
+            -webkit-font-smoothing: antialiased;
+            text-rendering: optimizeLegibility;
+        }
+        
+        /* Liquid Glass Environment Effects */
+        body::before {
+            content: '';
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: 
+                radial-gradient(600px circle at var(--mouse-x, 50%) var(--mouse-y, 50%), rgba(255, 255, 255, 0.06), transparent 40%);
+            pointer-events: none;
+            transition: opacity 0.3s ease;
+            z-index: 1;
+        }
+        
+        /* Liquid Glass Container */
+        .chat-container {
+		    border: 0px !important;
+            width: 100%;
+            max-width: 1160px;
+            height: 85vh;
+            min-height: 600px;
+            position: relative;
+            z-index: 10;
+            
+            /* Authentic Liquid Glass Material */
+            background: var(--surface);
+            backdrop-filter: blur(40px) saturate(200%) contrast(120%) brightness(130%);
+            -webkit-backdrop-filter: blur(40px) saturate(200%) contrast(120%) brightness(130%);
+            
+            /* Liquid Glass Border and Shadow System */
+            border: 1px solid transparent;
+            border-image: linear-gradient(135deg, 
+                rgba(255, 255, 255, 0.4) 0%, 
+                rgba(255, 255, 255, 0.1) 50%, 
+                rgba(255, 255, 255, 0.4) 100%) 1;
+                
+            border-radius: 32px;
+            box-shadow: 
+                /* Primary depth shadow */
+                0 25px 50px -12px rgba(0, 0, 0, 0.25),
+                /* Liquid glass highlight */
+                inset 0 1px 0 rgba(255, 255, 255, 0.4),
+                inset 0 -1px 0 rgba(255, 255, 255, 0.1),
+                /* Ambient glow */
+                0 0 0 1px rgba(255, 255, 255, 0.05);
+                
+            display: flex;
+            flex-direction: row;
+            overflow: hidden;
+        }
+        
+        /* Main chat column (header, messages, input) */
+        .chat-main {
+            flex: 1;
+            min-width: 0;
+            display: flex;
+            flex-direction: column;
+        }
+        
+        /* Conversation Sidebar */
+        .conversation-sidebar {
+            width: 260px;
+            flex-shrink: 0;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            padding: 20px 12px;
+            overflow-y: auto;
+            
+            background: var(--surface-muted);
+            backdrop-filter: blur(20px) saturate(180%);
+            -webkit-backdrop-filter: blur(20px) saturate(180%);
+            border-right: 1px solid var(--border);
+        }
+        
+        .new-conversation-button {
+            width: 100%;
+            background: var(--accent);
+            color: var(--on-accent);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+        }
+        
+        .conversation-list {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        }
+        
+        .conversation-item {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding: 10px 12px;
+            border-radius: 14px;
+            cursor: pointer;
+            font-size: 0.875rem;
+            color: var(--text);
+            transition: background 0.2s ease;
+        }
+        
+        .conversation-item:hover {
+            background: var(--surface-hover);
+        }
+        
+        .conversation-item.active {
+            background: var(--surface-raised);
+            box-shadow: inset 0 1px 0 rgba(255, 255, 255, 0.8), 0 2px 8px rgba(0, 0, 0, 0.08);
+            font-weight: 600;
+        }
+        
+        .conversation-title {
+            flex: 1;
+            min-width: 0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            border: none;
+            background: none;
+            padding: 0;
+            font: inherit;
+            color: inherit;
+            text-align: left;
+            cursor: pointer;
+        }
+        
+        .conversation-action {
+            visibility: hidden;
+            border: none;
+            background: transparent;
+            cursor: pointer;
+            font-size: 0.8rem;
+            padding: 2px 4px;
+            border-radius: 6px;
+            color: inherit;
+            opacity: 0.7;
+        }
+        
+        .conversation-item:hover .conversation-action,
+        .conversation-item.active .conversation-action,
+        .conversation-item:focus-within .conversation-action {
+            visibility: visible;
+        }
+        
+        .conversation-action:hover, .conversation-action:focus-visible {
+            opacity: 1;
+            background: var(--surface-hover);
+        }
+        
+        .archived-conversations summary {
+            cursor: pointer;
+            font-size: 0.75rem;
+            font-weight: 600;
+            color: var(--text-muted);
+            padding: 4px 12px;
+            text-transform: uppercase;
+            letter-spacing: 0.04em;
+        }
+        
+        .archived-conversations .conversation-item {
+            color: var(--text-muted);
+        }
+        
+        .sidebar-toggle {
+            display: none;
+            position: absolute;
+            top: 20px;
+            left: 20px;
+            border: 1px solid var(--border);
+            background: var(--surface-raised);
+            color: var(--text);
+            border-radius: 12px;
+            padding: 6px 10px;
+            font-size: 1rem;
+            cursor: pointer;
+        }
+        
+        /* Liquid Glass Header */
+        .chat-header {
+            background: var(--surface-muted);
+            backdrop-filter: blur(20px) saturate(180%);
+            -webkit-backdrop-filter: blur(20px) saturate(180%);
+            
+            border-bottom: 1px solid var(--border);
+            padding: 28px 24px;
+            text-align: center;
+            position: relative;
+            
+            /* Glass-like refraction highlight */
+            background-image: 
+                linear-gradient(135deg, transparent 0%, rgba(255, 255, 255, 0.1) 50%, transparent 100%);
+        }
+        
+        .chat-header::before {
+            content: '';
+            position: absolute;
+            top: 0;
+            left: 20%;
+            right: 20%;
+            height: 1px;
+            background: linear-gradient(90deg, transparent, rgba(255, 255, 255, 0.6), transparent);
+        }
+        
+        .chat-header h1 {
+            font-size: 1.75rem;
+            font-weight: 700;
+            color: var(--text);
+            margin-bottom: 6px;
+            text-shadow: 0 1px 2px rgba(0, 0, 0, 0.1);
+        }
+        
+        .chat-header p {
+            font-size: 0.875rem;
+            font-weight: 500;
+            color: var(--text-muted);
+            letter-spacing: -0.005em;
+        }
+        
+        .status-indicator {
+            position: absolute;
+            top: 20px;
+            right: 24px;
+            padding: 6px 12px;
+            
+            /* Status Liquid Glass Material */
+            background: rgba(52, 199, 89, 0.15);
+            backdrop-filter: blur(10px) saturate(150%);
+            border: 1px solid rgba(52, 199, 89, 0.3);
+            border-radius: 20px;
+            
+            font-size: 0.75rem;
+            font-weight: 600;
+            color: var(--success);
+            letter-spacing: 0.02em;
+            
+            box-shadow: 
+                inset 0 1px 0 rgba(255, 255, 255, 0.3),
+                0 1px 3px rgba(52, 199, 89, 0.2);
+        }
+        
+        .status-indicator[data-status="checking"] {
+            background: rgba(142, 142, 147, 0.15);
+            border-color: rgba(142, 142, 147, 0.3);
+            color: var(--text-muted);
+        }
+        
+        .status-indicator[data-status="degraded"] {
+            background: rgba(255, 149, 0, 0.15);
+            border-color: rgba(255, 149, 0, 0.35);
+            color: var(--warning);
+        }
+        
+        .status-indicator[data-status="down"] {
+            background: rgba(255, 59, 48, 0.15);
+            border-color: rgba(255, 59, 48, 0.35);
+            color: var(--danger);
+        }
+        
+        .usage-meter {
+            margin-top: 8px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+            font-size: 0.75rem;
+            font-weight: 500;
+            color: var(--text-muted);
+        }
+        
+        .usage-meter[hidden] {
+            display: none;
+        }
+        
+        .usage-meter meter {
+            width: 120px;
+            height: 6px;
+        }
+        
+        .persona-picker {
+            margin-top: 12px;
+            display: inline-flex;
+            align-items: center;
+            gap: 8px;
+            font-size: 0.8125rem;
+            font-weight: 500;
+            color: var(--text-muted);
+        }
+        
+        .persona-picker + .persona-picker, .persona-picker + .study-link {
+            margin-left: 12px;
+        }
+        
+        .persona-picker select {
+            font: inherit;
+            color: var(--text);
+            padding: 5px 10px;
+            border: 1px solid var(--border);
+            border-radius: 12px;
+            background: var(--surface-raised);
+            backdrop-filter: blur(10px);
+            cursor: pointer;
+        }
+        
+        .chat-header .study-link {
+            margin-top: 12px;
+            font-size: 0.8125rem;
+            text-decoration: underline;
+        }
+        
+        /* Messages Container with Liquid Glass Environment */
+        .messages-container {
+            flex: 1;
+            overflow-y: auto;
+            padding: 24px;
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+            
+            /* Subtle inner gradient for depth */
+            background: 
+                radial-gradient(ellipse 50% 80% at 50% 0%, rgba(255, 255, 255, 0.05), transparent),
+                linear-gradient(to bottom, rgba(255, 255, 255, 0.02), rgba(255, 255, 255, 0.1));
+        }
+        
+        .messages-container::-webkit-scrollbar {
+            width: 3px;
+        }
+        
+        .messages-container::-webkit-scrollbar-track {
+            background: transparent;
+        }
+        
+        .messages-container::-webkit-scrollbar-thumb {
+            background: rgba(0, 0, 0, 0.2);
+            border-radius: 3px;
+        }
+        
+        /* Liquid Glass Message Bubbles */
+        .message {
+            max-width: 320px;
+            padding: 14px 18px;
+            font-size: 16px;
+            line-height: 1.4;
+            font-weight: 400;
+            position: relative;
+            white-space: pre-wrap; /* Preserve line breaks */
+            word-wrap: break-word;
+            
+            animation: liquidMessageAppear 0.6s cubic-bezier(0.23, 1, 0.32, 1);
+            transform-origin: center bottom;
+        }
+        
+        @keyframes liquidMessageAppear {
+            0% { 
+                opacity: 0; 
+                transform: scale(0.8) translateY(20px);
+                filter: blur(4px);
+            }
+            60% {
+                transform: scale(1.02) translateY(-2px);
+            }
+            100% { 
+                opacity: 1; 
+                transform: scale(1) translateY(0);
+                filter: blur(0px);
+            }
+        }
+        
+        .user-message {
+            margin-left: auto;
+            background: var(--accent);
+            color: var(--on-accent);
+            border-radius: 20px 20px 4px 20px;
+            
+            /* Liquid Glass Message Depth */
+            box-shadow: 
+                0 4px 16px rgba(0, 122, 255, 0.3),
+                inset 0 1px 0 rgba(255, 255, 255, 0.3),
+                0 1px 3px rgba(0, 0, 0, 0.1);
+                
+            border: 1px solid rgba(255, 255, 255, 0.2);
+        }
+        
+        .assistant-message {
+            margin-right: auto;
+            background: var(--surface-raised);
+            backdrop-filter: blur(20px) saturate(180%) contrast(120%);
+            -webkit-backdrop-filter: blur(20px) saturate(180%) contrast(120%);
+            
+            color: var(--text);
+            border-radius: 20px 20px 20px 4px;
+            
+            /* Assistant Message Liquid Glass Effect */
+            border: 1px solid var(--border);
+            box-shadow: 
+                0 8px 32px rgba(0, 0, 0, 0.12),
+                inset 0 1px 0 rgba(255, 255, 255, 0.8),
+                inset 0 -1px 0 rgba(0, 0, 0, 0.05),
+                0 0 0 1px rgba(255, 255, 255, 0.1);
+        }
+        
+        .system-message {
+            background: var(--surface-tint);
+            backdrop-filter: blur(10px);
+            color: var(--text-muted);
+            text-align: center;
+            border-radius: 16px;
+            font-size: 0.875rem;
+            font-weight: 500;
+            align-self: center;
+            max-width: 85%;
+            padding: 10px 16px;
+            
+            border: 1px solid var(--border);
+            box-shadow: inset 0 1px 0 rgba(255, 255, 255, 0.5);
+        }
+        
+        .loading-indicator {
+            margin-right: auto;
+            background: var(--surface-raised);
+            backdrop-filter: blur(15px) saturate(150%);
+            color: var(--text-muted);
+            border-radius: 20px 20px 20px 4px;
+            font-style: normal;
+            font-size: 0.875rem;
+            font-weight: 500;
+            display: none;
+            position: relative;
+            
+            border: 1px solid var(--border);
+            box-shadow: 
+                0 4px 16px rgba(0, 0, 0, 0.1),
+                inset 0 1px 0 rgba(255, 255, 255, 0.7);
+        }
+        
+        /* Liquid Glass Input Section */
+        .input-section {
+            padding: 20px 24px 24px;
+            background: var(--surface-muted);
+            backdrop-filter: blur(40px) saturate(200%);
+            -webkit-backdrop-filter: blur(40px) saturate(200%);
+            
+            border-top: 1px solid var(--border);
+            display: flex;
+            gap: 12px;
+            align-items: flex-end;
+            
+            /* Input section glass highlight */
+            background-image: 
+                radial-gradient(600px circle at 50% 0%, rgba(255, 255, 255, 0.1), transparent 50%);
+        }
+        
+        .input-group {
+            flex: 1;
+            position: relative;
+        }
+        
+        .message-input {
+            width: 100%;
+            padding: 14px 18px;
+            
+            /* Input Liquid Glass Material */
+            background: var(--surface-raised);
+            backdrop-filter: blur(20px) saturate(180%);
+            -webkit-backdrop-filter: blur(20px) saturate(180%);
+            
+            border: 1px solid var(--border);
+            border-radius: 24px;
+            
+            font-size: 16px;
+            font-family: inherit;
+            font-weight: 400;
+            color: var(--text);
+            resize: none;
+            min-height: 48px;
+            max-height: 120px;
+            
+            transition: all 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+            line-height: 1.4;
+            
+            box-shadow: 
+                inset 0 2px 4px rgba(0, 0, 0, 0.06),
+                inset 0 1px 0 rgba(255, 255, 255, 0.7),
+                0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+        
+        .message-input::placeholder {
+            color: var(--text-muted);
+        }
+        
+        .message-input:focus {
+            border-color: var(--accent);
+            box-shadow: 
+                0 0 0 4px rgba(0, 122, 255, 0.1),
+                inset 0 2px 4px rgba(0, 0, 0, 0.06),
+                inset 0 1px 0 rgba(255, 255, 255, 0.8),
+                0 4px 16px rgba(0, 122, 255, 0.2);
+        }
+        
+        /* Liquid Glass Buttons */
+        .btn {
+            padding: 14px 20px;
+            border: none;
+            border-radius: 24px;
+            cursor: pointer;
+            font-weight: 600;
+            font-size: 16px;
+            min-width: 80px;
+            height: 48px;
+            
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            
+            transition: all 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94);
+            position: relative;
+            overflow: hidden;
+            
+            /* Button Liquid Glass Depth */
+            box-shadow: 
+                0 4px 16px rgba(0, 0, 0, 0.12),
+                inset 0 1px 0 rgba(255, 255, 255, 0.4);
+        }
+        
+        .btn::before {
+            content: '';
+            position: absolute;
+            top: 0;
+            left: -100%;
+            width: 100%;
+            height: 100%;
+            background: linear-gradient(90deg, transparent, rgba(255, 255, 255, 0.3), transparent);
+            transition: left 0.5s ease;
+        }
+        
+        .btn:hover::before {
+            left: 100%;
+        }
+        
+        .send-button {
+            background: var(--accent);
+            color: var(--on-accent);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+        }
+        
+        .send-button:hover:not(:disabled) {
+            transform: translateY(-2px);
+            box-shadow: 
+                0 8px 24px rgba(0, 122, 255, 0.4),
+                inset 0 1px 0 rgba(255, 255, 255, 0.5);
+                
+            background: var(--accent-strong);
+        }
+        
+        .send-button:active:not(:disabled) {
+            transform: translateY(0);
+        }
+        
+        .send-button:disabled {
+            background: rgba(142, 142, 147, 0.3);
+            color: rgba(60, 60, 67, 0.6);
+            cursor: not-allowed;
+            transform: none;
+            box-shadow: inset 0 1px 0 rgba(255, 255, 255, 0.3);
+        }
+        
+        .clear-button, .study-button {
+            background: var(--surface-tint);
+            backdrop-filter: blur(10px);
+            color: var(--text);
+            border: 1px solid var(--border);
+        }
+        
+        .clear-button:hover, .study-button:hover {
+            background: var(--surface-hover);
+            transform: translateY(-2px);
+            box-shadow: 
+                0 8px 24px rgba(0, 0, 0, 0.15),
+                inset 0 1px 0 rgba(255, 255, 255, 0.5);
+        }
+        
+        .study-button {
+            width: 100%;
+        }
+        
+        /* Push-to-talk - held down, it turns red while it listens */
+        .mic-button {
+            min-width: 48px;
+            padding-left: 0;
+            padding-right: 0;
+            touch-action: none;
+            user-select: none;
+            -webkit-user-select: none;
+        }
+        
+        .mic-button.recording {
+            background: var(--danger);
+            border-color: var(--danger);
+            color: var(--on-accent);
+        }
+        
+        /* Export formats pop up above the button */
+        .export-menu {
+            position: relative;
+        }
+        
+        .export-options {
+            position: absolute;
+            bottom: calc(100% + 8px);
+            right: 0;
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            padding: 6px;
+            background: var(--surface-solid);
+            border: 1px solid var(--border);
+            border-radius: 12px;
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+            z-index: 10;
+        }
+        
+        .export-options[hidden] {
+            display: none;
+        }
+        
+        .export-options button {
+            background: none;
+            border: none;
+            padding: 8px 14px;
+            border-radius: 8px;
+            color: var(--text);
+            font-size: 14px;
+            text-align: left;
+            white-space: nowrap;
+            cursor: pointer;
+        }
+        
+        .export-options button:hover {
+            background: var(--surface-hover);
+        }
+        
+        /* Study overlay (flashcards) - covers the chat while open */
+        .study-panel {
+            position: absolute;
+            inset: 0;
+            z-index: 30;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 16px;
+            background: var(--overlay);
+            backdrop-filter: blur(6px);
+            -webkit-backdrop-filter: blur(6px);
+        }
+        
+        .study-panel[hidden] { display: none; }
+        
+        .study-dialog {
+            width: min(560px, 100%);
+            max-height: 100%;
+            overflow-y: auto;
+            padding: 24px;
+            border-radius: 24px;
+            background: var(--surface-solid);
+            border: 1px solid var(--border);
+            box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25);
+            color: var(--text);
+        }
+        
+        .study-dialog-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            margin-bottom: 16px;
+        }
+        
+        .study-dialog-header h2 {
+            font-size: 1.25rem;
+            font-weight: 700;
+        }
+        
+        .study-close, .study-link {
+            border: none;
+            background: none;
+            cursor: pointer;
+            color: var(--text-muted);
+            font: inherit;
+        }
+        
+        .study-close { font-size: 1.1rem; padding: 4px 8px; }
+        .study-link { margin-top: 16px; font-size: 0.875rem; }
+        
+        .deck-form {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            align-items: center;
+            margin-bottom: 16px;
+        }
+        
+        .study-input {
+            flex: 1;
+            min-width: 200px;
+            padding: 12px 16px;
+            font: inherit;
+            font-size: 15px;
+            border: 1px solid var(--border);
+            border-radius: 16px;
+            background: var(--surface-raised);
+            color: var(--text);
+        }
+        
+        .deck-form label {
+            width: 100%;
+            font-size: 0.8125rem;
+            color: var(--text-muted);
+        }
+        
+        .study-status {
+            min-height: 1.25em;
+            margin-bottom: 8px;
+            font-size: 0.875rem;
+            color: var(--text-muted);
+        }
+        
+        .deck-item {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 10px 12px;
+            border-radius: 12px;
+            background: var(--surface-tint);
+            margin-bottom: 6px;
+        }
+        
+        .deck-title { flex: 1; min-width: 0; font-weight: 600; overflow-wrap: anywhere; }
+        .deck-meta { font-size: 0.8125rem; color: var(--text-muted); white-space: nowrap; }
+        
+        .deck-item .btn {
+            height: 34px;
+            min-width: 0;
+            padding: 6px 14px;
+            font-size: 14px;
+        }
+        
+        .flashcard {
+            min-height: 180px;
+            padding: 24px;
+            border-radius: 20px;
+            background: var(--surface-raised);
+            border: 1px solid var(--border);
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.08);
+            font-size: 1.05rem;
+            line-height: 1.5;
+            white-space: pre-wrap;
+            overflow-wrap: anywhere;
+        }
+        
+        .flashcard-answer {
+            margin-top: 16px;
+            padding-top: 16px;
+            border-top: 1px solid rgba(142, 142, 147, 0.3);
+        }
+        
+        .review-progress {
+            font-size: 0.875rem;
+            color: var(--text-muted);
+            margin-bottom: 8px;
+        }
+        
+        .review-actions, .grade-buttons {
+            display: flex;
+            gap: 8px;
+            justify-content: center;
+            margin-top: 16px;
+        }
+        
+        .study-dialog [hidden] { display: none; }
+        .grade-buttons .btn { flex: 1; min-width: 0; padding: 10px; font-size: 15px; }
+        
+        .assignment-item.done .deck-title {
+            text-decoration: line-through;
+            color: var(--text-muted);
+        }
+        
+        .assignment-item.overdue .deck-meta { color: var(--danger); }
+        .assignment-item input[type="checkbox"] { width: 18px; height: 18px; flex-shrink: 0; }
+        
+        .calendar-links {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 12px;
+            margin-top: 12px;
+            font-size: 0.875rem;
+        }
+        
+        .calendar-links .study-link { margin-top: 0; text-decoration: none; }
+        
+        /* Tool calls above an assistant reply */
+        .tool-steps {
+            margin-bottom: 10px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid rgba(142, 142, 147, 0.2);
+            font-size: 0.8125rem;
+            white-space: normal;
+        }
+        
+        .tool-steps summary {
+            cursor: pointer;
+            color: var(--text-muted);
+            font-weight: 500;
+        }
+        
+        .tool-step {
+            margin: 6px 0 0 12px;
+        }
+        
+        .tool-step summary {
+            font-family: ui-monospace, 'SF Mono', Menlo, Consolas, monospace;
+            font-weight: 400;
+            overflow-wrap: anywhere;
+        }
+        
+        .tool-step pre {
+            margin: 4px 0 0;
+            padding: 8px 10px;
+            border-radius: 8px;
+            background: rgba(142, 142, 147, 0.12);
+            font-size: 0.75rem;
+            white-space: pre-wrap;
+            overflow-wrap: anywhere;
+        }
+        
+        .tool-step-error summary {
+            color: var(--danger);
+        }
+        
+        /* Moderation notes, assignments picked up from a message, and reminders */
+        .moderation-note, .assignment-note {
+            margin-top: 8px;
+            font-size: 0.75rem;
+            font-weight: 500;
+            color: var(--warning);
+            white-space: normal;
+        }
+        
+        .system-message.refusal-message {
+            background: rgba(255, 59, 48, 0.1);
+            border-color: rgba(255, 59, 48, 0.3);
+            color: var(--danger);
+        }
+        
+        .assignment-note {
+            color: var(--link);
+        }
+        
+        .message.reminder-message {
+            border-left: 3px solid #ff9500;
+        }
+        
+        /* Note sources under an assistant reply */
+        .message-sources {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            margin-top: 10px;
+            padding-top: 8px;
+            border-top: 1px solid rgba(142, 142, 147, 0.2);
+            font-size: 0.75rem;
+            white-space: normal;
+        }
+        
+        .source-chip {
+            padding: 2px 8px;
+            border-radius: 10px;
+            background: rgba(0, 122, 255, 0.1);
+            color: var(--link);
+        }
+        
+        /* Rendered Markdown in replies */
+        .message.markdown {
+            white-space: normal;
+        }
+        
+        .markdown > * + *, .markdown li > * + *, .markdown blockquote > * + * {
+            margin-top: 8px;
+        }
+        
+        .markdown h3, .markdown h4, .markdown h5, .markdown h6 {
+            font-size: 1rem;
+            font-weight: 700;
+        }
+        
+        .markdown h3 {
+            font-size: 1.1rem;
+        }
+        
+        .markdown ul, .markdown ol {
+            padding-left: 22px;
+        }
+        
+        .markdown li + li {
+            margin-top: 4px;
+        }
+        
+        .markdown blockquote {
+            padding-left: 10px;
+            border-left: 3px solid rgba(142, 142, 147, 0.4);
+            color: var(--text-muted);
+        }
+        
+        .markdown hr {
+            border: none;
+            border-top: 1px solid rgba(142, 142, 147, 0.3);
+        }
+        
+        .markdown a {
+            color: var(--link);
+            text-decoration: underline;
+        }
+        
+        .inline-code {
+            padding: 1px 5px;
+            border-radius: 6px;
+            background: rgba(142, 142, 147, 0.15);
+            font-family: ui-monospace, 'SF Mono', Menlo, Consolas, monospace;
+            font-size: 0.875em;
+        }
+        
+        .code-block {
+            border-radius: 12px;
+            overflow: hidden;
+            background: #1e1e24;
+            color: #e6e6eb;
+        }
+        
+        .code-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 4px 8px 4px 12px;
+            background: rgba(255, 255, 255, 0.08);
+            font-size: 0.75rem;
+        }
+        
+        .copy-button {
+            background: none;
+            border: none;
+            padding: 2px 8px;
+            border-radius: 6px;
+            color: inherit;
+            font-size: inherit;
+            cursor: pointer;
+        }
+        
+        .copy-button:hover {
+            background: rgba(255, 255, 255, 0.15);
+        }
+        
+        .code-block pre {
+            padding: 10px 12px;
+            overflow-x: auto;
+            font-family: ui-monospace, 'SF Mono', Menlo, Consolas, monospace;
+            font-size: 0.8125rem;
+            line-height: 1.5;
+        }
+        
+        .token-keyword { color: #ff7ab2; }
+        .token-string { color: #ff8170; }
+        .token-number { color: #d9c97c; }
+        .token-comment { color: #7f8c98; font-style: italic; }
+        
+        .table-wrapper {
+            overflow-x: auto;
+        }
+        
+        .markdown table {
+            border-collapse: collapse;
+            font-size: 0.875rem;
+        }
+        
+        .markdown th, .markdown td {
+            padding: 4px 10px;
+            border: 1px solid rgba(142, 142, 147, 0.3);
+            text-align: left;
+        }
+        
+        .markdown th {
+            background: rgba(142, 142, 147, 0.1);
+        }
+        
+        .math-display {
+            overflow-x: auto;
+        }
+        
+        /* Edit / regenerate and branch arrows under a message */
+        .message-actions {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            margin-top: 8px;
+            font-size: 0.75rem;
+            white-space: nowrap;
+        }
+        
+        .message-actions button {
+            background: none;
+            border: none;
+            padding: 2px 6px;
+            border-radius: 8px;
+            color: inherit;
+            font-size: inherit;
+            opacity: 0.7;
+            cursor: pointer;
+        }
+        
+        .message-actions button:hover:not(:disabled) {
+            opacity: 1;
+            background: rgba(142, 142, 147, 0.2);
+        }
+        
+        .message-actions button:disabled {
+            opacity: 0.3;
+            cursor: default;
+        }
+        
+        .branch-position {
+            opacity: 0.7;
+        }
+        
+        .message-edit-input {
+            width: 100%;
+            min-width: 240px;
+            padding: 8px;
+            border: none;
+            border-radius: 10px;
+            background: var(--surface-raised);
+            color: var(--text);
+            font: inherit;
+            resize: vertical;
+        }
+        
+        /* Inline quiz card in the chat */
+        .quiz-card {
+            max-width: 100%;
+            width: 100%;
+            white-space: normal;
+        }
+        
+        .quiz-card h3 {
+            font-size: 1.05rem;
+            margin-bottom: 4px;
+        }
+        
+        .quiz-score {
+            font-size: 0.875rem;
+            color: var(--text-muted);
+            margin-bottom: 12px;
+        }
+        
+        .quiz-question {
+            padding: 12px 0;
+            border-top: 1px solid rgba(142, 142, 147, 0.2);
+        }
+        
+        .quiz-question > p { font-weight: 600; margin-bottom: 8px; }
+        
+        .quiz-choice {
+            display: flex;
+            gap: 8px;
+            align-items: baseline;
+            padding: 4px 0;
+            cursor: pointer;
+        }
+        
+        .quiz-choice.correct { color: var(--success); font-weight: 600; }
+        .quiz-choice.wrong { color: var(--danger); text-decoration: line-through; }
+        
+        .quiz-question .study-input { width: 100%; margin-bottom: 8px; }
+        
+        .quiz-question .btn {
+            height: 36px;
+            min-width: 0;
+            padding: 6px 16px;
+            font-size: 14px;
+            margin-top: 8px;
+        }
+        
+        .quiz-feedback {
+            margin-top: 8px;
+            padding: 10px 12px;
+            border-radius: 12px;
+            font-size: 0.9rem;
+            background: rgba(142, 142, 147, 0.12);
+        }
+        
+        .quiz-feedback.correct { background: rgba(52, 199, 89, 0.15); }
+        .quiz-feedback.partial { background: rgba(255, 149, 0, 0.15); }
+        .quiz-feedback.wrong { background: rgba(255, 59, 48, 0.12); }
+        
+        /* Quiz results - one row per topic with a bar per attempt */
+        .topic-result {
+            padding: 12px;
+            border-radius: 12px;
+            background: var(--surface-tint);
+            margin-bottom: 8px;
+        }
+        
+        .topic-result-header {
+            display: flex;
+            justify-content: space-between;
+            gap: 8px;
+            font-weight: 600;
+        }
+        
+        .score-bars {
+            display: flex;
+            align-items: flex-end;
+            gap: 4px;
+            height: 48px;
+            margin-top: 8px;
+        }
+        
+        .score-bar {
+            width: 14px;
+            min-height: 3px;
+            border-radius: 3px 3px 0 0;
+            background: linear-gradient(180deg, #5AC8FA 0%, #007AFF 100%);
+        }
+        
+        .score-bar.in-progress {
+            background: rgba(142, 142, 147, 0.35);
+            cursor: pointer;
+        }
+        
+        /* Welcome Message with Liquid Glass */
+        .welcome-message {
+            text-align: center;
+            padding: 48px 24px;
+            
+            background: var(--surface-muted);
+            backdrop-filter: blur(15px) saturate(150%);
+            border: 1px solid var(--border);
+            border-radius: 24px;
+            margin: 0 8px;
+            
+            box-shadow: 
+                inset 0 1px 0 rgba(255, 255, 255, 0.4),
+                0 8px 32px rgba(0, 0, 0, 0.1);
+        }
+        
+        .welcome-message h2 {
+            font-size: 1.5rem;
+            font-weight: 700;
+            color: var(--text);
+            margin-bottom: 16px;
+        }
+        
+        .welcome-message p {
+            color: var(--text-muted);
+            margin-bottom: 12px;
+            line-height: 1.5;
+            font-size: 0.9rem;
+        }
+        
+        /* Responsive Design */
+        @media (max-width: 768px) {
+            body { padding: 8px; }
+            .chat-container { 
+                height: 95vh; 
+                border-radius: 24px;
+                max-width: 100%;
+            }
+            .chat-header { padding: 20px; }
+            .messages-container { padding: 16px; gap: 12px; }
+            .message { 
+                max-width: 85%; 
+                font-size: 15px;
+                padding: 12px 16px;
+            }
+            .input-section { padding: 16px; }
+            .status-indicator { 
+                position: static; 
+                display: inline-block; 
+                margin-top: 12px;
+            }
+            .welcome-message {
+                margin: 0 4px;
+                padding: 32px 20px;
+            }
+            .sidebar-toggle { display: block; }
+            .conversation-sidebar {
+                position: absolute;
+                top: 0;
+                bottom: 0;
+                left: 0;
+                z-index: 20;
+                transform: translateX(-100%);
+                visibility: hidden; /* keeps the closed drawer out of the tab order */
+                transition: transform 0.3s ease, visibility 0.3s;
+                background: var(--surface-solid);
+            }
+            .conversation-sidebar.open { transform: translateX(0); visibility: visible; }
+        }
+        
+        /* Keyboard focus is always visible, whatever the theme */
+        :focus-visible {
+            outline: 3px solid var(--focus-ring);
+            outline-offset: 2px;
+        }
+        
+        .message-input:focus-visible {
+            outline-offset: 0;
+        }
+        
+        /* Read by screen readers, not shown */
+        .visually-hidden {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            margin: -1px;
+            padding: 0;
+            overflow: hidden;
+            clip: rect(0 0 0 0);
+            white-space: nowrap;
+            border: 0;
+        }
+        
+        .shortcut-list {
+            display: grid;
+            grid-template-columns: auto 1fr;
+            gap: 10px 16px;
+            align-items: baseline;
+            font-size: 0.9375rem;
+        }
+        
+        .shortcut-list dt {
+            white-space: nowrap;
+        }
+        
+        kbd {
+            padding: 1px 6px;
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            background: var(--surface-tint);
+            font-family: ui-monospace, 'SF Mono', Menlo, Consolas, monospace;
+            font-size: 0.8125rem;
+        }
+        
+        /* Motion off for anyone who asked their OS for less of it */
+        @media (prefers-reduced-motion: reduce) {
+            *, *::before, *::after {
+                animation-duration: 0.01ms !important;
+                animation-iteration-count: 1 !important;
+                transition-duration: 0.01ms !important;
+                scroll-behavior: auto !important;
+            }
+            body::before { display: none; }
+            .btn::before { display: none; }
+            .send-button:hover:not(:disabled), .clear-button:hover, .study-button:hover {
+                transform: none;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="chat-container">
+        <aside class="conversation-sidebar" id="conversationSidebar" aria-label="Chats and study tools">
+            <button id="newConversationButton" class="btn new-conversation-button" aria-keyshortcuts="Alt+N">+ New chat</button>
+            <button id="flashcardsButton" class="btn study-button" aria-haspopup="dialog"><span aria-hidden="true">🗂</span>&nbsp;Flashcards</button>
+            <button id="quizResultsButton" class="btn study-button" aria-haspopup="dialog"><span aria-hidden="true">📊</span>&nbsp;Quizzes</button>
+            <button id="notesButton" class="btn study-button" aria-haspopup="dialog"><span aria-hidden="true">📎</span>&nbsp;Notes</button>
+            <button id="assignmentsButton" class="btn study-button" aria-haspopup="dialog"><span aria-hidden="true">📅</span>&nbsp;Assignments</button>
+            <button id="privacyButton" class="btn study-button" aria-haspopup="dialog"><span aria-hidden="true">🔒</span>&nbsp;Your data</button>
+            <nav class="conversation-list" id="conversationList" aria-label="Conversations"></nav>
+            <details class="archived-conversations" id="archivedSection">
+                <summary>Archived</summary>
+                <nav class="conversation-list" id="archivedList" aria-label="Archived conversations"></nav>
+            </details>
+        </aside>
+        
+        <main class="chat-main">
+            <header class="chat-header">
+                <button class="sidebar-toggle" id="sidebarToggle" title="Conversations" aria-label="Conversations" aria-controls="conversationSidebar" aria-expanded="false">☰</button>
+                <div class="status-indicator" id="statusIndicator" data-status="checking" role="status">Checking…</div>
+                <h1>AI Assistant</h1>
+                <p>Powered by Cloudflare Workers AI (Llama 3.3 70B)</p>
+                <div class="persona-picker">
+                    <label for="personaSelect">Mode</label>
+                    <select id="personaSelect"></select>
+                </div>
+                <div class="persona-picker">
+                    <label for="themeSelect">Theme</label>
+                    <select id="themeSelect">
+                        <option value="">System</option>
+                        <option value="light">Light</option>
+                        <option value="dark">Dark</option>
+                        <option value="contrast">High contrast</option>
+                    </select>
+                </div>
+                <button class="study-link" id="shortcutsButton" aria-haspopup="dialog" aria-keyshortcuts="Alt+/">Keyboard shortcuts</button>
+                <div class="usage-meter" id="usageMeter" hidden>
+                    <meter id="usageBar" min="0" max="1" low="0.2" high="0.5" optimum="1" value="1" aria-labelledby="usageText"></meter>
+                    <span id="usageText"></span>
+                </div>
+            </header>
+        
+            <!-- Not a live region itself: streamed tokens would be read out piecemeal, so
+                 finished replies and errors go through the announcers at the end of the page -->
+            <div class="messages-container" id="messagesContainer" role="log" aria-live="off" aria-label="Messages" tabindex="0">
+                <div class="welcome-message" id="welcomeMessage">
+                    <h2>Welcome to Your AI Assistant</h2>
+                    <p>Ask me anything - I can help with questions, coding, creative writing, analysis, and more!</p>
+                    <p>Type <strong>/quiz</strong> and a topic to test yourself.</p>
+                    </div>
+            </div>
+        
+            <div class="input-section">
+                <div class="input-group">
+                    <label for="messageInput" class="visually-hidden">Message the assistant</label>
+                    <textarea 
+                        id="messageInput" 
+                        class="message-input" 
+                        placeholder="Message"
+                        rows="1"
+                        aria-describedby="messageHint"
+                        aria-keyshortcuts="Alt+M"
+                    ></textarea>
+                    <p id="messageHint" class="visually-hidden">Enter sends, Shift+Enter starts a new line. Alt+/ lists keyboard shortcuts.</p>
+                </div>
+                <button id="micButton" class="btn clear-button mic-button" title="Hold to talk (or tap to start and stop)" aria-label="Hold to talk" aria-pressed="false" aria-keyshortcuts="Alt+V">🎤</button>
+                <button id="sendButton" class="btn send-button">Send</button>
+                <button id="clearButton" class="btn clear-button">Clear</button>
+                <div class="export-menu">
+                    <button id="exportButton" class="btn clear-button" aria-haspopup="true" aria-expanded="false">Export</button>
+                    <div class="export-options" id="exportOptions" role="menu" hidden>
+                        <button role="menuitem" data-format="md">Markdown (.md)</button>
+                        <button role="menuitem" data-format="json">JSON (.json)</button>
+                        <button role="menuitem" data-format="txt">Plain text (.txt)</button>
+                    </div>
+                </div>
+                <button id="importButton" class="btn clear-button" title="Restore a JSON export">Import</button>
+                <input type="file" id="importInput" accept=".json,application/json" hidden>
+            </div>
+        </main>
+        
+        <div class="study-panel" id="flashcardPanel" hidden>
+            <div class="study-dialog" role="dialog" aria-modal="true" aria-labelledby="flashcardHeading">
+                <div class="study-dialog-header">
+                    <h2 id="flashcardHeading">Flashcards</h2>
+                    <button class="study-close" id="closeFlashcards" title="Close" aria-label="Close">✕</button>
+                </div>
+                
+                <div id="deckView">
+                    <form class="deck-form" id="deckForm">
+                        <input id="deckTopic" class="study-input" maxlength="200" placeholder="Topic (optional)">
+                        <button type="submit" class="btn send-button" id="generateDeckButton">Make cards</button>
+                        <label><input type="checkbox" id="deckFromChat" checked> Use the open conversation</label>
+                    </form>
+                    <p class="study-status" id="deckStatus" aria-live="polite"></p>
+                    <div id="deckList"></div>
+                </div>
+                
+                <div id="reviewView" hidden>
+                    <p class="review-progress" id="reviewProgress"></p>
+                    <div class="flashcard">
+                        <div id="flashcardQuestion"></div>
+                        <div class="flashcard-answer" id="flashcardAnswer" hidden></div>
+                    </div>
+                    <div class="review-actions">
+                        <button class="btn send-button" id="showAnswerButton">Show answer</button>
+                        <div class="grade-buttons" id="gradeButtons" hidden>
+                            <button class="btn clear-button" data-grade="1">Again</button>
+                            <button class="btn clear-button" data-grade="3">Hard</button>
+                            <button class="btn clear-button" data-grade="4">Good</button>
+                            <button class="btn send-button" data-grade="5">Easy</button>
+                        </div>
+                    </div>
+                    <button class="study-link" id="backToDecks">← Back to decks</button>
+                </div>
+            </div>
+        </div>
+        
+        <div class="study-panel" id="notesPanel" hidden>
+            <div class="study-dialog" role="dialog" aria-modal="true" aria-labelledby="notesHeading">
+                <div class="study-dialog-header">
+                    <h2 id="notesHeading">Course notes</h2>
+                    <button class="study-close" id="closeNotes" title="Close" aria-label="Close">✕</button>
+                </div>
+                <p class="review-progress">Upload notes and the assistant will answer from them, citing which note it used.</p>
+                <form class="deck-form" id="notesForm">
+                    <input type="file" id="notesFile" class="study-input" accept=".txt,.md,.markdown,.pdf,text/plain,text/markdown,application/pdf" aria-label="Notes file">
+                    <button type="submit" class="btn send-button" id="uploadNotesButton">Upload</button>
+                </form>
+                <p class="study-status" id="notesStatus" aria-live="polite"></p>
+                <div id="notesList"></div>
+            </div>
+        </div>
+        
+        <div class="study-panel" id="assignmentsPanel" hidden>
+            <div class="study-dialog" role="dialog" aria-modal="true" aria-labelledby="assignmentsHeading">
+                <div class="study-dialog-header">
+                    <h2 id="assignmentsHeading">Assignments</h2>
+                    <button class="study-close" id="closeAssignments" title="Close" aria-label="Close">✕</button>
+                </div>
+                <p class="review-progress">Add deadlines here, or just mention them in chat ("my essay is due Friday"). A reminder is posted into the chat a day before each one.</p>
+                <form class="deck-form" id="assignmentForm">
+                    <input id="assignmentTitle" class="study-input" maxlength="100" placeholder="What's due?" aria-label="Assignment" required>
+                    <input id="assignmentCourse" class="study-input" maxlength="100" placeholder="Course (optional)" aria-label="Course">
+                    <input id="assignmentDue" class="study-input" type="datetime-local" aria-label="Due" required>
+                    <button type="submit" class="btn send-button" id="addAssignmentButton">Add</button>
+                </form>
+                <p class="study-status" id="assignmentsStatus" aria-live="polite"></p>
+                <div id="assignmentList"></div>
+                <div class="calendar-links">
+                    <a class="study-link" href="/api/assignments.ics" download="assignments.ics">⬇ Download .ics</a>
+                    <button class="study-link" id="copyCalendarFeed">🔗 Copy calendar feed link</button>
+                </div>
+            </div>
+        </div>
+        
+        <div class="study-panel" id="privacyPanel" hidden>
+            <div class="study-dialog" role="dialog" aria-modal="true" aria-labelledby="privacyHeading">
+                <div class="study-dialog-header">
+                    <h2 id="privacyHeading">Your data</h2>
+                    <button class="study-close" id="closePrivacy" title="Close" aria-label="Close">✕</button>
+                </div>
+                <p class="review-progress" id="retentionInfo"></p>
+                <div id="storedData"></div>
+                <p class="study-status" id="privacyStatus" aria-live="polite"></p>
+                <div class="review-actions">
+                    <button class="btn clear-button" id="deleteSessionButton">Delete all my data</button>
+                    <button class="btn send-button" id="downloadReceiptButton" hidden>Download receipt</button>
+                    <button class="btn send-button" id="startFreshButton" hidden>Start fresh</button>
+                </div>
+            </div>
+        </div>
+        
+        <div class="study-panel" id="quizPanel" hidden>
+            <div class="study-dialog" role="dialog" aria-modal="true" aria-labelledby="quizHeading">
+                <div class="study-dialog-header">
+                    <h2 id="quizHeading">Quiz results</h2>
+                    <button class="study-close" id="closeQuizResults" title="Close" aria-label="Close">✕</button>
+                </div>
+                <form class="deck-form" id="quizForm">
+                    <input id="quizTopic" class="study-input" maxlength="200" placeholder="Quiz me on..." required>
+                    <button type="submit" class="btn send-button">Start quiz</button>
+                </form>
+                <p class="study-status" id="quizStatus" aria-live="polite"></p>
+                <div id="quizResults"></div>
+            </div>
+        </div>
+        
+        <div class="study-panel" id="shortcutsPanel" hidden>
+            <div class="study-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutsHeading">
+                <div class="study-dialog-header">
+                    <h2 id="shortcutsHeading">Keyboard shortcuts</h2>
+                    <button class="study-close" id="closeShortcuts" title="Close" aria-label="Close">✕</button>
+                </div>
+                <dl class="shortcut-list">
+                    <dt><kbd>Enter</kbd></dt><dd>Send the message</dd>
+                    <dt><kbd>Shift</kbd> + <kbd>Enter</kbd></dt><dd>New line in the message</dd>
+                    <dt><kbd>Alt</kbd> + <kbd>M</kbd></dt><dd>Jump to the message box</dd>
+                    <dt><kbd>Alt</kbd> + <kbd>N</kbd></dt><dd>Start a new chat</dd>
+                    <dt><kbd>Alt</kbd> + <kbd>V</kbd></dt><dd>Start / stop dictating</dd>
+                    <dt><kbd>Alt</kbd> + <kbd>↑</kbd> / <kbd>↓</kbd></dt><dd>Previous / next conversation</dd>
+                    <dt><kbd>Alt</kbd> + <kbd>/</kbd></dt><dd>Show this list</dd>
+                    <dt><kbd>Esc</kbd></dt><dd>Close a dialog, menu or the conversation drawer</dd>
+                </dl>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Screen reader announcements: replies and status politely, errors straight away -->
+    <div class="visually-hidden" id="politeAnnouncer" aria-live="polite" aria-atomic="true"></div>
+    <div class="visually-hidden" id="alertAnnouncer" role="alert" aria-atomic="true"></div>
+
+    <script>
+        // Picked theme, saved per browser - without one the CSS follows the system setting
+        const THEMES = ['light', 'dark', 'contrast'];
+        
+        function applyTheme(theme) {
+            if (THEMES.includes(theme)) {
+                document.documentElement.dataset.theme = theme;
+            } else {
+                delete document.documentElement.dataset.theme;
+            }
+        }
+        
+        applyTheme(localStorage.getItem('cf_ai_theme'));
+        
+        // Frame types for the /api/ws channel (generated from the server's FRAME_TYPES)
+        const FRAME_TYPES = ${JSON.stringify(FRAME_TYPES)};
+        
+        // Tutoring personas (ids, names and descriptions from the server's PERSONAS)
+        const PERSONAS = ${JSON.stringify(listPersonas())};
+        const DEFAULT_PERSONA = '${DEFAULT_PERSONA}';
+        
+        // Llama Guard category names for moderation notes (from the server's MODERATION_CATEGORIES)
+        const MODERATION_CATEGORIES = ${JSON.stringify(MODERATION_CATEGORIES)};
+        
+        // Largest conversation export /api/import accepts
+        const MAX_IMPORT_BYTES = ${MAX_IMPORT_BYTES};
+        const MAX_RECORDING_MS = ${MAX_RECORDING_MS};
+        
+        // Names for the tables /api/session reports
+        const STORED_DATA_LABELS = {
+            conversations: 'Conversations',
+            messages: 'Messages',
+            decks: 'Flashcard decks',
+            cards: 'Flashcards',
+            quizzes: 'Quizzes',
+            quiz_questions: 'Quiz questions',
+            documents: 'Uploaded notes',
+            document_chunks: 'Note excerpts',
+            usage_daily: 'Days of usage totals',
+            moderation_log: 'Moderation log entries',
+            assignments: 'Assignments'
+        };
+        
+        // --- Markdown rendering for replies ---
+        // Model output is untrusted, so it's parsed straight into DOM nodes: text only
+        // ever goes in through text nodes / textContent (never innerHTML), tags come from
+        // a fixed list, and links must be http(s) or mailto
+        
+        const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+        
+        function createNode(tag, className, text) {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined) node.textContent = text;
+            return node;
+        }
+        
+        function renderMarkdown(source) {
+            const fragment = document.createDocumentFragment();
+            renderBlocks(source.replace(/\\r\\n?/g, '\\n').split('\\n'), fragment);
+            return fragment;
+        }
+        
+        const FENCE = /^\\s*(\`{3,}|~{3,})\\s*([\\w+#.-]*)/;
+        const HEADING = /^\\s{0,3}(#{1,6})\\s+(.*?)\\s*#*\\s*$/;
+        const RULE = /^\\s{0,3}([-*_])(?:\\s*\\1){2,}\\s*$/;
+        const QUOTE = /^\\s{0,3}>\\s?/;
+        const LIST_ITEM = /^(\\s*)([-*+]|\\d{1,9}[.)])\\s+(.*)$/;
+        const TABLE_DIVIDER = /^\\s*\\|?\\s*:?-+:?\\s*(\\|\\s*:?-+:?\\s*)*\\|?\\s*$/;
+        const DISPLAY_MATH = /^\\s*(\\$\\$|\\\\\\[)/;
+        
+        function startsBlock(line, nextLine) {
+            return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line)
+                || LIST_ITEM.test(line) || DISPLAY_MATH.test(line) || isTableStart(line, nextLine);
+        }
+        
+        function isTableStart(line, nextLine) {
+            return line.includes('|') && nextLine !== undefined && nextLine.includes('-') && TABLE_DIVIDER.test(nextLine);
+        }
+        
+        function renderBlocks(lines, parent) {
+            let i = 0;
+            while (i < lines.length) {
+                const line = lines[i];
+                let match;
+        
+                if (!line.trim()) {
+                    i++;
+                    continue;
+                }
+        
+                // Fenced code - runs to the closing fence, or the end while a reply streams in
+                if ((match = FENCE.exec(line))) {
+                    const fence = match[1];
+                    const code = [];
+                    for (i++; i < lines.length && !lines[i].trim().startsWith(fence); i++) {
+                        code.push(lines[i]);
+                    }
+                    i++;
+                    parent.appendChild(renderCodeBlock(code.join('\\n'), match[2]));
+                    continue;
+                }
+        
+                // Display math - $$ ... $$ or \\[ ... \\], on one line or spread over several
+                if ((match = DISPLAY_MATH.exec(line))) {
+                    const close = match[1] === '$$' ? '$$' : '\\\\]';
+                    let tex = line.slice(match[0].length);
+                    let end = tex.indexOf(close);
+                    while (end === -1 && i + 1 < lines.length) {
+                        i++;
+                        tex += '\\n' + lines[i];
+                        end = tex.indexOf(close);
+                    }
+                    i++;
+                    parent.appendChild(renderMath(end === -1 ? tex : tex.slice(0, end), true));
+                    const rest = end === -1 ? '' : tex.slice(end + close.length).trim();
+                    if (rest) {
+                        const paragraph = createNode('p');
+                        renderInline(rest, paragraph);
+                        parent.appendChild(paragraph);
+                    }
+                    continue;
+                }
+        
+                if ((match = HEADING.exec(line))) {
+                    // Replies live in a bubble, so # starts at h3
+                    const heading = createNode('h' + Math.min(match[1].length + 2, 6));
+                    renderInline(match[2], heading);
+                    parent.appendChild(heading);
+                    i++;
+                    continue;
+                }
+        
+                if (RULE.test(line)) {
+                    parent.appendChild(createNode('hr'));
+                    i++;
+                    continue;
+                }
+        
+                if (QUOTE.test(line)) {
+                    const quoted = [];
+                    for (; i < lines.length && QUOTE.test(lines[i]); i++) {
+                        quoted.push(lines[i].replace(QUOTE, ''));
+                    }
+                    const blockquote = createNode('blockquote');
+                    renderBlocks(quoted, blockquote);
+                    parent.appendChild(blockquote);
+                    continue;
+                }
+        
+                if (isTableStart(line, lines[i + 1])) {
+                    const header = splitTableRow(line);
+                    const align = splitTableRow(lines[i + 1]).map((cell) => {
+                        if (cell.endsWith(':')) return cell.startsWith(':') ? 'center' : 'right';
+                        return cell.startsWith(':') ? 'left' : '';
+                    });
+                    const rows = [];
+                    for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+                        rows.push(splitTableRow(lines[i]));
+                    }
+                    parent.appendChild(renderTable(header, align, rows));
+                    continue;
+                }
+        
+                if (LIST_ITEM.test(line)) {
+                    i = renderList(lines, i, parent);
+                    continue;
+                }
         
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
+                // Paragraph - runs until a blank line or the start of another block
+                const text = [line.trim()];
+                for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1]); i++) {
+                    text.push(lines[i].trim());
+                }
+                const paragraph = createNode('p');
+                renderInline(text.join('\\n'), paragraph);
+                parent.appendChild(paragraph);
+            }
         }
         
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', 'SF Pro Text', system-ui, sans-serif;
-            background: radial-gradient(ellipse 80% 50% at 50% -20%, rgba(120, 119, 198, 0.3), transparent),
-                        radial-gradient(ellipse 80% 80% at 80% 80%, rgba(255, 119, 198, 0.15), transparent),
-                        radial-gradient(ellipse 80% 100% at 20% 30%, rgba(120, 200, 255, 0.2), transparent),
-                        linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 16px;
-            overflow: hidden;
-            position: relative;
-            -webkit-font-smoothing: antialiased;
-            text-rendering: optimizeLegibility;
+        function splitTableRow(line) {
+            const cells = line.trim().replace(/^\\|/, '').replace(/\\|$/, '').split(/(?<!\\\\)\\|/);
+            return cells.map(cell => cell.trim().replace(/\\\\\\|/g, '|'));
         }
         
-        /* Liquid Glass Environment Effects */
-        body::before {
-            content: '';
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: 
-                radial-gradient(600px circle at var(--mouse-x, 50%) var(--mouse-y, 50%), rgba(255, 255, 255, 0.06), transparent 40%);
-            pointer-events: none;
-            transition: opacity 0.3s ease;
-            z-index: 1;
+        function renderTable(header, align, rows) {
+            const table = createNode('table');
+            const addRow = (section, cells, tag) => {
+                const row = createNode('tr');
+                header.forEach((_, column) => {
+                    const cell = createNode(tag);
+                    if (align[column]) cell.style.textAlign = align[column];
+                    renderInline(cells[column] || '', cell);
+                    row.appendChild(cell);
+                });
+                section.appendChild(row);
+            };
+        
+            const head = createNode('thead');
+            addRow(head, header, 'th');
+            const body = createNode('tbody');
+            rows.forEach(cells => addRow(body, cells, 'td'));
+            table.append(head, body);
+        
+            // Wide tables scroll inside the bubble instead of stretching it
+            const wrapper = createNode('div', 'table-wrapper');
+            wrapper.appendChild(table);
+            return wrapper;
         }
         
-        /* Liquid Glass Container */
-        .chat-container {
-		    border: 0px !important;
-            width: 100%;
-            max-width: 900px;
-            height: 85vh;
-            min-height: 600px;
-            position: relative;
-            z-index: 10;
+        // A run of list items at one indent; deeper-indented lines belong to the item
+        // above them (nested lists, code, extra paragraphs). Returns the next line index
+        function renderList(lines, start, parent) {
+            const first = LIST_ITEM.exec(lines[start]);
+            const indent = first[1].length;
+            const ordered = /\\d/.test(first[2]);
+            const list = createNode(ordered ? 'ol' : 'ul');
+            if (ordered && parseInt(first[2], 10) !== 1) list.start = parseInt(first[2], 10);
+        
+            let i = start;
+            while (i < lines.length) {
+                const match = LIST_ITEM.exec(lines[i]);
+                if (!match || match[1].length !== indent || /\\d/.test(match[2]) !== ordered) break;
+        
+                const body = [match[3]];
+                for (i++; i < lines.length; i++) {
+                    const line = lines[i];
+                    const lineIndent = line.length - line.trimStart().length;
+                    if (line.trim() && lineIndent > indent) {
+                        body.push(line.slice(Math.min(lineIndent, indent + 2)));
+                    } else if (!line.trim() && i + 1 < lines.length && lines[i + 1].trim()
+                        && lines[i + 1].length - lines[i + 1].trimStart().length > indent) {
+                        body.push('');
+                    } else {
+                        break;
+                    }
+                }
+        
+                const item = createNode('li');
+                renderBlocks(body, item);
+                list.appendChild(item);
+        
+                // A blank line between items keeps the list going
+                if (i < lines.length && !lines[i].trim() && i + 1 < lines.length) {
+                    const next = LIST_ITEM.exec(lines[i + 1]);
+                    if (next && next[1].length === indent && /\\d/.test(next[2]) === ordered) i++;
+                }
+            }
+        
+            parent.appendChild(list);
+            return i;
+        }
+        
+        function renderCodeBlock(code, language) {
+            const block = createNode('div', 'code-block');
+            const header = createNode('div', 'code-header');
+            header.appendChild(createNode('span', 'code-language', language || 'code'));
+            const copyButton = createNode('button', 'copy-button', 'Copy');
+            copyButton.type = 'button';
+            copyButton.setAttribute('aria-label', 'Copy code');
+            copyButton.addEventListener('click', () => copyToClipboard(code, copyButton));
+            header.appendChild(copyButton);
+        
+            const pre = createNode('pre');
+            const codeNode = createNode('code');
+            highlightCode(code, language, codeNode);
+            pre.appendChild(codeNode);
+            block.append(header, pre);
+            return block;
+        }
+        
+        async function copyToClipboard(text, button) {
+            try {
+                await navigator.clipboard.writeText(text);
+                button.textContent = 'Copied!';
+            } catch (error) {
+                console.error('Copy failed:', error);
+                button.textContent = 'Copy failed';
+            }
+            setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+        }
+        
+        // Small comment/string/number/keyword highlighter - enough to make common
+        // languages readable without a grammar per language
+        function codeGrammar(comments, strings, keywords, ignoreCase = false) {
+            return {
+                pattern: new RegExp(\`(\${comments})|(\${strings})|(\\\\b\\\\d[\\\\d_]*(?:\\\\.\\\\d+)?(?:[eE][+-]?\\\\d+)?\\\\b)|([A-Za-z_$][\\\\w$]*)\`, 'g'),
+                keywords: new Set(keywords.split(' ')),
+                ignoreCase
+            };
+        }
+        
+        const SLASH_COMMENTS = '\\\\/\\\\/.*|\\\\/\\\\*[\\\\s\\\\S]*?(?:\\\\*\\\\/|$)';
+        const QUOTED_STRINGS = '"(?:\\\\\\\\.|[^"\\\\\\\\\\\\n])*"|\\'(?:\\\\\\\\.|[^\\'\\\\\\\\\\\\n])*\\'';
+        
+        const CODE_GRAMMARS = {
+            js: codeGrammar(SLASH_COMMENTS, QUOTED_STRINGS + '|\`(?:\\\\\\\\.|[^\`\\\\\\\\])*\`',
+                'async await break case catch class const continue default delete do else enum export extends false finally for from function if implements import in instanceof interface let new null of private protected public readonly return static super switch this throw true try type typeof undefined var void while yield'),
+            python: codeGrammar('#.*', '"""[\\\\s\\\\S]*?(?:"""|$)|\\'\\'\\'[\\\\s\\\\S]*?(?:\\'\\'\\'|$)|' + QUOTED_STRINGS,
+                'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'),
+            c: codeGrammar(SLASH_COMMENTS, QUOTED_STRINGS,
+                'abstract auto bool boolean break byte case catch char class const continue default do double else enum extends false final finally float fn for func go if impl implements import include int interface let long match mod mut namespace new nil null package private protected public return self short static string struct super switch this throw throws true try typedef unsigned use using var void while'),
+            sql: codeGrammar('--.*|\\\\/\\\\*[\\\\s\\\\S]*?(?:\\\\*\\\\/|$)', QUOTED_STRINGS,
+                'add all alter and as asc between by case count create delete desc distinct drop else end exists foreign from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union update values when where', true),
+            bash: codeGrammar('#.*', QUOTED_STRINGS,
+                'case cd do done echo elif else esac exit export fi for function if in local return then while'),
+            json: codeGrammar('$^', QUOTED_STRINGS, 'true false null')
+        };
+        
+        const CODE_LANGUAGES = {
+            js: 'js', javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js',
+            py: 'python', python: 'python',
+            c: 'c', h: 'c', cpp: 'c', 'c++': 'c', cs: 'c', csharp: 'c', java: 'c', kotlin: 'c',
+            go: 'c', rust: 'c', rs: 'c', swift: 'c', php: 'c',
+            sql: 'sql', sh: 'bash', bash: 'bash', shell: 'bash', zsh: 'bash', json: 'json'
+        };
+        
+        function highlightCode(code, language, parent) {
+            const grammar = CODE_GRAMMARS[CODE_LANGUAGES[language.toLowerCase()]];
+            if (!grammar) {
+                parent.textContent = code;
+                return;
+            }
+        
+            let last = 0;
+            for (const match of code.matchAll(grammar.pattern)) {
+                const [token, comment, string, number, word] = match;
+                let kind = null;
+                if (comment) kind = 'comment';
+                else if (string) kind = 'string';
+                else if (number) kind = 'number';
+                else if (word && grammar.keywords.has(grammar.ignoreCase ? word.toLowerCase() : word)) kind = 'keyword';
+                if (!kind) continue; // plain identifier - stays in the surrounding text
+        
+                if (match.index > last) parent.appendChild(document.createTextNode(code.slice(last, match.index)));
+                parent.appendChild(createNode('span', 'token-' + kind, token));
+                last = match.index + token.length;
+            }
+            if (last < code.length) parent.appendChild(document.createTextNode(code.slice(last)));
+        }
+        
+        // Inline syntax, tried left to right - the earliest match wins, ties go to the
+        // rule listed first. Patterns are global so they can resume from an offset
+        const INLINE_RULES = [
+            { pattern: /(\`+)([^\`]|[^\`][\\s\\S]*?[^\`])\\1(?!\`)/g, render: m => createNode('code', 'inline-code', m[2].trim()) },
+            { pattern: /\\$\\$([\\s\\S]+?)\\$\\$|\\\\\\[([\\s\\S]+?)\\\\\\]/g, render: m => renderMath(m[1] || m[2], true) },
+            { pattern: /\\\\\\(([\\s\\S]+?)\\\\\\)|\\$(?=\\S)([^$\\n]*?[^\\s\\\\])\\$(?!\\d)/g, render: m => renderMath(m[1] || m[2], false) },
+            { pattern: /\\\\([\\\\\`*_{}[\\]()#+\\-.!|~$<>])/g, render: m => document.createTextNode(m[1]) },
+            { pattern: /!?\\[([^\\]\\n]*)\\]\\(\\s*<?([^\\s<>()]+)>?(?:\\s+"[^"]*")?\\s*\\)/g, render: m => renderLink(m[2], m[1]) },
+            { pattern: /<?\\b(https?:\\/\\/[^\\s<>]*[^\\s<>.,;:!?'")\\]])>?/g, render: m => renderLink(m[1], null) },
+            { pattern: /\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*|__(?=\\S)([\\s\\S]*?\\S)__(?!\\w)/g, render: m => renderStyled('strong', m[1] || m[2]) },
+            { pattern: /~~(?=\\S)([\\s\\S]*?\\S)~~/g, render: m => renderStyled('del', m[1]) },
+            { pattern: /\\*(?=[^\\s*])([^*]*?[^\\s*])\\*|(?<!\\w)_(?=[^\\s_])([^_]*?[^\\s_])_(?!\\w)/g, render: m => renderStyled('em', m[1] || m[2]) },
+            { pattern: /\\n/g, render: () => createNode('br') }
+        ];
+        
+        function renderInline(text, parent) {
+            const found = []; // next match per rule; null once a rule has none left
+            let position = 0;
+            while (position < text.length) {
+                let best = -1;
+                INLINE_RULES.forEach((rule, index) => {
+                    if (found[index] === undefined || (found[index] && found[index].index < position)) {
+                        rule.pattern.lastIndex = position;
+                        found[index] = rule.pattern.exec(text);
+                    }
+                    if (found[index] && (best === -1 || found[index].index < found[best].index)) best = index;
+                });
+        
+                if (best === -1) break;
+                const match = found[best];
+                if (match.index > position) parent.appendChild(document.createTextNode(text.slice(position, match.index)));
+                parent.appendChild(INLINE_RULES[best].render(match));
+                position = match.index + match[0].length;
+            }
+            if (position < text.length) parent.appendChild(document.createTextNode(text.slice(position)));
+        }
+        
+        function renderStyled(tag, text) {
+            const node = createNode(tag);
+            renderInline(text, node);
+            return node;
+        }
+        
+        function renderLink(href, label) {
+            let url = null;
+            try {
+                url = new URL(href);
+            } catch (error) {
+                // relative or malformed - shown as text
+            }
+            if (!url || !SAFE_LINK_PROTOCOLS.includes(url.protocol)) {
+                return document.createTextNode(label || href);
+            }
+        
+            const link = createNode('a');
+            link.href = url.href;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer nofollow';
+            if (label) {
+                renderInline(label, link);
+            } else {
+                link.textContent = href;
+            }
+            return link;
+        }
+        
+        // --- LaTeX -> MathML (rendered natively by the browser) ---
+        // Covers what study answers usually need: fractions, roots, scripts, Greek,
+        // common operators and arrows, accents, \\left...\\right, \\text and matrices.
+        // Anything it doesn't know is shown as written
+        
+        const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+        
+        const TEX_IDENTIFIERS = {
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+            theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+            varpi: 'ϖ', rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ',
+            omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+            Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω', infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ',
+            ell: 'ℓ', emptyset: '∅', varnothing: '∅', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ'
+        };
+        
+        const TEX_OPERATORS = {
+            times: '×', cdot: '⋅', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+            leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+            simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', to: '→', rightarrow: '→', leftarrow: '←',
+            gets: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔',
+            implies: '⟹', iff: '⟺', mapsto: '↦', uparrow: '↑', downarrow: '↓', in: '∈', notin: '∉', ni: '∋',
+            subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩', setminus: '∖',
+            forall: '∀', exists: '∃', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨',
+            oplus: '⊕', otimes: '⊗', perp: '⊥', parallel: '∥', mid: '∣', angle: '∠', triangle: '△',
+            degree: '°', prime: '′', cdots: '⋯', ldots: '…', dots: '…', vdots: '⋮', ddots: '⋱',
+            langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖',
+            '{': '{', '}': '}', '|': '‖', '%': '%', '$': '$', '#': '#', '&': '&', '_': '_'
+        };
+        
+        // Drawn large, with limits under/over in display math
+        const TEX_BIG_OPERATORS = { sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮', bigcup: '⋃', bigcap: '⋂' };
+        
+        const TEX_FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh',
+            'tanh', 'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'dim', 'gcd', 'deg', 'arg', 'ker', 'Pr'];
+        
+        const TEX_ACCENTS = { hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', dot: '˙', ddot: '¨', tilde: '~', widetilde: '~' };
+        
+        const TEX_SPACES = { ',': '0.17em', ':': '0.22em', ';': '0.28em', ' ': '0.25em', quad: '1em', qquad: '2em', '!': '0' };
+        
+        const TEX_DOUBLE_STRUCK = { R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ', P: 'ℙ', E: '𝔼' };
+        
+        // matrix-like environments and the brackets drawn around them
+        const TEX_ENVIRONMENTS = {
+            matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'],
+            Vmatrix: ['‖', '‖'], cases: ['{', ''], aligned: ['', ''], align: ['', ''], 'align*': ['', ''],
+            array: ['', ''], gathered: ['', '']
+        };
+        
+        function mathNode(tag, children = [], text) {
+            const node = document.createElementNS(MATHML_NS, tag);
+            if (text !== undefined) node.textContent = text;
+            children.forEach(child => node.appendChild(child));
+            return node;
+        }
+        
+        function fence(symbol) {
+            const node = mathNode('mo', [], symbol);
+            node.setAttribute('stretchy', 'true');
+            return node;
+        }
+        
+        function renderMath(tex, display) {
+            try {
+                const math = mathNode('math', [parseTex(tex.trim(), display)]);
+                math.setAttribute('alttext', tex.trim());
+                if (!display) return math;
+                math.setAttribute('display', 'block');
+                const wrapper = createNode('div', 'math-display');
+                wrapper.appendChild(math);
+                return wrapper;
+            } catch (error) {
+                // Too deeply nested to parse - show the source instead
+                return createNode('code', 'inline-code', tex);
+            }
+        }
+        
+        function parseTex(tex, display) {
+            const tokens = tex.match(/\\\\[a-zA-Z]+\\*?|\\\\[^a-zA-Z]|\\d+(?:\\.\\d+)?|\\s+|[\\s\\S]/g) || [];
+            let position = 0;
+            const withLimits = new Set(); // big operators and lim-like functions
+        
+            const peek = () => {
+                while (position < tokens.length && !tokens[position].trim()) position++;
+                return tokens[position];
+            };
+            const next = () => {
+                const token = peek();
+                position++;
+                return token;
+            };
+        
+            // Raw text of a {...} argument, for \\text and friends
+            const readText = () => {
+                if (peek() !== '{') return next() || '';
+                position++;
+                let depth = 1;
+                let text = '';
+                while (position < tokens.length) {
+                    const token = tokens[position++];
+                    if (token === '{') depth++;
+                    if (token === '}' && --depth === 0) break;
+                    text += token;
+                }
+                return text;
+            };
+        
+            const row = (items) => (items.length === 1 ? items[0] : mathNode('mrow', items));
+        
+            // Atoms with their scripts until one of the stop tokens (or the end)
+            function parseRow(stops) {
+                const items = [];
+                while (peek() !== undefined && !stops.includes(peek())) {
+                    items.push(parseScripts(parseAtom()));
+                }
+                return row(items);
+            }
+        
+            function parseArgument() {
+                if (peek() !== '{') return parseAtom();
+                next();
+                const argument = parseRow(['}']);
+                next();
+                return argument;
+            }
+        
+            function parseScripts(base) {
+                let sub = null;
+                let sup = null;
+                while (peek() === '_' || peek() === '^' || peek() === "'") {
+                    const token = next();
+                    if (token === "'") {
+                        sup = mathNode('mo', [], '′');
+                    } else if (token === '_') {
+                        sub = parseArgument();
+                    } else {
+                        sup = parseArgument();
+                    }
+                }
+                if (!sub && !sup) return base;
+        
+                const limits = display && withLimits.has(base);
+                if (sub && sup) return mathNode(limits ? 'munderover' : 'msubsup', [base, sub, sup]);
+                if (sub) return mathNode(limits ? 'munder' : 'msub', [base, sub]);
+                return mathNode(limits ? 'mover' : 'msup', [base, sup]);
+            }
+        
+            function parseAtom() {
+                const token = next();
+                if (token === undefined) return mathNode('mrow');
+                if (token === '{') {
+                    const group = parseRow(['}']);
+                    next();
+                    return group;
+                }
+                if (/^\\d/.test(token)) return mathNode('mn', [], token);
+                if (/^[a-zA-Z]$/.test(token)) return mathNode('mi', [], token);
+                if (token[0] !== '\\\\') return mathNode('mo', [], token);
+                return parseCommand(token.slice(1));
+            }
+        
+            function parseCommand(name) {
+                if (Object.hasOwn(TEX_IDENTIFIERS, name)) return mathNode('mi', [], TEX_IDENTIFIERS[name]);
+                if (Object.hasOwn(TEX_OPERATORS, name)) return mathNode('mo', [], TEX_OPERATORS[name]);
+                if (Object.hasOwn(TEX_SPACES, name)) {
+                    const space = mathNode('mspace');
+                    space.setAttribute('width', TEX_SPACES[name]);
+                    return space;
+                }
+                if (Object.hasOwn(TEX_BIG_OPERATORS, name)) {
+                    const operator = mathNode('mo', [], TEX_BIG_OPERATORS[name]);
+                    operator.setAttribute('largeop', 'true');
+                    if (!name.includes('int')) withLimits.add(operator);
+                    return operator;
+                }
+                if (TEX_FUNCTIONS.includes(name)) {
+                    const fn = mathNode('mi', [], name);
+                    if (['lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr'].includes(name)) withLimits.add(fn);
+                    return fn;
+                }
+                if (Object.hasOwn(TEX_ACCENTS, name)) {
+                    const accent = mathNode('mover', [parseArgument(), mathNode('mo', [], TEX_ACCENTS[name])]);
+                    accent.setAttribute('accent', 'true');
+                    return accent;
+                }
+        
+                switch (name) {
+                    case 'frac':
+                    case 'dfrac':
+                    case 'tfrac':
+                        return mathNode('mfrac', [parseArgument(), parseArgument()]);
+                    case 'binom': {
+                        const fraction = mathNode('mfrac', [parseArgument(), parseArgument()]);
+                        fraction.setAttribute('linethickness', '0');
+                        return mathNode('mrow', [fence('('), fraction, fence(')')]);
+                    }
+                    case 'sqrt': {
+                        if (peek() === '[') {
+                            next();
+                            const index = parseRow([']']);
+                            next();
+                            return mathNode('mroot', [parseArgument(), index]);
+                        }
+                        return mathNode('msqrt', [parseArgument()]);
+                    }
+                    case 'text':
+                    case 'textrm':
+                    case 'textit':
+                    case 'textbf':
+                    case 'mbox':
+                        return mathNode('mtext', [], readText());
+                    case 'mathrm':
+                    case 'operatorname': {
+                        const text = mathNode('mi', [], readText());
+                        text.setAttribute('mathvariant', 'normal');
+                        return text;
+                    }
+                    case 'mathbf':
+                    case 'boldsymbol': {
+                        const text = mathNode('mi', [], readText());
+                        text.setAttribute('mathvariant', 'bold');
+                        return text;
+                    }
+                    case 'mathbb':
+                        return mathNode('mi', [], readText().replace(/[A-Z]/g, letter => TEX_DOUBLE_STRUCK[letter] || letter));
+                    case 'mathit':
+                    case 'mathcal':
+                        return mathNode('mi', [], readText());
+                    case 'left': {
+                        const open = delimiter(next());
+                        const inner = parseRow(['\\\\right']);
+                        next();
+                        const close = delimiter(next());
+                        return mathNode('mrow', [fence(open), inner, fence(close)]);
+                    }
+                    case 'right':
+                        return fence(delimiter(next()));
+                    case 'begin':
+                        return parseEnvironment(readText());
+                    case '\\\\':
+                        return mathNode('mrow');
+                    default:
+                        return mathNode('mtext', [], '\\\\' + name);
+                }
+            }
+        
+            function delimiter(token) {
+                if (token === undefined || token === '.') return '';
+                if (token[0] === '\\\\') return TEX_OPERATORS[token.slice(1)] || token.slice(1);
+                return token;
+            }
+        
+            // Rows split by \\\\ and cells by &, up to \\end{...}
+            function parseEnvironment(environment) {
+                if (environment === 'array' && peek() === '{') readText(); // column spec
+                const table = mathNode('mtable');
+                let cells = [];
+                while (peek() !== undefined) {
+                    const cell = parseRow(['&', '\\\\\\\\', '\\\\end']);
+                    cells.push(mathNode('mtd', [cell]));
+                    const token = next();
+                    if (token === '&') continue;
+                    table.appendChild(mathNode('mtr', cells));
+                    cells = [];
+                    if (token === '\\\\end' || token === undefined) {
+                        readText();
+                        break;
+                    }
+                }
+                if (cells.length > 0) table.appendChild(mathNode('mtr', cells));
+                if (environment === 'cases' || environment.startsWith('align')) table.setAttribute('columnalign', 'left');
+        
+                const [open, close] = TEX_ENVIRONMENTS[environment] || ['', ''];
+                if (!open && !close) return table;
+                return mathNode('mrow', [open ? fence(open) : mathNode('mrow'), table, close ? fence(close) : mathNode('mrow')]);
+            }
+        
+            return parseRow([]);
+        }
+                
+        // Flashcard decks - generate from the open chat or a topic, then review due cards
+        class FlashcardPanel {
+            constructor(app) {
+                this.app = app;
+                this.panel = document.getElementById('flashcardPanel');
+                this.deckView = document.getElementById('deckView');
+                this.reviewView = document.getElementById('reviewView');
+                this.deckForm = document.getElementById('deckForm');
+                this.deckTopic = document.getElementById('deckTopic');
+                this.deckFromChat = document.getElementById('deckFromChat');
+                this.generateButton = document.getElementById('generateDeckButton');
+                this.deckStatus = document.getElementById('deckStatus');
+                this.deckList = document.getElementById('deckList');
+                this.reviewProgress = document.getElementById('reviewProgress');
+                this.questionElement = document.getElementById('flashcardQuestion');
+                this.answerElement = document.getElementById('flashcardAnswer');
+                this.showAnswerButton = document.getElementById('showAnswerButton');
+                this.gradeButtons = document.getElementById('gradeButtons');
+                
+                // Cards in the current review session
+                this.review = null; // { deck, cards, index }
+                
+                document.getElementById('flashcardsButton').addEventListener('click', () => this.open());
+                document.getElementById('closeFlashcards').addEventListener('click', () => this.close());
+                document.getElementById('backToDecks').addEventListener('click', () => this.showDecks());
+                this.panel.addEventListener('click', (e) => {
+                    if (e.target === this.panel) this.close();
+                });
+                this.panel.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') this.close();
+                });
+                this.deckForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.generateDeck();
+                });
+                this.showAnswerButton.addEventListener('click', () => this.revealAnswer());
+                this.gradeButtons.querySelectorAll('button').forEach(button => {
+                    button.addEventListener('click', () => this.gradeCard(Number(button.dataset.grade)));
+                });
+            }
             
-            /* Authentic Liquid Glass Material */
-            background: 
-                linear-gradient(135deg, rgba(255, 255, 255, 0.1), rgba(255, 255, 255, 0.05)),
-                linear-gradient(135deg, rgba(255, 255, 255, 0.8), rgba(255, 255, 255, 0.4));
-            backdrop-filter: blur(40px) saturate(200%) contrast(120%) brightness(130%);
-            -webkit-backdrop-filter: blur(40px) saturate(200%) contrast(120%) brightness(130%);
+            open() {
+                this.panel.hidden = false;
+                this.app.setSidebarOpen(false);
+                this.deckFromChat.disabled = !this.app.conversationId;
+                this.deckFromChat.checked = Boolean(this.app.conversationId);
+                this.deckStatus.textContent = '';
+                this.showDecks();
+                this.deckTopic.focus();
+            }
             
-            /* Liquid Glass Border and Shadow System */
-            border: 1px solid transparent;
-            border-image: linear-gradient(135deg, 
-                rgba(255, 255, 255, 0.4) 0%, 
-                rgba(255, 255, 255, 0.1) 50%, 
-                rgba(255, 255, 255, 0.4) 100%) 1;
+            close() {
+                this.panel.hidden = true;
+                this.review = null;
+                this.app.messageInput.focus();
+            }
+            
+            showDecks() {
+                this.review = null;
+                this.reviewView.hidden = true;
+                this.deckView.hidden = false;
+                this.loadDecks();
+            }
+            
+            async loadDecks() {
+                try {
+                    const response = await fetch('/api/decks');
+                    const data = await response.json();
+                    this.renderDecks(data.decks || []);
+                } catch (error) {
+                    console.error('Failed to load decks:', error);
+                    this.deckStatus.textContent = '❌ Failed to load decks';
+                }
+            }
+            
+            renderDecks(decks) {
+                this.deckList.innerHTML = '';
+                if (decks.length === 0) {
+                    this.deckStatus.textContent = this.deckStatus.textContent || 'No decks yet - make one from this chat or a topic.';
+                }
                 
-            border-radius: 32px;
-            box-shadow: 
-                /* Primary depth shadow */
-                0 25px 50px -12px rgba(0, 0, 0, 0.25),
-                /* Liquid glass highlight */
-                inset 0 1px 0 rgba(255, 255, 255, 0.4),
-                inset 0 -1px 0 rgba(255, 255, 255, 0.1),
-                /* Ambient glow */
-                0 0 0 1px rgba(255, 255, 255, 0.05);
+                decks.forEach(deck => {
+                    const item = document.createElement('div');
+                    item.className = 'deck-item';
+                    
+                    const title = document.createElement('span');
+                    title.className = 'deck-title';
+                    title.textContent = deck.title; // model-written - never innerHTML
+                    
+                    const meta = document.createElement('span');
+                    meta.className = 'deck-meta';
+                    meta.textContent = \`\${deck.dueCount} due · \${deck.cardCount} cards\`;
+                    
+                    const reviewButton = document.createElement('button');
+                    reviewButton.className = 'btn send-button';
+                    reviewButton.textContent = 'Review';
+                    reviewButton.disabled = deck.dueCount === 0;
+                    reviewButton.addEventListener('click', () => this.startReview(deck));
+                    
+                    const deleteButton = document.createElement('button');
+                    deleteButton.className = 'conversation-action';
+                    deleteButton.textContent = '🗑';
+                    deleteButton.title = 'Delete deck';
+                    deleteButton.addEventListener('click', () => this.deleteDeck(deck));
+                    
+                    item.append(title, meta, reviewButton, deleteButton);
+                    this.deckList.appendChild(item);
+                });
+            }
+            
+            async generateDeck() {
+                const topic = this.deckTopic.value.trim();
+                const body = { topic: topic || undefined };
+                if (this.deckFromChat.checked && this.app.conversationId) {
+                    body.conversationId = this.app.conversationId;
+                }
+                if (!topic && !body.conversationId) {
+                    this.deckStatus.textContent = 'Enter a topic, or open a conversation to make cards from.';
+                    return;
+                }
                 
-            display: flex;
-            flex-direction: column;
-            overflow: hidden;
+                this.generateButton.disabled = true;
+                this.deckStatus.textContent = 'Making flashcards...';
+                try {
+                    const response = await fetch('/api/decks', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(body)
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        this.deckTopic.value = '';
+                        this.deckStatus.textContent = \`✓ Made \${data.cards.length} cards in "\${data.deck.title}"\`;
+                        await this.loadDecks();
+                    } else if (data.code === 'rate_limited') {
+                        this.deckStatus.textContent = \`⏳ Too many requests - try again in \${data.retryAfter}s\`;
+                    } else {
+                        this.deckStatus.textContent = '❌ ' + (data.error || 'Failed to make flashcards');
+                    }
+                } catch (error) {
+                    console.error('Error generating deck:', error);
+                    this.deckStatus.textContent = '❌ Failed to make flashcards';
+                } finally {
+                    this.generateButton.disabled = false;
+                }
+            }
+            
+            async deleteDeck(deck) {
+                if (!window.confirm(\`Delete "\${deck.title}" and all its cards?\`)) return;
+                
+                try {
+                    await fetch(\`/api/decks/\${deck.id}\`, { method: 'DELETE' });
+                } catch (error) {
+                    console.error('Error deleting deck:', error);
+                }
+                this.deckStatus.textContent = '';
+                this.loadDecks();
+            }
+            
+            async startReview(deck) {
+                try {
+                    const response = await fetch(\`/api/decks/\${deck.id}/due\`);
+                    const data = await response.json();
+                    if (!data.cards || data.cards.length === 0) {
+                        this.deckStatus.textContent = \`Nothing due in "\${deck.title}" right now.\`;
+                        return;
+                    }
+                    
+                    this.review = { deck: data.deck, cards: data.cards, index: 0 };
+                    this.deckView.hidden = true;
+                    this.reviewView.hidden = false;
+                    this.showCard();
+                } catch (error) {
+                    console.error('Error starting review:', error);
+                    this.deckStatus.textContent = '❌ Failed to load cards';
+                }
+            }
+            
+            showCard() {
+                const { cards, index } = this.review;
+                this.reviewProgress.textContent = \`\${this.review.deck.title} - card \${index + 1} of \${cards.length}\`;
+                this.questionElement.textContent = cards[index].question;
+                this.answerElement.textContent = cards[index].answer;
+                this.answerElement.hidden = true;
+                this.gradeButtons.hidden = true;
+                this.showAnswerButton.hidden = false;
+                this.showAnswerButton.focus();
+            }
+            
+            revealAnswer() {
+                this.answerElement.hidden = false;
+                this.showAnswerButton.hidden = true;
+                this.gradeButtons.hidden = false;
+                this.gradeButtons.querySelector('[data-grade="4"]').focus();
+            }
             
-            /* Liquid Glass Refraction Animation */
-            animation: liquidGlassFloat 8s ease-in-out infinite;
-            transform-style: preserve-3d;
+            // Grades follow SM-2 (0-5) - the server works out the next due date
+            async gradeCard(grade) {
+                if (!this.review) return;
+                const { deck, cards, index } = this.review;
+                
+                try {
+                    const response = await fetch(\`/api/decks/\${deck.id}/cards/\${cards[index].id}/review\`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ grade })
+                    });
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.error);
+                } catch (error) {
+                    console.error('Error grading card:', error);
+                    this.reviewProgress.textContent = '❌ Failed to save that grade - try again';
+                    return;
+                }
+                
+                if (index + 1 < cards.length) {
+                    this.review.index++;
+                    this.showCard();
+                } else {
+                    this.deckStatus.textContent = \`✓ Reviewed \${cards.length} cards from "\${deck.title}"\`;
+                    this.showDecks();
+                }
+            }
         }
         
-        @keyframes liquidGlassFloat {
-            0%, 100% { 
-                transform: translateY(0px) rotateX(0deg);
-                box-shadow: 
-                    0 25px 50px -12px rgba(0, 0, 0, 0.25),
-                    inset 0 1px 0 rgba(255, 255, 255, 0.4),
-                    0 0 0 1px rgba(255, 255, 255, 0.05);
+        // Uploaded course notes - the server searches them for every question
+        class NotesPanel {
+            constructor(app) {
+                this.app = app;
+                this.panel = document.getElementById('notesPanel');
+                this.form = document.getElementById('notesForm');
+                this.fileInput = document.getElementById('notesFile');
+                this.uploadButton = document.getElementById('uploadNotesButton');
+                this.status = document.getElementById('notesStatus');
+                this.list = document.getElementById('notesList');
+                
+                document.getElementById('notesButton').addEventListener('click', () => this.open());
+                document.getElementById('closeNotes').addEventListener('click', () => this.close());
+                this.panel.addEventListener('click', (e) => {
+                    if (e.target === this.panel) this.close();
+                });
+                this.panel.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') this.close();
+                });
+                this.form.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.upload();
+                });
             }
-            50% { 
-                transform: translateY(-3px) rotateX(0.5deg);
-                box-shadow: 
-                    0 35px 70px -12px rgba(0, 0, 0, 0.3),
-                    inset 0 1px 0 rgba(255, 255, 255, 0.6),
-                    0 0 0 1px rgba(255, 255, 255, 0.1);
+            
+            open() {
+                this.panel.hidden = false;
+                this.app.setSidebarOpen(false);
+                this.status.textContent = '';
+                this.loadDocuments();
+                this.fileInput.focus();
+            }
+            
+            close() {
+                this.panel.hidden = true;
+                this.app.messageInput.focus();
+            }
+            
+            async loadDocuments() {
+                try {
+                    const response = await fetch('/api/documents');
+                    const data = await response.json();
+                    this.renderDocuments(data.documents || []);
+                } catch (error) {
+                    console.error('Failed to load notes:', error);
+                    this.status.textContent = '❌ Failed to load notes';
+                }
             }
-        }
-        
-        /* Liquid Glass Header */
-        .chat-header {
-            background: linear-gradient(135deg, 
-                rgba(255, 255, 255, 0.3) 0%,
-                rgba(255, 255, 255, 0.1) 100%);
-            backdrop-filter: blur(20px) saturate(180%);
-            -webkit-backdrop-filter: blur(20px) saturate(180%);
             
-            border-bottom: 1px solid rgba(255, 255, 255, 0.2);
-            padding: 28px 24px;
-            text-align: center;
-            position: relative;
+            renderDocuments(documents) {
+                this.list.innerHTML = '';
+                if (documents.length === 0 && !this.status.textContent) {
+                    this.status.textContent = 'No notes yet - upload a .txt, .md or .pdf file.';
+                }
+                
+                documents.forEach(doc => {
+                    const item = document.createElement('div');
+                    item.className = 'deck-item';
+                    
+                    const name = document.createElement('span');
+                    name.className = 'deck-title';
+                    name.textContent = doc.name;
+                    
+                    const meta = document.createElement('span');
+                    meta.className = 'deck-meta';
+                    meta.textContent = \`\${doc.type} · \${doc.chunkCount} parts\`;
+                    
+                    const deleteButton = document.createElement('button');
+                    deleteButton.className = 'conversation-action';
+                    deleteButton.textContent = '🗑';
+                    deleteButton.title = 'Delete notes';
+                    deleteButton.addEventListener('click', () => this.deleteDocument(doc));
+                    
+                    item.append(name, meta, deleteButton);
+                    this.list.appendChild(item);
+                });
+            }
             
-            /* Glass-like refraction highlight */
-            background-image: 
-                linear-gradient(135deg, transparent 0%, rgba(255, 255, 255, 0.1) 50%, transparent 100%);
-        }
-        
-        .chat-header::before {
-            content: '';
-            position: absolute;
-            top: 0;
-            left: 20%;
-            right: 20%;
-            height: 1px;
-            background: linear-gradient(90deg, transparent, rgba(255, 255, 255, 0.6), transparent);
-        }
-        
-        .chat-header h1 {
-            font-size: 1.75rem;
-            font-weight: 700;
-            color: #1d1d1f;
-            margin-bottom: 6px;
+            async upload() {
+                const file = this.fileInput.files[0];
+                if (!file) {
+                    this.status.textContent = 'Choose a file first.';
+                    return;
+                }
+                
+                const form = new FormData();
+                form.append('file', file);
+                this.uploadButton.disabled = true;
+                this.status.textContent = \`Reading "\${file.name}"...\`;
+                
+                try {
+                    const response = await fetch('/api/documents', { method: 'POST', body: form });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        this.fileInput.value = '';
+                        this.status.textContent = \`✓ Added "\${data.document.name}" (\${data.document.chunkCount} parts)\`;
+                        await this.loadDocuments();
+                    } else if (data.code === 'rate_limited') {
+                        this.status.textContent = \`⏳ Too many requests - try again in \${data.retryAfter}s\`;
+                    } else {
+                        this.status.textContent = '❌ ' + (data.error || 'Upload failed');
+                    }
+                } catch (error) {
+                    console.error('Error uploading notes:', error);
+                    this.status.textContent = '❌ Upload failed';
+                } finally {
+                    this.uploadButton.disabled = false;
+                }
+            }
             
-            /* Liquid Glass Text Refraction */
-            background: linear-gradient(135deg, #1d1d1f 0%, #424245 100%);
-            -webkit-background-clip: text;
-            background-clip: text;
-            text-shadow: 0 1px 2px rgba(0, 0, 0, 0.1);
-        }
-        
-        .chat-header p {
-            font-size: 0.875rem;
-            font-weight: 500;
-            color: rgba(29, 29, 31, 0.7);
-            letter-spacing: -0.005em;
+            async deleteDocument(doc) {
+                if (!window.confirm(\`Delete "\${doc.name}"? The assistant will stop using it.\`)) return;
+                
+                try {
+                    await fetch(\`/api/documents/\${doc.id}\`, { method: 'DELETE' });
+                } catch (error) {
+                    console.error('Error deleting notes:', error);
+                }
+                this.status.textContent = '';
+                this.loadDocuments();
+            }
         }
         
-        .status-indicator {
-            position: absolute;
-            top: 20px;
-            right: 24px;
-            padding: 6px 12px;
+        // Assignment tracker - deadlines added here or picked up from chat; the
+        // server posts reminders into the conversation (and over the socket)
+        class AssignmentsPanel {
+            constructor(app) {
+                this.app = app;
+                this.panel = document.getElementById('assignmentsPanel');
+                this.form = document.getElementById('assignmentForm');
+                this.titleInput = document.getElementById('assignmentTitle');
+                this.courseInput = document.getElementById('assignmentCourse');
+                this.dueInput = document.getElementById('assignmentDue');
+                this.addButton = document.getElementById('addAssignmentButton');
+                this.status = document.getElementById('assignmentsStatus');
+                this.list = document.getElementById('assignmentList');
+                
+                document.getElementById('assignmentsButton').addEventListener('click', () => this.open());
+                document.getElementById('closeAssignments').addEventListener('click', () => this.close());
+                document.getElementById('copyCalendarFeed').addEventListener('click', () => this.copyFeedLink());
+                this.panel.addEventListener('click', (e) => {
+                    if (e.target === this.panel) this.close();
+                });
+                this.panel.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') this.close();
+                });
+                this.form.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.add();
+                });
+            }
             
-            /* Status Liquid Glass Material */
-            background: rgba(52, 199, 89, 0.15);
-            backdrop-filter: blur(10px) saturate(150%);
-            border: 1px solid rgba(52, 199, 89, 0.3);
-            border-radius: 20px;
+            open() {
+                this.panel.hidden = false;
+                this.app.setSidebarOpen(false);
+                this.status.textContent = '';
+                this.loadAssignments();
+                this.titleInput.focus();
+            }
             
-            font-size: 0.75rem;
-            font-weight: 600;
-            color: #34c759;
-            letter-spacing: 0.02em;
+            close() {
+                this.panel.hidden = true;
+                this.app.messageInput.focus();
+            }
             
-            box-shadow: 
-                inset 0 1px 0 rgba(255, 255, 255, 0.3),
-                0 1px 3px rgba(52, 199, 89, 0.2);
-        }
-        
-        /* Messages Container with Liquid Glass Environment */
-        .messages-container {
-            flex: 1;
-            overflow-y: auto;
-            padding: 24px;
-            display: flex;
-            flex-direction: column;
-            gap: 16px;
+            // Called when chat or a reminder changed the list
+            refresh() {
+                if (!this.panel.hidden) this.loadAssignments();
+            }
             
-            /* Subtle inner gradient for depth */
-            background: 
-                radial-gradient(ellipse 50% 80% at 50% 0%, rgba(255, 255, 255, 0.05), transparent),
-                linear-gradient(to bottom, rgba(255, 255, 255, 0.02), rgba(255, 255, 255, 0.1));
-        }
-        
-        .messages-container::-webkit-scrollbar {
-            width: 3px;
-        }
-        
-        .messages-container::-webkit-scrollbar-track {
-            background: transparent;
-        }
-        
-        .messages-container::-webkit-scrollbar-thumb {
-            background: rgba(0, 0, 0, 0.2);
-            border-radius: 3px;
-        }
-        
-        /* Liquid Glass Message Bubbles */
-        .message {
-            max-width: 320px;
-            padding: 14px 18px;
-            font-size: 16px;
-            line-height: 1.4;
-            font-weight: 400;
-            position: relative;
-            white-space: pre-wrap; /* Preserve line breaks */
-            word-wrap: break-word;
+            async loadAssignments() {
+                try {
+                    const response = await fetch('/api/assignments');
+                    const data = await response.json();
+                    this.renderAssignments(data.assignments || []);
+                } catch (error) {
+                    console.error('Failed to load assignments:', error);
+                    this.status.textContent = '❌ Failed to load assignments';
+                }
+            }
             
-            animation: liquidMessageAppear 0.6s cubic-bezier(0.23, 1, 0.32, 1);
-            transform-origin: center bottom;
-        }
-        
-        @keyframes liquidMessageAppear {
-            0% { 
-                opacity: 0; 
-                transform: scale(0.8) translateY(20px);
-                filter: blur(4px);
+            renderAssignments(assignments) {
+                this.list.innerHTML = '';
+                if (assignments.length === 0 && !this.status.textContent) {
+                    this.status.textContent = 'Nothing due yet.';
+                }
+                
+                const now = Date.now();
+                assignments.forEach(assignment => {
+                    const done = assignment.status === 'done';
+                    const item = document.createElement('div');
+                    item.className = 'deck-item assignment-item';
+                    item.classList.toggle('done', done);
+                    item.classList.toggle('overdue', !done && Date.parse(assignment.dueAt) < now);
+                    
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = done;
+                    checkbox.setAttribute('aria-label', \`Mark "\${assignment.title}" as \${done ? 'not done' : 'done'}\`);
+                    checkbox.addEventListener('change', () => {
+                        this.update(assignment, { status: checkbox.checked ? 'done' : 'todo' });
+                    });
+                    
+                    const title = document.createElement('span');
+                    title.className = 'deck-title';
+                    title.textContent = assignment.course ? \`\${assignment.title} · \${assignment.course}\` : assignment.title;
+                    
+                    const meta = document.createElement('span');
+                    meta.className = 'deck-meta';
+                    meta.textContent = 'Due ' + new Date(assignment.dueAt).toLocaleString([], {
+                        weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+                    });
+                    if (assignment.remindAt && !assignment.remindedAt && !done) {
+                        meta.title = 'Reminder ' + new Date(assignment.remindAt).toLocaleString();
+                    }
+                    
+                    const deleteButton = document.createElement('button');
+                    deleteButton.className = 'conversation-action';
+                    deleteButton.textContent = '🗑';
+                    deleteButton.title = 'Delete assignment';
+                    deleteButton.addEventListener('click', () => this.remove(assignment));
+                    
+                    item.append(checkbox, title, meta, deleteButton);
+                    this.list.appendChild(item);
+                });
             }
-            60% {
-                transform: scale(1.02) translateY(-2px);
+            
+            async add() {
+                const dueAt = new Date(this.dueInput.value); // datetime-local is in the browser's time zone
+                if (Number.isNaN(dueAt.getTime())) {
+                    this.status.textContent = 'Pick a due date first.';
+                    return;
+                }
+                
+                this.addButton.disabled = true;
+                try {
+                    const response = await fetch('/api/assignments', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            title: this.titleInput.value,
+                            course: this.courseInput.value || null,
+                            dueAt: dueAt.toISOString(),
+                            conversationId: this.app.conversationId
+                        })
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        this.form.reset();
+                        this.status.textContent = \`✓ Added "\${data.assignment.title}"\`;
+                        await this.loadAssignments();
+                        this.titleInput.focus();
+                    } else {
+                        this.status.textContent = '❌ ' + (data.error || 'Could not add that');
+                    }
+                } catch (error) {
+                    console.error('Error adding assignment:', error);
+                    this.status.textContent = '❌ Could not add that';
+                } finally {
+                    this.addButton.disabled = false;
+                }
             }
-            100% { 
-                opacity: 1; 
-                transform: scale(1) translateY(0);
-                filter: blur(0px);
+            
+            async update(assignment, changes) {
+                try {
+                    const response = await fetch(\`/api/assignments/\${assignment.id}\`, {
+                        method: 'PATCH',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(changes)
+                    });
+                    const data = await response.json();
+                    if (!data.success) {
+                        this.status.textContent = '❌ ' + (data.error || 'Could not update that');
+                    }
+                } catch (error) {
+                    console.error('Error updating assignment:', error);
+                }
+                this.loadAssignments();
             }
-        }
-        
-        .user-message {
-            margin-left: auto;
-            background: linear-gradient(135deg, #007AFF 0%, #5AC8FA 100%);
-            color: white;
-            border-radius: 20px 20px 4px 20px;
             
-            /* Liquid Glass Message Depth */
-            box-shadow: 
-                0 4px 16px rgba(0, 122, 255, 0.3),
-                inset 0 1px 0 rgba(255, 255, 255, 0.3),
-                0 1px 3px rgba(0, 0, 0, 0.1);
+            async remove(assignment) {
+                if (!window.confirm(\`Delete "\${assignment.title}"? Its reminder is cancelled too.\`)) return;
                 
-            border: 1px solid rgba(255, 255, 255, 0.2);
+                try {
+                    await fetch(\`/api/assignments/\${assignment.id}\`, { method: 'DELETE' });
+                } catch (error) {
+                    console.error('Error deleting assignment:', error);
+                }
+                this.status.textContent = '';
+                this.loadAssignments();
+            }
+            
+            // A private link calendar apps can subscribe to - it works without the session cookie
+            async copyFeedLink() {
+                try {
+                    const data = await (await fetch('/api/assignments/feed')).json();
+                    if (!data.success) throw new Error(data.error);
+                    try {
+                        await navigator.clipboard.writeText(data.url);
+                        this.status.textContent = '✓ Feed link copied - add it to your calendar app as a subscription. Keep it private.';
+                    } catch (error) {
+                        this.status.textContent = \`Subscribe to this link in your calendar app (keep it private): \${data.url}\`;
+                    }
+                } catch (error) {
+                    console.error('Failed to get the calendar feed link:', error);
+                    this.status.textContent = '❌ Could not get the feed link';
+                }
+            }
         }
         
-        .assistant-message {
-            margin-right: auto;
-            background: 
-                linear-gradient(135deg, rgba(255, 255, 255, 0.9) 0%, rgba(255, 255, 255, 0.7) 100%);
-            backdrop-filter: blur(20px) saturate(180%) contrast(120%);
-            -webkit-backdrop-filter: blur(20px) saturate(180%) contrast(120%);
+        // What the session stores, when it expires, and deleting all of it
+        class PrivacyPanel {
+            constructor(app) {
+                this.app = app;
+                this.panel = document.getElementById('privacyPanel');
+                this.retentionInfo = document.getElementById('retentionInfo');
+                this.storedData = document.getElementById('storedData');
+                this.status = document.getElementById('privacyStatus');
+                this.deleteButton = document.getElementById('deleteSessionButton');
+                this.receiptButton = document.getElementById('downloadReceiptButton');
+                this.startFreshButton = document.getElementById('startFreshButton');
+                this.receipt = null;
+                
+                document.getElementById('privacyButton').addEventListener('click', () => this.open());
+                document.getElementById('closePrivacy').addEventListener('click', () => this.close());
+                this.panel.addEventListener('click', (e) => {
+                    if (e.target === this.panel) this.close();
+                });
+                this.panel.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') this.close();
+                });
+                this.deleteButton.addEventListener('click', () => this.deleteSession());
+                this.receiptButton.addEventListener('click', () => this.downloadReceipt());
+                this.startFreshButton.addEventListener('click', () => window.location.reload());
+            }
             
-            color: #1d1d1f;
-            border-radius: 20px 20px 20px 4px;
+            open() {
+                this.panel.hidden = false;
+                this.app.setSidebarOpen(false);
+                if (!this.receipt) {
+                    this.status.textContent = '';
+                    this.loadSession();
+                }
+                this.deleteButton.focus();
+            }
             
-            /* Assistant Message Liquid Glass Effect */
-            border: 1px solid rgba(255, 255, 255, 0.4);
-            box-shadow: 
-                0 8px 32px rgba(0, 0, 0, 0.12),
-                inset 0 1px 0 rgba(255, 255, 255, 0.8),
-                inset 0 -1px 0 rgba(0, 0, 0, 0.05),
-                0 0 0 1px rgba(255, 255, 255, 0.1);
-        }
-        
-        .system-message {
-            background: rgba(142, 142, 147, 0.15);
-            backdrop-filter: blur(10px);
-            color: rgba(60, 60, 67, 0.8);
-            text-align: center;
-            border-radius: 16px;
-            font-size: 0.875rem;
-            font-weight: 500;
-            align-self: center;
-            max-width: 85%;
-            padding: 10px 16px;
+            close() {
+                // Nothing is left to go back to once the session is erased
+                if (this.receipt) {
+                    window.location.reload();
+                    return;
+                }
+                this.panel.hidden = true;
+                this.app.messageInput.focus();
+            }
             
-            border: 1px solid rgba(142, 142, 147, 0.2);
-            box-shadow: inset 0 1px 0 rgba(255, 255, 255, 0.5);
-        }
-        
-        .loading-indicator {
-            margin-right: auto;
-            background: 
-                linear-gradient(135deg, rgba(255, 255, 255, 0.8) 0%, rgba(255, 255, 255, 0.6) 100%);
-            backdrop-filter: blur(15px) saturate(150%);
-            color: rgba(60, 60, 67, 0.8);
-            border-radius: 20px 20px 20px 4px;
-            font-style: normal;
-            font-size: 0.875rem;
-            font-weight: 500;
-            display: none;
-            position: relative;
+            async loadSession() {
+                try {
+                    const data = await (await fetch('/api/session')).json();
+                    this.retentionInfo.textContent = data.retentionDays
+                        ? \`Everything below is erased automatically after \${data.retentionDays} days without use - on \${new Date(data.expiresAt).toLocaleDateString()} unless you come back before then.\`
+                        : 'This deployment keeps your data until you delete it.';
+                    this.renderCounts(data.stored || {});
+                } catch (error) {
+                    console.error('Failed to load session data:', error);
+                    this.status.textContent = '❌ Failed to load your data';
+                }
+            }
+            
+            renderCounts(rows) {
+                this.storedData.innerHTML = '';
+                Object.entries(rows).forEach(([table, count]) => {
+                    const item = document.createElement('div');
+                    item.className = 'deck-item';
+                    
+                    const name = document.createElement('span');
+                    name.className = 'deck-title';
+                    name.textContent = STORED_DATA_LABELS[table] || table;
+                    
+                    const meta = document.createElement('span');
+                    meta.className = 'deck-meta';
+                    meta.textContent = count.toLocaleString();
+                    
+                    item.append(name, meta);
+                    this.storedData.appendChild(item);
+                });
+            }
             
-            border: 1px solid rgba(255, 255, 255, 0.3);
-            box-shadow: 
-                0 4px 16px rgba(0, 0, 0, 0.1),
-                inset 0 1px 0 rgba(255, 255, 255, 0.7);
+            async deleteSession() {
+                if (!window.confirm('Delete all your conversations, notes, flashcards, quizzes and assignments? This cannot be undone.')) return;
+                
+                this.deleteButton.disabled = true;
+                this.status.textContent = 'Deleting...';
+                try {
+                    const data = await (await fetch('/api/session', { method: 'DELETE' })).json();
+                    if (!data.success) throw new Error(data.error);
+                    
+                    this.receipt = data.receipt;
+                    localStorage.removeItem('cf_ai_conversation');
+                    this.retentionInfo.textContent = \`Deleted on \${new Date(data.receipt.deletedAt).toLocaleString()}. Receipt \${data.receipt.id}\`;
+                    this.renderCounts(data.receipt.deleted.rows);
+                    this.status.textContent = data.receipt.verified
+                        ? '✓ All of the above was deleted, and a check afterwards found nothing left.'
+                        : '⚠️ Deleted, but the check afterwards still found data - please try again.';
+                    this.deleteButton.hidden = true;
+                    this.receiptButton.hidden = false;
+                    this.startFreshButton.hidden = false;
+                } catch (error) {
+                    console.error('Error deleting session:', error);
+                    this.status.textContent = '❌ Could not delete your data - please try again';
+                    this.deleteButton.disabled = false;
+                }
+            }
+            
+            downloadReceipt() {
+                const blob = new Blob([JSON.stringify(this.receipt, null, 2)], { type: 'application/json' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = \`deletion-receipt-\${this.receipt.id}.json\`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+            }
         }
         
-        /* Liquid Glass Input Section */
-        .input-section {
-            padding: 20px 24px 24px;
-            background: 
-                linear-gradient(135deg, rgba(255, 255, 255, 0.4) 0%, rgba(255, 255, 255, 0.2) 100%);
-            backdrop-filter: blur(40px) saturate(200%);
-            -webkit-backdrop-filter: blur(40px) saturate(200%);
+        // Quizzes - taken inline in the chat, graded by the server; results live in an overlay
+        class QuizView {
+            constructor(app) {
+                this.app = app;
+                this.panel = document.getElementById('quizPanel');
+                this.form = document.getElementById('quizForm');
+                this.topicInput = document.getElementById('quizTopic');
+                this.status = document.getElementById('quizStatus');
+                this.results = document.getElementById('quizResults');
+                
+                document.getElementById('quizResultsButton').addEventListener('click', () => this.open());
+                document.getElementById('closeQuizResults').addEventListener('click', () => this.close());
+                this.panel.addEventListener('click', (e) => {
+                    if (e.target === this.panel) this.close();
+                });
+                this.panel.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') this.close();
+                });
+                this.form.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    const topic = this.topicInput.value.trim();
+                    if (!topic) return;
+                    this.topicInput.value = '';
+                    this.close();
+                    this.start(topic);
+                });
+            }
             
-            border-top: 1px solid rgba(255, 255, 255, 0.3);
-            display: flex;
-            gap: 12px;
-            align-items: flex-end;
+            open() {
+                this.panel.hidden = false;
+                this.app.setSidebarOpen(false);
+                this.status.textContent = '';
+                this.loadResults();
+                this.topicInput.focus();
+            }
             
-            /* Input section glass highlight */
-            background-image: 
-                radial-gradient(600px circle at 50% 0%, rgba(255, 255, 255, 0.1), transparent 50%);
-        }
-        
-        .input-group {
-            flex: 1;
-            position: relative;
-        }
-        
-        .message-input {
-            width: 100%;
-            padding: 14px 18px;
+            close() {
+                this.panel.hidden = true;
+                this.app.messageInput.focus();
+            }
             
-            /* Input Liquid Glass Material */
-            background: 
-                linear-gradient(135deg, rgba(255, 255, 255, 0.9) 0%, rgba(255, 255, 255, 0.8) 100%);
-            backdrop-filter: blur(20px) saturate(180%);
-            -webkit-backdrop-filter: blur(20px) saturate(180%);
+            async loadResults() {
+                try {
+                    const response = await fetch('/api/quizzes');
+                    const data = await response.json();
+                    this.renderResults(data.topics || []);
+                } catch (error) {
+                    console.error('Failed to load quiz results:', error);
+                    this.status.textContent = '❌ Failed to load quiz results';
+                }
+            }
             
-            border: 1px solid rgba(255, 255, 255, 0.4);
-            border-radius: 24px;
-            outline: none;
+            renderResults(topics) {
+                this.results.innerHTML = '';
+                if (topics.length === 0) {
+                    this.status.textContent = 'No quizzes yet - start one above or type /quiz and a topic in the chat.';
+                }
+                
+                topics.forEach(topic => {
+                    const row = document.createElement('div');
+                    row.className = 'topic-result';
+                    
+                    const header = document.createElement('div');
+                    header.className = 'topic-result-header';
+                    const name = document.createElement('span');
+                    name.textContent = topic.topic;
+                    const summary = document.createElement('span');
+                    summary.className = 'deck-meta';
+                    summary.textContent = topic.bestPercent === null
+                        ? 'in progress'
+                        : \`best \${topic.bestPercent}% · avg \${topic.averagePercent}%\`;
+                    header.append(name, summary);
+                    
+                    // One bar per attempt, oldest first - unfinished ones can be resumed
+                    const bars = document.createElement('div');
+                    bars.className = 'score-bars';
+                    topic.attempts.forEach(attempt => {
+                        const bar = document.createElement('div');
+                        const date = new Date(attempt.createdAt).toLocaleDateString();
+                        if (attempt.completedAt) {
+                            bar.className = 'score-bar';
+                            bar.style.height = Math.max(attempt.percent, 3) + '%';
+                            bar.title = \`\${date}: \${attempt.score}/\${attempt.maxScore} (\${attempt.percent}%)\`;
+                        } else {
+                            bar.className = 'score-bar in-progress';
+                            bar.style.height = '100%';
+                            bar.title = \`\${date}: \${attempt.answered}/\${attempt.maxScore} answered - click to resume\`;
+                            bar.addEventListener('click', () => this.resume(attempt.id));
+                        }
+                        bars.appendChild(bar);
+                    });
+                    
+                    row.append(header, bars);
+                    this.results.appendChild(row);
+                });
+            }
             
-            font-size: 16px;
-            font-family: inherit;
-            font-weight: 400;
-            color: #1d1d1f;
-            resize: none;
-            min-height: 48px;
-            max-height: 120px;
+            async start(topic) {
+                if (this.app.isRateLimited()) return;
+                if (this.app.welcomeMessage) {
+                    this.app.welcomeMessage.style.display = 'none';
+                }
+                this.app.displaySystemMessage(\`📝 Writing a quiz on "\${topic}"...\`);
+                
+                try {
+                    const response = await fetch('/api/chat', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ action: 'quiz', topic })
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        this.showQuiz(data.quiz);
+                    } else if (data.code === 'rate_limited') {
+                        this.app.showRateLimitCountdown(data.retryAfter || 1);
+                    } else {
+                        this.app.displayError(data.error || 'Failed to start the quiz');
+                    }
+                } catch (error) {
+                    console.error('Error starting quiz:', error);
+                    this.app.displayError('Failed to start the quiz');
+                }
+            }
             
-            transition: all 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94);
-            line-height: 1.4;
+            async resume(quizId) {
+                try {
+                    const response = await fetch(\`/api/quizzes/\${quizId}\`);
+                    const data = await response.json();
+                    if (!data.quiz) throw new Error(data.error);
+                    
+                    this.close();
+                    if (this.app.welcomeMessage) {
+                        this.app.welcomeMessage.style.display = 'none';
+                    }
+                    this.showQuiz(data.quiz);
+                } catch (error) {
+                    console.error('Error resuming quiz:', error);
+                    this.status.textContent = '❌ Failed to load that quiz';
+                }
+            }
             
-            box-shadow: 
-                inset 0 2px 4px rgba(0, 0, 0, 0.06),
-                inset 0 1px 0 rgba(255, 255, 255, 0.7),
-                0 1px 3px rgba(0, 0, 0, 0.1);
-        }
-        
-        .message-input::placeholder {
-            color: rgba(60, 60, 67, 0.6);
-        }
-        
-        .message-input:focus {
-            border-color: rgba(0, 122, 255, 0.6);
-            box-shadow: 
-                0 0 0 4px rgba(0, 122, 255, 0.1),
-                inset 0 2px 4px rgba(0, 0, 0, 0.06),
-                inset 0 1px 0 rgba(255, 255, 255, 0.8),
-                0 4px 16px rgba(0, 122, 255, 0.2);
+            showQuiz(quiz) {
+                const card = document.createElement('div');
+                card.className = 'message assistant-message quiz-card';
                 
-            background: 
-                linear-gradient(135deg, rgba(255, 255, 255, 0.95) 0%, rgba(255, 255, 255, 0.85) 100%);
-        }
-        
-        /* Liquid Glass Buttons */
-        .btn {
-            padding: 14px 20px;
-            border: none;
-            border-radius: 24px;
-            cursor: pointer;
-            font-weight: 600;
-            font-size: 16px;
-            min-width: 80px;
-            height: 48px;
+                const title = document.createElement('h3');
+                title.textContent = '📝 Quiz: ' + quiz.topic;
+                const score = document.createElement('p');
+                score.className = 'quiz-score';
+                card.append(title, score);
+                
+                quiz.questions.forEach((question, index) => {
+                    card.appendChild(this.renderQuestion(quiz, question, index, score));
+                });
+                this.updateScore(quiz, score);
+                
+                this.app.messagesContainer.appendChild(card);
+                this.app.scrollToLatestMessage();
+            }
             
-            display: flex;
-            align-items: center;
-            justify-content: center;
+            renderQuestion(quiz, question, index, scoreElement) {
+                const element = document.createElement('div');
+                element.className = 'quiz-question';
+                
+                const prompt = document.createElement('p');
+                prompt.textContent = \`\${index + 1}. \${question.question}\`;
+                element.appendChild(prompt);
+                
+                let readAnswer;
+                if (question.type === 'multiple_choice') {
+                    question.choices.forEach((choice, choiceIndex) => {
+                        const label = document.createElement('label');
+                        label.className = 'quiz-choice';
+                        const radio = document.createElement('input');
+                        radio.type = 'radio';
+                        radio.name = \`quiz-\${quiz.id}-\${question.id}\`;
+                        radio.value = choiceIndex;
+                        const text = document.createElement('span');
+                        text.textContent = choice;
+                        label.append(radio, text);
+                        element.appendChild(label);
+                    });
+                    readAnswer = () => {
+                        const checked = element.querySelector('input[type="radio"]:checked');
+                        return checked ? Number(checked.value) : null;
+                    };
+                } else {
+                    const input = document.createElement('textarea');
+                    input.className = 'study-input';
+                    input.rows = 2;
+                    input.maxLength = ${MAX_ANSWER_LENGTH};
+                    input.placeholder = 'Your answer';
+                    input.setAttribute('aria-label', \`Answer to question \${index + 1}\`);
+                    element.appendChild(input);
+                    readAnswer = () => input.value.trim() || null;
+                }
+                
+                if (question.result) {
+                    this.showResult(element, question, question.result);
+                    return element;
+                }
+                
+                const submit = document.createElement('button');
+                submit.className = 'btn send-button';
+                submit.textContent = 'Check';
+                submit.addEventListener('click', () => {
+                    const answer = readAnswer();
+                    if (answer === null) return;
+                    this.submitAnswer(quiz, question, answer, element, submit, scoreElement);
+                });
+                element.appendChild(submit);
+                return element;
+            }
             
-            transition: all 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94);
-            position: relative;
-            overflow: hidden;
+            async submitAnswer(quiz, question, answer, element, submit, scoreElement) {
+                submit.disabled = true;
+                submit.textContent = 'Checking...';
+                
+                try {
+                    const response = await fetch('/api/chat', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ action: 'answer', quizId: quiz.id, questionId: question.id, answer })
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        submit.remove();
+                        this.showResult(element, question, data.result);
+                        this.updateScore(data.quiz, scoreElement);
+                        return;
+                    }
+                    if (data.code === 'rate_limited') {
+                        this.app.showRateLimitCountdown(data.retryAfter || 1);
+                    }
+                    this.app.displayError(data.error || 'Failed to check that answer');
+                } catch (error) {
+                    console.error('Error submitting answer:', error);
+                    this.app.displayError('Failed to check that answer');
+                }
+                submit.disabled = false;
+                submit.textContent = 'Check';
+            }
             
-            /* Button Liquid Glass Depth */
-            box-shadow: 
-                0 4px 16px rgba(0, 0, 0, 0.12),
-                inset 0 1px 0 rgba(255, 255, 255, 0.4);
-        }
-        
-        .btn::before {
-            content: '';
-            position: absolute;
-            top: 0;
-            left: -100%;
-            width: 100%;
-            height: 100%;
-            background: linear-gradient(90deg, transparent, rgba(255, 255, 255, 0.3), transparent);
-            transition: left 0.5s ease;
-        }
-        
-        .btn:hover::before {
-            left: 100%;
-        }
-        
-        .send-button {
-            background: linear-gradient(135deg, #007AFF 0%, #5AC8FA 100%);
-            color: white;
-            border: 1px solid rgba(255, 255, 255, 0.2);
-        }
-        
-        .send-button:hover:not(:disabled) {
-            transform: translateY(-2px);
-            box-shadow: 
-                0 8px 24px rgba(0, 122, 255, 0.4),
-                inset 0 1px 0 rgba(255, 255, 255, 0.5);
+            // Lock the question and show the key, explanation and any feedback
+            showResult(element, question, result) {
+                element.querySelectorAll('input, textarea').forEach(input => { input.disabled = true; });
                 
-            background: linear-gradient(135deg, #0051D5 0%, #4A9FFF 100%);
-        }
-        
-        .send-button:active:not(:disabled) {
-            transform: translateY(0);
-        }
-        
-        .send-button:disabled {
-            background: rgba(142, 142, 147, 0.3);
-            color: rgba(60, 60, 67, 0.6);
-            cursor: not-allowed;
-            transform: none;
-            box-shadow: inset 0 1px 0 rgba(255, 255, 255, 0.3);
-        }
-        
-        .clear-button {
-            background: 
-                linear-gradient(135deg, rgba(142, 142, 147, 0.2) 0%, rgba(142, 142, 147, 0.1) 100%);
-            backdrop-filter: blur(10px);
-            color: #1d1d1f;
-            border: 1px solid rgba(255, 255, 255, 0.3);
-        }
-        
-        .clear-button:hover {
-            background: 
-                linear-gradient(135deg, rgba(142, 142, 147, 0.3) 0%, rgba(142, 142, 147, 0.2) 100%);
-            transform: translateY(-2px);
-            box-shadow: 
-                0 8px 24px rgba(0, 0, 0, 0.15),
-                inset 0 1px 0 rgba(255, 255, 255, 0.5);
+                if (question.type === 'multiple_choice') {
+                    element.querySelectorAll('.quiz-choice').forEach((label, choiceIndex) => {
+                        label.querySelector('input').checked = choiceIndex === result.submitted;
+                        if (choiceIndex === result.correctAnswer) label.classList.add('correct');
+                        else if (choiceIndex === result.submitted) label.classList.add('wrong');
+                    });
+                } else {
+                    element.querySelector('textarea').value = result.submitted;
+                }
+                
+                const verdict = result.correct ? 'correct' : (result.points > 0 ? 'partial' : 'wrong');
+                const feedback = document.createElement('div');
+                feedback.className = 'quiz-feedback ' + verdict;
+                const lines = [{ correct: '✓ Correct', partial: '◐ Partly right', wrong: '✗ Not quite' }[verdict]];
+                if (result.feedback) lines.push(result.feedback);
+                if (question.type === 'short_answer' && !result.correct) lines.push('Model answer: ' + result.correctAnswer);
+                if (result.explanation) lines.push(result.explanation);
+                lines.forEach(line => {
+                    const p = document.createElement('p');
+                    p.textContent = line;
+                    feedback.appendChild(p);
+                });
+                element.appendChild(feedback);
+            }
+            
+            updateScore(quiz, scoreElement) {
+                const answered = quiz.questions.filter(q => q.result).length;
+                scoreElement.textContent = quiz.completedAt
+                    ? \`Finished - \${quiz.score}/\${quiz.maxScore} (\${quiz.percent}%)\`
+                    : \`\${answered} of \${quiz.questions.length} answered · score \${quiz.score}\`;
+            }
         }
         
-        /* Welcome Message with Liquid Glass */
-        .welcome-message {
-            text-align: center;
-            padding: 48px 24px;
+        // The keyboard shortcut list (Alt+/)
+        // Push-to-talk dictation: hold the mic button (or Space/Enter on it) and let go
+        // to transcribe, or tap once to start and again to stop. The text lands in the
+        // message box so it can be checked before sending
+        class VoiceInput {
+            constructor(app) {
+                this.app = app;
+                this.button = document.getElementById('micButton');
+                this.state = 'idle'; // idle | starting | recording | sending
+                this.recorder = null;
+                this.held = false;
+                this.pressedAt = 0;
+                this.stopWhenStarted = false;
+                this.timer = null;
+                
+                if (!navigator.mediaDevices || !window.MediaRecorder) {
+                    this.button.hidden = true; // no recording in this browser - typing only
+                    return;
+                }
+                
+                this.button.addEventListener('pointerdown', (e) => {
+                    if (e.button !== 0) return;
+                    e.preventDefault();
+                    this.button.setPointerCapture(e.pointerId); // so letting go off the button still counts
+                    this.press();
+                });
+                this.button.addEventListener('pointerup', () => this.release());
+                this.button.addEventListener('pointercancel', () => this.release());
+                this.button.addEventListener('keydown', (e) => {
+                    if (e.key !== ' ' && e.key !== 'Enter') return;
+                    e.preventDefault();
+                    if (!e.repeat) this.press();
+                });
+                this.button.addEventListener('keyup', (e) => {
+                    if (e.key !== ' ' && e.key !== 'Enter') return;
+                    e.preventDefault();
+                    this.release();
+                });
+                // Screen readers often send a bare click with no key or pointer events
+                this.button.addEventListener('click', (e) => {
+                    if (e.detail === 0 && !this.held) this.toggle();
+                });
+            }
             
-            background: rgba(255, 255, 255, 0.1);
-            backdrop-filter: blur(15px) saturate(150%);
-            border: 1px solid rgba(255, 255, 255, 0.2);
-            border-radius: 24px;
-            margin: 0 8px;
+            // Holding for less than this counts as a tap, which leaves the mic on
+            static get TAP_MS() {
+                return 300;
+            }
+            
+            press() {
+                if (this.state === 'recording') {
+                    this.stop(); // second tap
+                } else if (this.state === 'idle') {
+                    this.held = true;
+                    this.pressedAt = Date.now();
+                    this.start();
+                }
+            }
+            
+            release() {
+                if (!this.held) return;
+                this.held = false;
+                if (Date.now() - this.pressedAt < VoiceInput.TAP_MS) return;
+                
+                if (this.state === 'recording') {
+                    this.stop();
+                } else if (this.state === 'starting') {
+                    this.stopWhenStarted = true; // let go while the permission prompt was up
+                }
+            }
+            
+            toggle() {
+                if (this.button.hidden) return;
+                if (this.state === 'idle') {
+                    this.start();
+                } else if (this.state === 'recording') {
+                    this.stop();
+                }
+            }
+            
+            async start() {
+                if (this.app.isSending) return;
+                this.state = 'starting';
+                
+                let stream;
+                try {
+                    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+                } catch (error) {
+                    console.error('Microphone unavailable:', error);
+                    this.state = 'idle';
+                    this.held = false;
+                    this.stopWhenStarted = false;
+                    this.app.displayError("Couldn't use the microphone - check this site's permission in your browser");
+                    return;
+                }
+                
+                const chunks = [];
+                const recorder = new MediaRecorder(stream);
+                recorder.addEventListener('dataavailable', (e) => chunks.push(e.data));
+                recorder.addEventListener('stop', () => {
+                    stream.getTracks().forEach(track => track.stop());
+                    this.transcribe(new Blob(chunks, { type: recorder.mimeType }));
+                });
+                recorder.start();
+                this.recorder = recorder;
+                this.state = 'recording';
+                this.render();
+                this.app.announce('Recording');
+                this.timer = setTimeout(() => this.stop(), MAX_RECORDING_MS);
+                
+                if (this.stopWhenStarted) {
+                    this.stopWhenStarted = false;
+                    this.stop();
+                }
+            }
+            
+            stop() {
+                if (this.state !== 'recording') return;
+                clearTimeout(this.timer);
+                this.state = 'sending';
+                this.render();
+                this.recorder.stop(); // transcribe() runs once the last chunk is in
+            }
+            
+            async transcribe(blob) {
+                try {
+                    const response = await fetch('/api/transcribe', {
+                        method: 'POST',
+                        headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+                        body: blob
+                    });
+                    const data = await response.json();
+                    
+                    if (!data.success) {
+                        if (data.code === 'rate_limited') {
+                            this.app.showRateLimitCountdown(data.retryAfter || 1);
+                        } else {
+                            this.app.displayError(data.error || 'Could not transcribe that');
+                        }
+                    } else if (!data.text) {
+                        this.app.displaySystemMessage("🎤 Didn't catch that - try again a little closer to the mic");
+                    } else {
+                        const input = this.app.messageInput;
+                        input.value = input.value.trim() ? input.value.trimEnd() + ' ' + data.text : data.text;
+                        input.dispatchEvent(new Event('input')); // resize to fit
+                        input.focus();
+                        this.app.announce('Transcribed: ' + data.text);
+                    }
+                } catch (error) {
+                    console.error('Error transcribing audio:', error);
+                    this.app.displayError('Could not transcribe that');
+                } finally {
+                    this.recorder = null;
+                    this.state = 'idle';
+                    this.render();
+                    this.app.refreshUsage();
+                }
+            }
             
-            box-shadow: 
-                inset 0 1px 0 rgba(255, 255, 255, 0.4),
-                0 8px 32px rgba(0, 0, 0, 0.1);
-        }
-        
-        .welcome-message h2 {
-            font-size: 1.5rem;
-            font-weight: 700;
-            color: #1d1d1f;
-            margin-bottom: 16px;
-        }
-        
-        .welcome-message p {
-            color: rgba(60, 60, 67, 0.8);
-            margin-bottom: 12px;
-            line-height: 1.5;
-            font-size: 0.9rem;
+            render() {
+                const recording = this.state === 'recording';
+                this.button.classList.toggle('recording', recording);
+                this.button.setAttribute('aria-pressed', String(recording));
+                this.button.disabled = this.state === 'sending';
+                this.button.textContent = this.state === 'sending' ? '…' : recording ? '⏺' : '🎤';
+            }
         }
         
-        /* Responsive Design */
-        @media (max-width: 768px) {
-            body { padding: 8px; }
-            .chat-container { 
-                height: 95vh; 
-                border-radius: 24px;
-                max-width: 100%;
+        // Plays replies through the speech model, one at a time - the play button
+        // under a reply becomes its stop button while it's playing
+        class SpeechPlayer {
+            constructor(app) {
+                this.app = app;
+                this.audio = new Audio();
+                this.clips = new Map(); // message id -> object URL, so replaying is free
+                this.button = null;
+                
+                this.audio.addEventListener('ended', () => this.stop());
             }
-            .chat-header { padding: 20px; }
-            .messages-container { padding: 16px; gap: 12px; }
-            .message { 
-                max-width: 85%; 
-                font-size: 15px;
-                padding: 12px 16px;
+            
+            async toggle(messageId, button) {
+                const wasPlaying = this.button === button;
+                this.stop();
+                if (wasPlaying) return;
+                
+                this.button = button;
+                this.render(button, 'loading');
+                try {
+                    let url = this.clips.get(messageId);
+                    if (!url) {
+                        const response = await fetch('/api/speak', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ conversationId: this.app.conversationId, messageId })
+                        });
+                        if (!response.ok) {
+                            const data = await response.json().catch(() => ({}));
+                            throw new Error(data.error || 'Could not read that reply aloud');
+                        }
+                        url = URL.createObjectURL(await response.blob());
+                        this.clips.set(messageId, url);
+                    }
+                    if (this.button !== button) return; // stopped, or another reply started, meanwhile
+                    
+                    this.audio.src = url;
+                    await this.audio.play();
+                    this.render(button, 'playing');
+                } catch (error) {
+                    console.error('Error playing reply:', error);
+                    if (this.button === button) this.stop();
+                    this.app.displayError(error.message || 'Could not read that reply aloud');
+                } finally {
+                    this.app.refreshUsage();
+                }
             }
-            .input-section { padding: 16px; }
-            .status-indicator { 
-                position: static; 
-                display: inline-block; 
-                margin-top: 12px;
+            
+            stop() {
+                this.audio.pause();
+                if (this.button) this.render(this.button, 'idle');
+                this.button = null;
             }
-            .welcome-message {
-                margin: 0 4px;
-                padding: 32px 20px;
+            
+            render(button, state) {
+                const labels = {
+                    idle: ['🔊 Listen', 'Read this reply aloud'],
+                    loading: ['🔊 …', 'Stop (loading audio)'],
+                    playing: ['■ Stop', 'Stop reading aloud']
+                };
+                const [text, title] = labels[state];
+                button.textContent = text;
+                button.title = title;
+                button.setAttribute('aria-label', title);
             }
         }
         
-        /* Mouse tracking for liquid glass effects */
-        @media (hover: hover) {
-            .chat-container:hover {
-                animation-play-state: paused;
+        class ShortcutsPanel {
+            constructor(app) {
+                this.app = app;
+                this.panel = document.getElementById('shortcutsPanel');
+                this.closeButton = document.getElementById('closeShortcuts');
+                
+                document.getElementById('shortcutsButton').addEventListener('click', () => this.open());
+                this.closeButton.addEventListener('click', () => this.close());
+                this.panel.addEventListener('click', (e) => {
+                    if (e.target === this.panel) this.close();
+                });
+                this.panel.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') this.close();
+                });
             }
-        }
-    </style>
-</head>
-<body>
-    <div class="chat-container">
-        <div class="chat-header">
-            <div class="status-indicator">✓ Ready</div>
-            <h1>AI Assistant</h1>
-            <p>Powered by Cloudflare Workers AI (Llama 3.3 70B)</p>
-        </div>
-        
-        <div class="messages-container" id="messagesContainer">
-            <div class="welcome-message" id="welcomeMessage">
-                <h2>Welcome to Your AI Assistant</h2>
-                <p>Ask me anything - I can help with questions, coding, creative writing, analysis, and more!</p>
-                </div>
-        </div>
-        
-        <div class="input-section">
-            <div class="input-group">
-                <textarea 
-                    id="messageInput" 
-                    class="message-input" 
-                    placeholder="Message"
-                    rows="1"
-                ></textarea>
-            </div>
-            <button id="sendButton" class="btn send-button">Send</button>
-            <button id="clearButton" class="btn clear-button">Clear</button>
-        </div>
-    </div>
-
-    <script>
-        // Helper function to format text with basic markdown-like rendering
-        function formatMessageContent(content) {
-            if (typeof content !== 'string') return content;
-            
-            // Convert numbered lists (1. 2. 3.) - keep simple
-            content = content.replace(/^(\\d+\\.)\\s+/gm, '$1 ');
             
-            // Convert asterisk lists to bullet points
-            content = content.replace(/^\\*\\s+(.+)$/gm, '• $1');
-            
-            // Remove double asterisks (markdown bold)
-            content = content.replace(/\\*\\*([^*]+)\\*\\*/g, '$1');
+            open() {
+                this.panel.hidden = false;
+                this.app.setSidebarOpen(false);
+                this.closeButton.focus();
+            }
             
-            return content;
+            close() {
+                this.panel.hidden = true;
+                this.app.messageInput.focus();
+            }
         }
         
         // Main chat application class
@@ -791,13 +7677,56 @@ function getChatHTML() {
                 this.messageInput = document.getElementById('messageInput');
                 this.sendButton = document.getElementById('sendButton');
                 this.clearButton = document.getElementById('clearButton');
+                this.exportButton = document.getElementById('exportButton');
+                this.exportOptions = document.getElementById('exportOptions');
+                this.importButton = document.getElementById('importButton');
+                this.importInput = document.getElementById('importInput');
                 this.welcomeMessage = document.getElementById('welcomeMessage');
+                this.conversationSidebar = document.getElementById('conversationSidebar');
+                this.conversationList = document.getElementById('conversationList');
+                this.archivedList = document.getElementById('archivedList');
+                this.archivedSection = document.getElementById('archivedSection');
+                this.newConversationButton = document.getElementById('newConversationButton');
+                this.sidebarToggle = document.getElementById('sidebarToggle');
+                this.personaSelect = document.getElementById('personaSelect');
+                this.themeSelect = document.getElementById('themeSelect');
+                this.politeAnnouncer = document.getElementById('politeAnnouncer');
+                this.alertAnnouncer = document.getElementById('alertAnnouncer');
+                this.statusIndicator = document.getElementById('statusIndicator');
+                this.usageMeter = document.getElementById('usageMeter');
+                this.usageBar = document.getElementById('usageBar');
+                this.usageText = document.getElementById('usageText');
+                this.flashcards = new FlashcardPanel(this);
+                this.quiz = new QuizView(this);
+                this.notes = new NotesPanel(this);
+                this.assignments = new AssignmentsPanel(this);
+                this.privacy = new PrivacyPanel(this);
+                this.shortcuts = new ShortcutsPanel(this);
+                this.voice = new VoiceInput(this);
+                this.speech = new SpeechPlayer(this);
                 
                 // Create loading indicator element (not in HTML initially)
                 this.loadingIndicator = null;
                 
-                // Generate a unique session ID for this browser session
-                this.sessionId = 'session-' + Math.random().toString(36).substr(2, 9);
+                // Conversation threads - the open one is remembered across reloads
+                this.conversations = [];
+                this.conversationId = localStorage.getItem('cf_ai_conversation');
+                this.isSending = false;
+                
+                // History paging - cursor for the next older page (null when there is none)
+                this.historyCursor = null;
+                this.isLoadingHistory = false;
+                
+                // Set while the server's rate limit blocks sending (epoch ms)
+                this.rateLimitedUntil = 0;
+                this.countdownTimer = null;
+                
+                // WebSocket state - HTTP is used whenever the socket isn't open
+                this.socket = null;
+                this.reconnectAttempts = 0;
+                this.nextFrameId = 1;
+                this.pendingFrames = new Map(); // frame id -> { resolve, reject, timer, onToken }
+                this.pendingRenders = new WeakMap(); // message bubble -> animation frame id
                 
                 // Debug logging
                 console.log('ChatApplication initialized');
@@ -811,49 +7740,512 @@ function getChatHTML() {
                 this.init();
             }
             
-            init() {
-                console.log('Initializing chat application...');
-                this.createLoadingIndicator();
-                this.loadConversationHistory();
-                this.setupEventListeners();
-                this.setupAutoResize();
-                this.setupMouseTracking();
+            init() {
+                console.log('Initializing chat application...');
+                this.createLoadingIndicator();
+                this.initConversations();
+                this.setupEventListeners();
+                this.setupKeyboardShortcuts();
+                this.setupAutoResize();
+                this.setupMouseTracking();
+                this.connectWebSocket();
+                this.checkHealth();
+                setInterval(() => this.checkHealth(), 60000);
+                this.refreshUsage();
+            }
+            
+            // Today's remaining allowance under the header - shows whichever limit is
+            // closer to running out, and stays hidden when there are no limits
+            async refreshUsage() {
+                try {
+                    const data = await (await fetch('/api/usage?days=1')).json();
+                    if (!data.success) return;
+                    
+                    const { limits, remaining } = data;
+                    const shares = ['tokens', 'requests']
+                        .filter(key => limits[key] !== null)
+                        .map(key => ({ key, share: remaining[key] / limits[key] }));
+                    if (shares.length === 0) {
+                        this.usageMeter.hidden = true;
+                        return;
+                    }
+                    
+                    const tightest = shares.reduce((lowest, next) => next.share < lowest.share ? next : lowest);
+                    this.usageBar.value = tightest.share;
+                    this.usageText.textContent = tightest.key === 'tokens'
+                        ? \`\${remaining.tokens.toLocaleString()} tokens left today\`
+                        : \`\${remaining.requests.toLocaleString()} requests left today\`;
+                    this.usageMeter.title = shares
+                        .map(({ key }) => \`\${key}: \${remaining[key].toLocaleString()} of \${limits[key].toLocaleString()} left\`)
+                        .concat(\`Resets \${new Date(data.resetAt).toLocaleString()}\`)
+                        .join('\\n');
+                    this.usageMeter.hidden = false;
+                } catch (error) {
+                    console.error('Failed to load usage:', error);
+                }
+            }
+            
+            // Header badge follows /api/health (which the server caches, so polling is cheap)
+            async checkHealth() {
+                const labels = { healthy: '✓ Ready', degraded: '! Degraded', down: '✕ Unavailable' };
+                let status = 'down';
+                let detail = 'Could not reach the server';
+                try {
+                    const data = await (await fetch('/api/health')).json();
+                    status = data.status;
+                    detail = Object.entries(data.components)
+                        .map(([name, component]) => component.latencyMs === undefined
+                            ? \`\${name}: \${component.status}\`
+                            : \`\${name}: \${component.status} (\${component.latencyMs} ms)\`)
+                        .join('\\n');
+                } catch (error) {
+                    console.error('Health check failed:', error);
+                }
+                
+                this.statusIndicator.dataset.status = labels[status] ? status : 'down';
+                this.statusIndicator.textContent = labels[status] || labels.down;
+                this.statusIndicator.title = detail;
+            }
+            
+            // Open the real-time channel, reconnecting with backoff when it drops
+            connectWebSocket() {
+                if (!('WebSocket' in window)) return; // stay on HTTP
+                
+                const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+                const socket = new WebSocket(\`\${protocol}//\${window.location.host}/api/ws\`);
+                this.socket = socket;
+                
+                socket.addEventListener('open', () => {
+                    console.log('WebSocket connected');
+                    this.reconnectAttempts = 0;
+                    this.startKeepAlive();
+                });
+                
+                socket.addEventListener('message', (event) => {
+                    this.handleSocketFrame(event.data);
+                });
+                
+                socket.addEventListener('close', () => {
+                    console.log('WebSocket closed, falling back to HTTP');
+                    this.stopKeepAlive();
+                    this.rejectPendingFrames('Connection lost. Please try again.');
+                    if (this.socket === socket) {
+                        this.socket = null;
+                        this.scheduleReconnect();
+                    }
+                });
+                
+                socket.addEventListener('error', (error) => {
+                    console.error('WebSocket error:', error);
+                });
+            }
+            
+            scheduleReconnect() {
+                // Exponential backoff capped at 30 seconds
+                const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
+                this.reconnectAttempts++;
+                setTimeout(() => this.connectWebSocket(), delay);
+            }
+            
+            // Ping every 30s so proxies don't drop an idle socket (answered without waking the DO)
+            startKeepAlive() {
+                this.stopKeepAlive();
+                this.keepAliveTimer = setInterval(() => {
+                    if (this.isSocketOpen()) this.socket.send('ping');
+                }, 30000);
+            }
+            
+            stopKeepAlive() {
+                if (this.keepAliveTimer) {
+                    clearInterval(this.keepAliveTimer);
+                    this.keepAliveTimer = null;
+                }
+            }
+            
+            isSocketOpen() {
+                return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+            }
+            
+            // Send a typed frame and resolve with the server's reply to it
+            // onToken (optional) receives streamed token frames before the reply
+            sendFrame(type, payload = {}, onToken = null) {
+                return new Promise((resolve, reject) => {
+                    const id = this.nextFrameId++;
+                    const timer = setTimeout(() => {
+                        this.pendingFrames.delete(id);
+                        reject(new Error('Request timed out'));
+                    }, 60000);
+                    
+                    this.pendingFrames.set(id, { resolve, reject, timer, onToken });
+                    this.socket.send(JSON.stringify({ id, type, ...payload }));
+                });
+            }
+            
+            handleSocketFrame(raw) {
+                if (raw === 'pong') return;
+                
+                let frame;
+                try {
+                    frame = JSON.parse(raw);
+                } catch (error) {
+                    console.error('Invalid frame from server:', raw);
+                    return;
+                }
+                
+                // Pushed by the server rather than a reply to one of our frames
+                if (frame.type === FRAME_TYPES.REMINDER) {
+                    this.showReminder(frame);
+                    return;
+                }
+                
+                const pending = this.pendingFrames.get(frame.id);
+                if (!pending) {
+                    console.log('Unmatched frame:', frame);
+                    return;
+                }
+                
+                if (frame.type === FRAME_TYPES.TOKEN) {
+                    if (pending.onToken) pending.onToken(frame.token);
+                    return;
+                }
+                
+                clearTimeout(pending.timer);
+                this.pendingFrames.delete(frame.id);
+                // Error frames carry success: false, so callers treat them like HTTP errors
+                pending.resolve(frame);
+            }
+            
+            rejectPendingFrames(reason) {
+                this.pendingFrames.forEach((pending) => {
+                    clearTimeout(pending.timer);
+                    pending.reject(new Error(reason));
+                });
+                this.pendingFrames.clear();
+            }
+            
+            // Send a request over the socket when possible, otherwise POST to /api/chat
+            // With onToken the reply is streamed (token frames, or SSE over HTTP)
+            async postChat(frameType, body, onToken = null) {
+                if (this.isSocketOpen()) {
+                    return this.sendFrame(frameType, body, onToken);
+                }
+                
+                const response = await fetch(onToken ? '/api/chat?stream=1' : '/api/chat', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(body)
+                });
+                
+                const contentType = response.headers.get('Content-Type') || '';
+                if (onToken && contentType.includes('text/event-stream')) {
+                    return this.readEventStream(response, onToken);
+                }
+                return response.json();
+            }
+            
+            // Parse our SSE stream - token events go to onToken, done/error is returned
+            async readEventStream(response, onToken) {
+                const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+                let buffer = '';
+                let result = { success: false, error: 'Connection lost. Please try again.' };
+                
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    
+                    buffer += value;
+                    const events = buffer.split('\\n\\n');
+                    buffer = events.pop(); // last event may be incomplete
+                    
+                    for (const event of events) {
+                        if (!event.startsWith('data: ')) continue;
+                        const payload = JSON.parse(event.slice(6));
+                        if (payload.type === 'token') {
+                            onToken(payload.token);
+                        } else {
+                            result = payload;
+                        }
+                    }
+                }
+                
+                return result;
+            }
+            
+            // Create loading indicator element dynamically
+            createLoadingIndicator() {
+                this.loadingIndicator = document.createElement('div');
+                this.loadingIndicator.className = 'message loading-indicator';
+                this.loadingIndicator.textContent = 'Thinking...';
+                this.loadingIndicator.style.display = 'none';
+            }
+            
+            // Track mouse for liquid glass effects (not when the user asked for less motion)
+            setupMouseTracking() {
+                if (window.matchMedia('(hover: hover) and (prefers-reduced-motion: no-preference)').matches) {
+                    document.addEventListener('mousemove', (e) => {
+                        const x = (e.clientX / window.innerWidth) * 100;
+                        const y = (e.clientY / window.innerHeight) * 100;
+                        document.documentElement.style.setProperty('--mouse-x', x + '%');
+                        document.documentElement.style.setProperty('--mouse-y', y + '%');
+                    });
+                }
+            }
+            
+            setupAutoResize() {
+                if (this.messageInput) {
+                    this.messageInput.addEventListener('input', () => {
+                        this.messageInput.style.height = 'auto';
+                        this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
+                    });
+                }
+            }
+            
+            // Load the thread index, then reopen the last conversation
+            async initConversations() {
+                await this.loadConversations();
+                
+                const stored = this.conversations.find(c => c.id === this.conversationId && !c.archived);
+                const latest = this.conversations.find(c => !c.archived);
+                this.setActiveConversation(stored ? stored.id : (latest ? latest.id : null));
+                this.loadConversationHistory();
+            }
+            
+            async loadConversations() {
+                try {
+                    const response = await fetch('/api/conversations');
+                    const data = await response.json();
+                    this.conversations = data.conversations || [];
+                } catch (error) {
+                    console.error('Failed to load conversations:', error);
+                    this.conversations = [];
+                }
+                this.renderConversationList();
+            }
+            
+            setActiveConversation(conversationId) {
+                this.conversationId = conversationId;
+                if (conversationId) {
+                    localStorage.setItem('cf_ai_conversation', conversationId);
+                } else {
+                    localStorage.removeItem('cf_ai_conversation');
+                }
+                this.renderConversationList();
+                this.renderPersonaSelect();
+            }
+            
+            // Show the open thread's persona (new chats keep whatever is selected)
+            renderPersonaSelect() {
+                if (!this.personaSelect) return;
+                
+                if (this.personaSelect.options.length === 0) {
+                    PERSONAS.forEach(persona => {
+                        const option = document.createElement('option');
+                        option.value = persona.id;
+                        option.textContent = persona.name;
+                        option.title = persona.description;
+                        this.personaSelect.appendChild(option);
+                    });
+                }
+                
+                const conversation = this.conversations.find(c => c.id === this.conversationId);
+                if (conversation) {
+                    this.personaSelect.value = conversation.persona || DEFAULT_PERSONA;
+                }
+                const selected = PERSONAS.find(p => p.id === this.personaSelect.value);
+                this.personaSelect.title = selected ? selected.description : '';
+            }
+            
+            async changePersona(persona) {
+                const selected = PERSONAS.find(p => p.id === persona);
+                
+                // No thread yet - start one in the chosen mode
+                if (!this.conversationId) {
+                    await this.createConversation();
+                } else {
+                    const updated = await this.updateConversation(this.conversationId, { persona });
+                    if (!updated) {
+                        this.renderPersonaSelect(); // put the select back
+                        return;
+                    }
+                }
+                this.renderPersonaSelect();
+                if (selected) {
+                    this.displaySystemMessage('🎓 Mode: ' + selected.name + ' - ' + selected.description);
+                }
+            }
+            
+            // Replace (or add) a thread in the sidebar after the server changed it
+            upsertConversation(conversation) {
+                this.conversations = this.conversations.filter(c => c.id !== conversation.id);
+                this.conversations.unshift(conversation);
+                this.conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+                this.renderConversationList();
+            }
+            
+            renderConversationList() {
+                if (!this.conversationList || !this.archivedList) return;
+                
+                this.conversationList.innerHTML = '';
+                this.archivedList.innerHTML = '';
+                
+                this.conversations.forEach(conversation => {
+                    const item = document.createElement('div');
+                    item.className = 'conversation-item' + (conversation.id === this.conversationId ? ' active' : '');
+                    item.title = conversation.title;
+                    
+                    // A button so the thread can be opened from the keyboard (the row's click handler does the work)
+                    const title = document.createElement('button');
+                    title.className = 'conversation-title';
+                    title.textContent = conversation.title; // titles come from the model - never innerHTML
+                    if (conversation.id === this.conversationId) {
+                        title.setAttribute('aria-current', 'true');
+                    }
+                    item.appendChild(title);
+                    
+                    const actions = conversation.archived
+                        ? [['↩', 'Unarchive', () => this.archiveConversation(conversation.id, false)]]
+                        : [['✎', 'Rename', () => this.renameConversation(conversation.id)],
+                           ['🗄', 'Archive', () => this.archiveConversation(conversation.id, true)]];
+                    actions.push(['🗑', 'Delete', () => this.deleteConversation(conversation.id)]);
+                    
+                    actions.forEach(([icon, label, handler]) => {
+                        const button = document.createElement('button');
+                        button.className = 'conversation-action';
+                        button.textContent = icon;
+                        button.title = label;
+                        button.setAttribute('aria-label', \`\${label} "\${conversation.title}"\`);
+                        button.addEventListener('click', (e) => {
+                            e.stopPropagation();
+                            handler();
+                        });
+                        item.appendChild(button);
+                    });
+                    
+                    item.addEventListener('click', () => this.switchConversation(conversation.id));
+                    (conversation.archived ? this.archivedList : this.conversationList).appendChild(item);
+                });
+                
+                const archivedCount = this.conversations.filter(c => c.archived).length;
+                this.archivedSection.style.display = archivedCount > 0 ? '' : 'none';
+            }
+            
+            async switchConversation(conversationId) {
+                if (this.isSending || conversationId === this.conversationId) return;
+                
+                this.speech.stop();
+                this.setActiveConversation(conversationId);
+                this.showWelcomeMessage();
+                this.setSidebarOpen(false);
+                await this.loadConversationHistory();
+            }
+            
+            async createConversation() {
+                if (this.isSending) return;
+                
+                try {
+                    const response = await fetch('/api/conversations', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ persona: this.personaSelect ? this.personaSelect.value : DEFAULT_PERSONA })
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        this.upsertConversation(data.conversation);
+                        await this.switchConversation(data.conversation.id);
+                    } else {
+                        this.displayError(data.error || 'Failed to create conversation');
+                    }
+                } catch (error) {
+                    console.error('Error creating conversation:', error);
+                    this.displayError('Failed to create conversation');
+                }
+            }
+            
+            async updateConversation(conversationId, changes) {
+                try {
+                    const response = await fetch(\`/api/conversations/\${conversationId}\`, {
+                        method: 'PATCH',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(changes)
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        this.upsertConversation(data.conversation);
+                        return data.conversation;
+                    }
+                    this.displayError(data.error || 'Failed to update conversation');
+                } catch (error) {
+                    console.error('Error updating conversation:', error);
+                    this.displayError('Failed to update conversation');
+                }
+                return null;
+            }
+            
+            async renameConversation(conversationId) {
+                const conversation = this.conversations.find(c => c.id === conversationId);
+                const title = window.prompt('Rename conversation', conversation ? conversation.title : '');
+                if (title && title.trim()) {
+                    this.updateConversation(conversationId, { title: title.trim() });
+                }
             }
             
-            // Create loading indicator element dynamically
-            createLoadingIndicator() {
-                this.loadingIndicator = document.createElement('div');
-                this.loadingIndicator.className = 'message loading-indicator';
-                this.loadingIndicator.textContent = 'Thinking...';
-                this.loadingIndicator.style.display = 'none';
+            async archiveConversation(conversationId, archived) {
+                const updated = this.updateConversation(conversationId, { archived });
+                if (updated && archived && conversationId === this.conversationId) {
+                    this.openLatestConversation();
+                }
             }
             
-            // Track mouse for liquid glass effects
-            setupMouseTracking() {
-                if (window.matchMedia('(hover: hover)').matches) {
-                    document.addEventListener('mousemove', (e) => {
-                        const x = (e.clientX / window.innerWidth) * 100;
-                        const y = (e.clientY / window.innerHeight) * 100;
-                        document.documentElement.style.setProperty('--mouse-x', x + '%');
-                        document.documentElement.style.setProperty('--mouse-y', y + '%');
-                    });
+            async deleteConversation(conversationId) {
+                if (!window.confirm('Delete this conversation? This cannot be undone.')) return;
+                
+                try {
+                    const response = await fetch(\`/api/conversations/\${conversationId}\`, { method: 'DELETE' });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        this.conversations = this.conversations.filter(c => c.id !== conversationId);
+                        if (conversationId === this.conversationId) {
+                            this.openLatestConversation();
+                        } else {
+                            this.renderConversationList();
+                        }
+                    } else {
+                        this.displayError(data.error || 'Failed to delete conversation');
+                    }
+                } catch (error) {
+                    console.error('Error deleting conversation:', error);
+                    this.displayError('Failed to delete conversation');
                 }
             }
             
-            setupAutoResize() {
-                if (this.messageInput) {
-                    this.messageInput.addEventListener('input', () => {
-                        this.messageInput.style.height = 'auto';
-                        this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
-                    });
+            // After the open thread goes away - show the next active one, or a blank chat
+            openLatestConversation() {
+                const latest = this.conversations.find(c => !c.archived);
+                this.conversationId = null; // force switchConversation to reload
+                if (latest) {
+                    this.switchConversation(latest.id);
+                } else {
+                    this.setActiveConversation(null);
+                    this.showWelcomeMessage();
                 }
             }
             
-            // Load any existing conversation when page loads
+            // Load the open conversation's messages
             async loadConversationHistory() {
+                const conversationId = this.conversationId;
+                if (!conversationId) return; // new chat - nothing to load yet
+                
                 try {
-                    const response = await fetch(\`/api/history?session=\${this.sessionId}\`);
+                    const response = await fetch(\`/api/history?conversation=\${conversationId}\`);
                     const data = await response.json();
+                    if (conversationId !== this.conversationId) return; // switched away meanwhile
+                    
+                    this.historyCursor = data.nextCursor || null;
                     
                     if (data.messages && data.messages.length > 0) {
                         // Hide welcome message if we have existing conversation
@@ -861,8 +8253,18 @@ function getChatHTML() {
                         
                         // Display each message
                         data.messages.forEach(msg => {
-                            this.displayMessage(msg.content, msg.role);
+                            const messageDiv = this.displayMessage(msg.content, msg.role);
+                            this.showSources(messageDiv, msg.metadata && msg.metadata.sources);
+                            this.showToolSteps(messageDiv, msg.metadata && msg.metadata.tools);
+                            this.showModerationNote(messageDiv, msg.metadata && msg.metadata.moderation);
+                            this.showAssignmentNote(messageDiv, msg.metadata && msg.metadata.assignments);
+                            this.showMessageActions(messageDiv, msg);
                         });
+                        
+                        // Short messages may not fill the view, so there'd be nothing to scroll
+                        if (this.messagesContainer.scrollHeight <= this.messagesContainer.clientHeight) {
+                            this.loadOlderMessages();
+                        }
                     }
                 } catch (error) {
                     console.error('Failed to load conversation history:', error);
@@ -870,6 +8272,39 @@ function getChatHTML() {
                 }
             }
             
+            // Fetch the page before the oldest message shown and prepend it
+            async loadOlderMessages() {
+                const conversationId = this.conversationId;
+                if (!conversationId || this.historyCursor === null || this.isLoadingHistory) return;
+                
+                this.isLoadingHistory = true;
+                try {
+                    const response = await fetch(\`/api/history?conversation=\${conversationId}&before=\${this.historyCursor}\`);
+                    const data = await response.json();
+                    if (conversationId !== this.conversationId) return;
+                    
+                    this.historyCursor = data.nextCursor || null;
+                    
+                    // Keep the messages the user is looking at in place while content grows above them
+                    const previousHeight = this.messagesContainer.scrollHeight;
+                    const firstMessage = this.messagesContainer.querySelector('.message');
+                    (data.messages || []).forEach(msg => {
+                        const messageDiv = this.createMessageElement(msg.content, msg.role);
+                        this.showSources(messageDiv, msg.metadata && msg.metadata.sources);
+                        this.showToolSteps(messageDiv, msg.metadata && msg.metadata.tools);
+                        this.showModerationNote(messageDiv, msg.metadata && msg.metadata.moderation);
+                        this.showAssignmentNote(messageDiv, msg.metadata && msg.metadata.assignments);
+                        this.showMessageActions(messageDiv, msg);
+                        this.messagesContainer.insertBefore(messageDiv, firstMessage);
+                    });
+                    this.messagesContainer.scrollTop += this.messagesContainer.scrollHeight - previousHeight;
+                } catch (error) {
+                    console.error('Failed to load older messages:', error);
+                } finally {
+                    this.isLoadingHistory = false;
+                }
+            }
+            
             setupEventListeners() {
                 console.log('Setting up event listeners...');
                 
@@ -882,6 +8317,41 @@ function getChatHTML() {
                     });
                 }
                 
+                if (this.newConversationButton) {
+                    this.newConversationButton.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        this.createConversation();
+                    });
+                }
+                
+                if (this.sidebarToggle) {
+                    this.sidebarToggle.addEventListener('click', () => {
+                        this.setSidebarOpen(!this.conversationSidebar.classList.contains('open'));
+                    });
+                }
+                
+                if (this.personaSelect) {
+                    this.personaSelect.addEventListener('change', () => {
+                        this.changePersona(this.personaSelect.value);
+                    });
+                }
+                
+                if (this.themeSelect) {
+                    this.renderThemeSelect();
+                    this.themeSelect.addEventListener('change', () => {
+                        this.changeTheme(this.themeSelect.value);
+                    });
+                }
+                
+                // Scrolling near the top pages in older history
+                if (this.messagesContainer) {
+                    this.messagesContainer.addEventListener('scroll', () => {
+                        if (this.messagesContainer.scrollTop < 100) {
+                            this.loadOlderMessages();
+                        }
+                    });
+                }
+                
                 // Clear button click
                 if (this.clearButton) {
                     this.clearButton.addEventListener('click', (e) => {
@@ -891,6 +8361,29 @@ function getChatHTML() {
                     });
                 }
                 
+                // Export menu - picking a format downloads the open conversation
+                if (this.exportButton) {
+                    this.exportButton.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.toggleExportMenu(this.exportOptions.hidden);
+                    });
+                    this.exportOptions.addEventListener('click', (e) => {
+                        const option = e.target.closest('[data-format]');
+                        if (option) this.exportConversation(option.dataset.format);
+                    });
+                    document.addEventListener('click', () => this.toggleExportMenu(false));
+                }
+                
+                // Import - restores a JSON export as a new conversation
+                if (this.importButton) {
+                    this.importButton.addEventListener('click', () => this.importInput.click());
+                    this.importInput.addEventListener('change', () => {
+                        const file = this.importInput.files[0];
+                        this.importInput.value = ''; // allow picking the same file again
+                        if (file) this.importConversation(file);
+                    });
+                }
+                
                 // Enter key in textarea (but allow Shift+Enter for new lines)
                 if (this.messageInput) {
                     this.messageInput.addEventListener('keydown', (e) => {
@@ -905,6 +8398,69 @@ function getChatHTML() {
                 console.log('Event listeners set up successfully');
             }
             
+            // Alt-based so they never fire while typing; Escape closes whatever's open
+            setupKeyboardShortcuts() {
+                const shortcuts = {
+                    KeyM: () => this.messageInput.focus(),
+                    KeyN: () => this.createConversation(),
+                    KeyV: () => this.voice.toggle(),
+                    ArrowUp: () => this.stepConversation(-1),
+                    ArrowDown: () => this.stepConversation(1),
+                    Slash: () => this.shortcuts.open()
+                };
+                
+                document.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') {
+                        if (!this.exportOptions.hidden) {
+                            this.toggleExportMenu(false);
+                            this.exportButton.focus();
+                        } else if (this.conversationSidebar.classList.contains('open')) {
+                            this.setSidebarOpen(false);
+                            this.sidebarToggle.focus();
+                        }
+                        return;
+                    }
+                    
+                    // e.code, since Option+letter types a symbol on a Mac
+                    const shortcut = shortcuts[e.code];
+                    if (!shortcut || !e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+                    if (document.querySelector('.study-panel:not([hidden])')) return; // a dialog has the keyboard
+                    
+                    e.preventDefault();
+                    shortcut();
+                });
+            }
+            
+            // Open the thread above or below this one in the sidebar
+            stepConversation(offset) {
+                const active = this.conversations.filter(c => !c.archived);
+                const index = active.findIndex(c => c.id === this.conversationId);
+                const next = active[index + offset];
+                if (!next || this.isSending) return;
+                
+                this.switchConversation(next.id);
+                this.announce('Opened ' + next.title);
+            }
+            
+            // The drawer on small screens - aria-expanded keeps the toggle button honest
+            setSidebarOpen(open) {
+                this.conversationSidebar.classList.toggle('open', open);
+                this.sidebarToggle.setAttribute('aria-expanded', String(open));
+            }
+            
+            renderThemeSelect() {
+                this.themeSelect.value = document.documentElement.dataset.theme || '';
+            }
+            
+            changeTheme(theme) {
+                if (theme) {
+                    localStorage.setItem('cf_ai_theme', theme);
+                } else {
+                    localStorage.removeItem('cf_ai_theme');
+                }
+                applyTheme(theme);
+            }
+            
             async sendMessage() {
                 console.log('sendMessage called');
                 
@@ -921,73 +8477,345 @@ function getChatHTML() {
                     return; // Don't send empty messages
                 }
                 
+                if (this.isRateLimited()) {
+                    return; // countdown is showing - keep the draft in the input
+                }
+                
+                // "/quiz <topic>" starts a quiz instead of sending a chat message
+                const quizCommand = /^\\/quiz\\s+(.+)$/is.exec(message);
+                if (quizCommand) {
+                    this.messageInput.value = '';
+                    this.quiz.start(quizCommand[1].trim());
+                    return;
+                }
+                
                 // Hide welcome message if it's still visible
                 if (this.welcomeMessage) {
                     this.welcomeMessage.style.display = 'none';
                 }
                 
                 // Show user message immediately
-                this.displayMessage(message, 'user');
+                const userDiv = this.displayMessage(message, 'user');
                 this.messageInput.value = ''; // Clear input
                 this.messageInput.style.height = 'auto'; // Reset height
                 
                 // Show loading state AFTER user message
                 this.setLoadingState(true);
                 this.toggleInputState(false);
+                this.isSending = true;
+                
+                // Bubble for the streamed reply - created when the first token arrives
+                let replyDiv = null;
+                let replyText = '';
                 
                 try {
                     console.log('Sending request to API...');
-                    const response = await fetch(\`/api/chat?session=\${this.sessionId}\`, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({ message: message })
+                    const body = { message: message, conversationId: this.conversationId };
+                    const data = await this.postChat(FRAME_TYPES.SEND, body, (token) => {
+                        if (!replyDiv) {
+                            this.setLoadingState(false);
+                            replyDiv = this.displayMessage('', 'assistant');
+                        }
+                        replyText += token;
+                        this.streamMessageContent(replyDiv, replyText);
                     });
-                    
-                    console.log('API response status:', response.status);
-                    const data = await response.json();
                     console.log('API response data:', data);
                     
                     if (data.success) {
-                        this.displayMessage(data.response, 'assistant');
+                        // The final reply is authoritative in case a token was dropped
+                        if (replyDiv) {
+                            this.updateMessageContent(replyDiv, data.response, 'assistant');
+                        } else {
+                            replyDiv = this.displayMessage(data.response, 'assistant');
+                        }
+                        this.announceReply(data.response);
+                        this.showSources(replyDiv, data.sources);
+                        this.showToolSteps(replyDiv, data.tools);
+                        this.showAssignmentNote(replyDiv, data.assignments);
+                        
+                        // Moderation may have redacted the message before it was saved
+                        const moderation = data.moderation || {};
+                        let sentText = message;
+                        if (moderation.input && moderation.input.content !== undefined) {
+                            sentText = moderation.input.content;
+                            this.updateMessageContent(userDiv, sentText, 'user');
+                        }
+                        this.showModerationNote(userDiv, moderation.input);
+                        this.showModerationNote(replyDiv, moderation.output);
+                        this.showMessageActions(userDiv, { id: data.userMessageId, role: 'user', content: sentText });
+                        this.showMessageActions(replyDiv, { id: data.messageId, role: 'assistant' });
+                        
+                        // A first message creates the thread server-side and names it
+                        if (data.conversation) {
+                            this.upsertConversation(data.conversation);
+                            this.setActiveConversation(data.conversation.id);
+                        }
                     } else {
-                        this.displaySystemMessage('❌ ' + (data.error || 'An error occurred'));
+                        if (data.code === 'rate_limited') {
+                            // Not sent - give the draft back so it can be resent after the countdown
+                            userDiv.remove();
+                            this.messageInput.value = message;
+                            this.showRateLimitCountdown(data.retryAfter || 1);
+                        } else if (data.code === 'content_blocked') {
+                            // Nothing was saved (or shown) - take back the bubbles
+                            userDiv.remove();
+                            if (replyDiv) replyDiv.remove();
+                            if (data.stage === 'input') {
+                                this.messageInput.value = message;
+                            }
+                            this.showRefusal(data.error);
+                        } else {
+                            this.displayError(data.error || 'An error occurred');
+                        }
                     }
                     
                 } catch (error) {
                     console.error('Error sending message:', error);
-                    this.displaySystemMessage('❌ Network error. Please try again.');
+                    this.displayError('Network error. Please try again.');
                 } finally {
+                    this.isSending = false;
                     this.setLoadingState(false);
                     this.toggleInputState(true);
+                    this.refreshUsage();
                 }
             }
             
-            async clearConversation() {
-                console.log('clearConversation called');
+            // Edit (your messages) or regenerate (replies), plus arrows between alternatives
+            showMessageActions(messageDiv, msg) {
+                if (!messageDiv || !msg.id) return;
+                messageDiv.dataset.messageId = msg.id;
+                const isReminder = Boolean(msg.metadata && msg.metadata.reminder);
+                messageDiv.classList.toggle('reminder-message', isReminder);
+                
+                const actions = document.createElement('div');
+                actions.className = 'message-actions';
+                const addButton = (label, title, onClick) => {
+                    const button = document.createElement('button');
+                    button.textContent = label;
+                    button.title = title;
+                    button.setAttribute('aria-label', title);
+                    button.addEventListener('click', onClick);
+                    actions.appendChild(button);
+                    return button;
+                };
+                
+                const siblings = msg.siblingIds || [];
+                if (siblings.length > 1) {
+                    const index = siblings.indexOf(msg.id);
+                    addButton('‹', 'Previous version', () => this.switchBranch(siblings[index - 1])).disabled = index <= 0;
+                    const position = document.createElement('span');
+                    position.className = 'branch-position';
+                    position.textContent = \`\${index + 1} / \${siblings.length}\`;
+                    actions.appendChild(position);
+                    addButton('›', 'Next version', () => this.switchBranch(siblings[index + 1])).disabled = index >= siblings.length - 1;
+                }
+                
+                if (msg.role === 'user') {
+                    addButton('✎ Edit', 'Edit and resend', () => this.startEdit(messageDiv, msg));
+                } else if (!isReminder) { // reminders don't answer anything, so there's nothing to regenerate
+                    addButton('↻ Regenerate', 'Regenerate this reply', () => {
+                        this.resendFrom(messageDiv, FRAME_TYPES.REGENERATE, {
+                            action: 'regenerate', conversationId: this.conversationId, messageId: msg.id
+                        });
+                    });
+                }
+                if (msg.role === 'assistant') {
+                    const listen = addButton('🔊 Listen', 'Read this reply aloud', () => this.speech.toggle(msg.id, listen));
+                }
+                messageDiv.appendChild(actions);
+            }
+            
+            // Swap a user message for a textarea - saving sends the new text as a branch
+            startEdit(messageDiv, msg) {
+                if (this.isSending || messageDiv.querySelector('.message-edit-input')) return;
+                
+                const restore = () => {
+                    this.updateMessageContent(messageDiv, msg.content, 'user');
+                    this.showMessageActions(messageDiv, msg);
+                };
+                
+                const textarea = document.createElement('textarea');
+                textarea.className = 'message-edit-input';
+                textarea.value = msg.content;
+                textarea.rows = Math.min(msg.content.split('\\n').length + 1, 8);
+                
+                const actions = document.createElement('div');
+                actions.className = 'message-actions';
+                const save = document.createElement('button');
+                save.textContent = 'Save & send';
+                save.addEventListener('click', () => {
+                    const text = textarea.value.trim();
+                    if (!text || text === msg.content) {
+                        restore();
+                        return;
+                    }
+                    this.resendFrom(messageDiv, FRAME_TYPES.EDIT, {
+                        action: 'edit', conversationId: this.conversationId, messageId: msg.id, message: text
+                    }, text);
+                });
+                const cancel = document.createElement('button');
+                cancel.textContent = 'Cancel';
+                cancel.addEventListener('click', restore);
+                actions.append(save, cancel);
+                
+                messageDiv.textContent = '';
+                messageDiv.append(textarea, actions);
+                textarea.focus();
+            }
+            
+            // Edit or regenerate: the old branch is kept on the server, so drop it from
+            // view from this message down, stream the new reply, then reload the branch
+            async resendFrom(messageDiv, frameType, body, userText = null) {
+                if (this.isSending) return;
+                if (this.isRateLimited()) {
+                    this.displaySystemMessage('⏳ Wait for the rate limit countdown to finish');
+                    return;
+                }
+                
+                while (messageDiv.nextSibling) {
+                    messageDiv.nextSibling.remove();
+                }
+                messageDiv.remove();
+                if (userText) {
+                    this.displayMessage(userText, 'user');
+                }
+                
+                this.setLoadingState(true);
+                this.toggleInputState(false);
+                this.isSending = true;
+                
+                let replyDiv = null;
+                let replyText = '';
+                let data;
+                try {
+                    data = await this.postChat(frameType, body, (token) => {
+                        if (!replyDiv) {
+                            this.setLoadingState(false);
+                            replyDiv = this.displayMessage('', 'assistant');
+                        }
+                        replyText += token;
+                        this.streamMessageContent(replyDiv, replyText);
+                    });
+                } catch (error) {
+                    console.error('Error resending message:', error);
+                    data = { success: false, error: 'Network error. Please try again.' };
+                } finally {
+                    this.isSending = false;
+                    this.setLoadingState(false);
+                    this.toggleInputState(true);
+                }
+                
+                if (data.success && data.conversation) {
+                    this.upsertConversation(data.conversation);
+                }
+                await this.reloadConversation();
+                this.refreshUsage();
+                if (data.success) {
+                    this.announceReply(data.response);
+                } else {
+                    if (data.code === 'rate_limited') {
+                        this.showRateLimitCountdown(data.retryAfter || 1);
+                    } else if (data.code === 'content_blocked') {
+                        this.showRefusal(data.error);
+                    } else {
+                        this.displayError(data.error || 'An error occurred');
+                    }
+                }
+            }
+            
+            async switchBranch(messageId) {
+                if (this.isSending) return;
+                
+                try {
+                    const data = await this.postChat(FRAME_TYPES.SWITCH, {
+                        action: 'switch', conversationId: this.conversationId, messageId
+                    });
+                    if (data.success) {
+                        await this.reloadConversation();
+                    } else {
+                        this.displayError(data.error || 'Failed to switch branch');
+                    }
+                } catch (error) {
+                    console.error('Error switching branch:', error);
+                    this.displayError('Failed to switch branch');
+                }
+            }
+            
+            // Re-render the open conversation from the server (its branch may have changed)
+            async reloadConversation() {
+                const scrollTop = this.messagesContainer.scrollTop;
+                this.showWelcomeMessage();
+                await this.loadConversationHistory();
+                this.messagesContainer.scrollTop = scrollTop;
+            }
+            
+            toggleExportMenu(open) {
+                this.exportOptions.hidden = !open;
+                this.exportButton.setAttribute('aria-expanded', String(open));
+            }
+            
+            exportConversation(format) {
+                this.toggleExportMenu(false);
+                if (!this.conversationId) {
+                    this.displaySystemMessage('Nothing to export yet');
+                    return;
+                }
+                
+                // The server sends it as an attachment, so this downloads without leaving the page
+                const link = document.createElement('a');
+                link.href = \`/api/export?conversation=\${encodeURIComponent(this.conversationId)}&format=\${format}\`;
+                link.download = '';
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+            }
+            
+            async importConversation(file) {
+                if (this.isSending) return;
+                if (file.size > MAX_IMPORT_BYTES) {
+                    this.displayError(\`Import is too large (max \${MAX_IMPORT_BYTES / 1024 / 1024} MB)\`);
+                    return;
+                }
                 
                 try {
-                    const response = await fetch(\`/api/chat?session=\${this.sessionId}\`, {
+                    const response = await fetch('/api/import', {
                         method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({ action: 'clear' })
+                        headers: { 'Content-Type': 'application/json' },
+                        body: await file.text()
                     });
-                    
                     const data = await response.json();
                     
+                    if (data.success) {
+                        this.upsertConversation(data.conversation);
+                        await this.switchConversation(data.conversation.id);
+                        this.displaySystemMessage(\`📥 Imported \${data.imported} messages\`);
+                    } else {
+                        this.displayError(data.error || 'Import failed');
+                    }
+                } catch (error) {
+                    console.error('Error importing conversation:', error);
+                    this.displayError('Import failed');
+                }
+            }
+            
+            async clearConversation() {
+                console.log('clearConversation called');
+                if (!this.conversationId) return; // nothing saved yet
+                
+                try {
+                    const data = await this.postChat(FRAME_TYPES.CLEAR, { action: 'clear', conversationId: this.conversationId });
+                    
                     if (data.success) {
                         this.clearAllMessages();
+                        this.historyCursor = null;
                         this.displaySystemMessage(data.message);
                     } else {
-                        this.displaySystemMessage('❌ Failed to clear conversation');
+                        this.displayError('Failed to clear conversation');
                     }
                     
                 } catch (error) {
                     console.error('Error clearing conversation:', error);
-                    this.displaySystemMessage('❌ Failed to clear conversation');
+                    this.displayError('Failed to clear conversation');
                 }
             }
             
@@ -1000,23 +8828,153 @@ function getChatHTML() {
                     return;
                 }
                 
+                const messageDiv = this.createMessageElement(content, type);
+                this.messagesContainer.appendChild(messageDiv);
+                this.scrollToLatestMessage();
+                return messageDiv;
+            }
+            
+            createMessageElement(content, type) {
                 const messageDiv = document.createElement('div');
                 messageDiv.className = \`message \${type}-message\`;
+                // Screen readers move through the log message by message, so say who wrote each
+                messageDiv.setAttribute('role', 'article');
+                messageDiv.setAttribute('aria-label', type === 'user' ? 'You' : 'Assistant');
+                this.updateMessageContent(messageDiv, content, type);
+                return messageDiv;
+            }
+            
+            // Streamed replies re-render at most once a frame - parsing the Markdown
+            // again on every token gets slow for long answers
+            streamMessageContent(messageDiv, content) {
+                cancelAnimationFrame(this.pendingRenders.get(messageDiv));
+                this.pendingRenders.set(messageDiv, requestAnimationFrame(() => {
+                    this.updateMessageContent(messageDiv, content, 'assistant');
+                }));
+            }
+            
+            // Set (or replace, while streaming) the text of a message bubble
+            updateMessageContent(messageDiv, content, type) {
+                cancelAnimationFrame(this.pendingRenders.get(messageDiv));
+                this.pendingRenders.delete(messageDiv);
                 
-                // Format assistant messages for better readability
+                // Replies are Markdown (rendered safely); the student's own text stays as typed
                 if (type === 'assistant') {
-                    const formattedContent = formatMessageContent(content);
-                    messageDiv.textContent = formattedContent;
+                    messageDiv.classList.add('markdown');
+                    messageDiv.replaceChildren(renderMarkdown(content));
                 } else {
                     messageDiv.textContent = content;
                 }
                 
-                this.messagesContainer.appendChild(messageDiv);
-                this.scrollToLatestMessage();
+                if (messageDiv.parentNode) {
+                    this.scrollToLatestMessage();
+                }
+            }
+            
+            // List the uploaded notes a reply drew on, in the order the model saw them ([1], [2]...)
+            showSources(messageDiv, sources) {
+                if (!messageDiv || !sources || sources.length === 0) return;
+                
+                const footer = document.createElement('div');
+                footer.className = 'message-sources';
+                footer.textContent = 'Sources:';
+                sources.forEach((source, index) => {
+                    const chip = document.createElement('span');
+                    chip.className = 'source-chip';
+                    chip.textContent = \`[\${index + 1}] \${source.name} · part \${source.part}\`;
+                    footer.appendChild(chip);
+                });
+                messageDiv.appendChild(footer);
+            }
+            
+            // The model's tool calls, as collapsible steps above the reply
+            showToolSteps(messageDiv, steps) {
+                if (!messageDiv || !steps || steps.length === 0) return;
+                
+                const container = document.createElement('details');
+                container.className = 'tool-steps';
+                const heading = document.createElement('summary');
+                heading.textContent = \`🔧 Used \${steps.length} tool\${steps.length === 1 ? '' : 's'}\`;
+                container.appendChild(heading);
+                
+                steps.forEach(step => {
+                    const item = document.createElement('details');
+                    item.className = step.error === undefined ? 'tool-step' : 'tool-step tool-step-error';
+                    const title = document.createElement('summary');
+                    const args = step.arguments && typeof step.arguments === 'object'
+                        ? Object.values(step.arguments).map(value => JSON.stringify(value)).join(', ')
+                        : '';
+                    title.textContent = \`\${step.name}(\${args})\`;
+                    const output = document.createElement('pre');
+                    output.textContent = step.error === undefined
+                        ? JSON.stringify(step.result, null, 2)
+                        : 'Error: ' + step.error;
+                    item.append(title, output);
+                    container.appendChild(item);
+                });
+                messageDiv.insertBefore(container, messageDiv.firstChild);
+            }
+            
+            // Note under a message that moderation let through with a warning, or redacted
+            showModerationNote(messageDiv, moderation) {
+                if (!messageDiv || !moderation) return;
+                
+                const names = [...new Set(moderation.categories.map(category => MODERATION_CATEGORIES[category] || 'unsafe content'))];
+                const note = document.createElement('div');
+                note.className = 'moderation-note';
+                note.textContent = moderation.action === 'redact'
+                    ? \`✂️ Parts of this message were removed by moderation (\${names.join(', ') || 'unsafe content'})\`
+                    : \`⚠️ Flagged for \${names.join(', ') || 'unsafe content'} - double-check anything important with your teacher\`;
+                messageDiv.appendChild(note);
+            }
+            
+            // Deadlines the server picked up from the student's message
+            showAssignmentNote(messageDiv, assignments) {
+                if (!messageDiv || !assignments || assignments.length === 0) return;
+                
+                const note = document.createElement('div');
+                note.className = 'assignment-note';
+                note.textContent = '📅 Added to your assignments: ' + assignments
+                    .map(assignment => \`\${assignment.title} (due \${new Date(assignment.dueAt).toLocaleString([], {
+                        weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+                    })})\`)
+                    .join(', ');
+                messageDiv.appendChild(note);
+            }
+            
+            // A reminder the server just posted - shown in place when its thread is open
+            showReminder({ assignment, message, conversation }) {
+                this.upsertConversation(conversation);
+                this.assignments.refresh();
+                
+                if (conversation.id === this.conversationId) {
+                    if (this.welcomeMessage) {
+                        this.welcomeMessage.style.display = 'none';
+                    }
+                    const messageDiv = this.displayMessage(message.content, 'assistant');
+                    this.showMessageActions(messageDiv, message);
+                    this.announceReply(message.content);
+                } else {
+                    this.displaySystemMessage(\`⏰ \${assignment.title} is due \${new Date(assignment.dueAt).toLocaleString()} - see "\${conversation.title}"\`);
+                }
+            }
+            
+            // Moderation refusals stand out from ordinary errors
+            showRefusal(text) {
+                const refusal = this.displaySystemMessage('🚫 ' + text, true);
+                if (refusal) {
+                    refusal.classList.add('refusal-message');
+                }
+            }
+            
+            // Something failed - shown like any system message but announced straight away
+            displayError(text) {
+                return this.displaySystemMessage('❌ ' + text, true);
             }
             
             // Display system messages (errors, status updates, etc.)
-            displaySystemMessage(content) {
+            // urgent interrupts the screen reader instead of waiting for it to finish
+            displaySystemMessage(content, urgent = false) {
                 console.log('Displaying system message:', content);
                 
                 if (!this.messagesContainer) {
@@ -1029,6 +8987,27 @@ function getChatHTML() {
                 messageDiv.textContent = content;
                 this.messagesContainer.appendChild(messageDiv);
                 this.scrollToLatestMessage();
+                this.announce(content, urgent);
+                return messageDiv;
+            }
+            
+            // Read text out through the hidden live regions
+            announce(text, urgent = false) {
+                const region = urgent ? this.alertAnnouncer : this.politeAnnouncer;
+                if (!region) return;
+                
+                // Emptied first and refilled a moment later so the same text twice is still read
+                region.textContent = '';
+                setTimeout(() => {
+                    region.textContent = text;
+                }, 100);
+            }
+            
+            // A finished reply, as plain text rather than Markdown source
+            announceReply(content) {
+                const text = createNode('div');
+                text.appendChild(renderMarkdown(content));
+                this.announce('Assistant: ' + text.textContent);
             }
             
             // Clear all messages from the display
@@ -1038,6 +9017,16 @@ function getChatHTML() {
                 this.messagesContainer.innerHTML = '';
             }
             
+            // Empty the chat view and bring back the welcome card
+            showWelcomeMessage() {
+                this.clearAllMessages();
+                this.historyCursor = null;
+                if (this.welcomeMessage) {
+                    this.welcomeMessage.style.display = '';
+                    this.messagesContainer.appendChild(this.welcomeMessage);
+                }
+            }
+            
             // Show/hide loading indicator - append to end of messages
             setLoadingState(isLoading) {
                 if (!this.loadingIndicator || !this.messagesContainer) return;
@@ -1059,6 +9048,41 @@ function getChatHTML() {
                 }
             }
             
+            isRateLimited() {
+                return this.rateLimitedUntil > Date.now();
+            }
+            
+            // Count down until the rate limit lets another message through
+            showRateLimitCountdown(seconds) {
+                clearInterval(this.countdownTimer);
+                this.rateLimitedUntil = Date.now() + seconds * 1000;
+                
+                const notice = document.createElement('div');
+                notice.className = 'message system-message';
+                this.messagesContainer.appendChild(notice);
+                this.scrollToLatestMessage();
+                this.announce(\`You're sending messages too quickly - you can send again in \${seconds} seconds\`, true);
+                
+                const tick = () => {
+                    const remaining = Math.ceil((this.rateLimitedUntil - Date.now()) / 1000);
+                    if (remaining <= 0) {
+                        clearInterval(this.countdownTimer);
+                        this.countdownTimer = null;
+                        notice.textContent = '✓ You can send messages again';
+                        this.announce('You can send messages again');
+                        this.toggleInputState(true);
+                        return;
+                    }
+                    notice.textContent = \`⏳ You're sending messages too quickly - you can send again in \${remaining}s\`;
+                    if (this.sendButton) {
+                        this.sendButton.disabled = true;
+                        this.sendButton.textContent = remaining + 's';
+                    }
+                };
+                tick();
+                this.countdownTimer = setInterval(tick, 1000);
+            }
+            
             // Enable/disable input controls
             toggleInputState(enabled) {
                 if (this.messageInput) {
@@ -1066,8 +9090,12 @@ function getChatHTML() {
                 }
                 
                 if (this.sendButton) {
-                    this.sendButton.disabled = !enabled;
-                    this.sendButton.textContent = enabled ? 'Send' : 'Sending...';
+                    // While rate limited the countdown owns the button
+                    const waiting = enabled && this.isRateLimited();
+                    this.sendButton.disabled = !enabled || waiting;
+                    if (!waiting) {
+                        this.sendButton.textContent = enabled ? 'Send' : 'Sending...';
+                    }
                 }
                 
                 if (enabled && this.messageInput) {
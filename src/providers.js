@@ -0,0 +1,227 @@
+import { ChatError, ERROR_TYPES } from './errors.js';
+import { base64ToBytes, bytesToBase64 } from './base64.js';
+
+/**
+ * Model providers run every model call and mirror the Workers AI binding:
+ *   { name, run(model, input), toMarkdown(files) }
+ * AI_PROVIDER=stub swaps in a deterministic local model (no AI calls) so the Worker
+ * and ChatMemory run end to end offline and in tests - see createStubModelProvider.
+ * The stub is never picked silently: without AI_PROVIDER=stub a missing AI binding
+ * is a configuration error, which /api/health reports
+ */
+const modelProviders = new WeakMap(); // one per env, so scripted rules keep their counts
+
+export function getModelProvider(env) {
+  let provider = modelProviders.get(env);
+  if (!provider) {
+    if (env.AI_PROVIDER === 'stub') {
+      provider = createStubModelProvider(env);
+    } else if (!env.AI) {
+      throw new ChatError(ERROR_TYPES.NOT_CONFIGURED, 'No AI binding - add "ai" to wrangler.jsonc, or set AI_PROVIDER=stub to run without one');
+    } else {
+      provider = createWorkersAIProvider(env);
+    }
+    modelProviders.set(env, provider);
+  }
+  return provider;
+}
+
+function createWorkersAIProvider(env) {
+  return {
+    name: 'workers-ai',
+    run: (model, input) => env.AI.run(model, input),
+    toMarkdown: files => env.AI.toMarkdown(files)
+  };
+}
+
+// Thrown with the same wording as Workers AI so toChatError sorts them the same way
+const STUB_ERRORS = {
+  quota: '3036: You have used up your daily free allocation of 10,000 neurons',
+  timeout: '3046: Request timeout',
+  capacity: '3040: Capacity temporarily exceeded, please try again',
+  invalid: '5006: Invalid input'
+};
+
+/**
+ * Deterministic stand-in for Workers AI, configured with vars:
+ *   AI_STUB_MODE - echo (default) repeats the last user message (or the last tool result), canned always
+ *     answers AI_STUB_REPLY, scripted follows AI_STUB_SCRIPT
+ *   AI_STUB_SCRIPT - JSON array of rules { match?, model?, reply?, toolCalls?, error?, latencyMs?, times? }.
+ *     The first rule whose `match` regex fits the last user message (and whose `model`
+ *     is part of the model name) answers; `times` retires a rule after that many uses.
+ *     With no rule left it falls back to echo
+ *   AI_STUB_LATENCY_MS - wait before answering
+ *   AI_STUB_ERROR - fail every call with quota, timeout, capacity or invalid
+ * Safety classifiers (model names with "guard") answer "safe" unless a rule says otherwise,
+ * and a rule's toolCalls ([{ name, arguments }]) are returned when the call offers tools
+ * JSON-mode calls get an object built from their schema, embedding calls get the
+ * stub embedder's vectors, and stream: true gets the same SSE stream Workers AI sends
+ * Speech-to-text calls ({ audio }) get a rule's reply or a placeholder transcript, and
+ * text-to-speech calls ({ prompt, lang }) get a silent WAV about as long as the text
+ */
+export function createStubModelProvider(env) {
+  const mode = env.AI_STUB_MODE || 'echo';
+  const cannedReply = env.AI_STUB_REPLY || 'This is a canned reply from the offline stub model.';
+  const latencyMs = Number(env.AI_STUB_LATENCY_MS) || 0;
+  let rules = [];
+  if (mode === 'scripted') {
+    try {
+      rules = JSON.parse(env.AI_STUB_SCRIPT || '[]').map(rule => ({
+        ...rule,
+        pattern: rule.match ? new RegExp(rule.match, 'i') : null,
+        uses: 0
+      }));
+    } catch (error) {
+      throw new Error(`AI_STUB_SCRIPT is not valid: ${error.message}`);
+    }
+  }
+
+  return {
+    name: 'stub',
+    async run(model, input) {
+      const messages = input.messages || [];
+      const lastMessage = messages[messages.length - 1];
+      const lastUser = [...messages].reverse().find(message => message.role === 'user');
+      const text = lastUser ? lastUser.content : String(input.prompt || '');
+      const rule = rules.find(rule => (!rule.pattern || rule.pattern.test(text))
+        && (!rule.model || model.includes(rule.model))
+        && (!rule.times || rule.uses < rule.times));
+      if (rule) rule.uses++;
+
+      const delay = rule && rule.latencyMs !== undefined ? Number(rule.latencyMs) : latencyMs;
+      if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+
+      const failure = rule && rule.error !== undefined ? rule.error : env.AI_STUB_ERROR;
+      if (failure) throw new Error(`AiError: ${STUB_ERRORS[failure] || failure}`);
+      if (input.text !== undefined) {
+        return { data: await createStubEmbedder().embed([].concat(input.text)) };
+      }
+      if (input.audio !== undefined) {
+        const bytes = base64ToBytes(String(input.audio)).length;
+        return { text: rule && rule.reply !== undefined ? String(rule.reply) : `Stub transcript of ${bytes} bytes of audio` };
+      }
+      if (input.lang !== undefined) {
+        return { audio: bytesToBase64(stubSpeech(String(input.prompt || ''))) };
+      }
+
+      if (rule && rule.toolCalls && input.tools) {
+        return { response: null, tool_calls: rule.toolCalls };
+      }
+      
+      let response;
+      if (input.response_format && input.response_format.type === 'json_schema') {
+        response = rule && typeof rule.reply === 'object' ? rule.reply : stubJson(input.response_format.json_schema);
+      } else {
+        response = rule && rule.reply !== undefined ? String(rule.reply)
+          : model.includes('guard') ? 'safe'
+          : mode === 'canned' ? cannedReply
+          : lastMessage && lastMessage.role === 'tool' ? `Tool ${lastMessage.name} returned ${lastMessage.content}`
+          : `Echo: ${text}`;
+        // Roughly honor max_tokens, like a real model cutting off
+        if (input.max_tokens) response = response.slice(0, input.max_tokens * 4);
+      }
+
+      return input.stream ? stubStream(typeof response === 'string' ? response : JSON.stringify(response)) : { response };
+    },
+    async toMarkdown(files) {
+      return Promise.all(files.map(async file => ({
+        name: file.name,
+        mimeType: 'text/markdown',
+        format: 'markdown',
+        data: await file.blob.text()
+      })));
+    }
+  };
+}
+
+/**
+ * Fills in a JSON schema with placeholder values - two items per array, the first
+ * enum value, and multiple-choice answers set to their first choice so they grade
+ */
+function stubJson(schema, key = 'value', index = 0) {
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case 'object': {
+      const object = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        object[name] = stubJson(property, name, index);
+      }
+      if (Array.isArray(object.choices) && typeof object.answer === 'string') {
+        object.answer = object.choices[0];
+      }
+      return object;
+    }
+    case 'array':
+      return [0, 1].map(i => stubJson(schema.items || {}, key, i));
+    case 'number':
+    case 'integer':
+      return 1;
+    case 'boolean':
+      return true;
+    default:
+      return `Stub ${key} ${index + 1}`;
+  }
+}
+
+// Silence, 8 kHz 8-bit mono WAV, a third of a second per word (capped at 30s)
+function stubSpeech(text) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const samples = Math.round(8000 * Math.min(Math.max(words / 3, 0.5), 30));
+  const wav = new Uint8Array(44 + samples).fill(128, 44);
+  const view = new DataView(wav.buffer);
+  const ascii = (offset, value) => [...value].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + samples, true);
+  ascii(8, 'WAVEfmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, 8000, true); // sample rate
+  view.setUint32(28, 8000, true); // bytes per second
+  view.setUint16(32, 1, true); // block align
+  view.setUint16(34, 8, true); // bits per sample
+  ascii(36, 'data');
+  view.setUint32(40, samples, true);
+  return wav;
+}
+
+// Word by word in the Workers AI SSE format that readAIStream reads
+function stubStream(text) {
+  const encoder = new TextEncoder();
+  const pieces = text.match(/\S+\s*|\s+/g) || [];
+  return new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ response: piece })}\n\n`));
+      }
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    }
+  });
+}
+
+// Hashes each word into one of `dimensions` buckets - texts sharing words score higher
+export function createStubEmbedder(dimensions = 256) {
+  return {
+    model: `stub-${dimensions}`,
+    minSimilarity: 0.2,
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(dimensions).fill(0);
+        for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+          let hash = 0;
+          for (const char of word) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+          }
+          vector[hash % dimensions] += 1;
+        }
+        return normalizeVector(vector);
+      });
+    }
+  };
+}
+
+export function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+}
@@ -0,0 +1,81 @@
+import { ChatError, ERROR_TYPES } from './errors.js';
+
+/**
+ * Token-bucket rate limits - each bucket holds up to CAPACITY requests and
+ * refills at PER_MINUTE requests per minute. Defaults can be overridden with
+ * RATE_LIMIT_<SCOPE>_CAPACITY / RATE_LIMIT_<SCOPE>_PER_MINUTE vars
+ *   SESSION - chat messages per session (enforced in ChatMemory)
+ *   IP      - API requests per client IP (enforced in the Worker via RateLimiter)
+ */
+const RATE_LIMIT_DEFAULTS = {
+  SESSION: { capacity: 10, perMinute: 6 },
+  IP: { capacity: 60, perMinute: 60 }
+};
+
+export function getRateLimitConfig(env, scope) {
+  const defaults = RATE_LIMIT_DEFAULTS[scope];
+  const capacity = Number(env[`RATE_LIMIT_${scope}_CAPACITY`]) || defaults.capacity;
+  const perMinute = Number(env[`RATE_LIMIT_${scope}_PER_MINUTE`]) || defaults.perMinute;
+  return { capacity, perMinute };
+}
+
+/**
+ * Refills a bucket for the time since it was last used, then tries to take one token
+ * Returns the new bucket state plus what to tell the client
+ */
+export function takeToken(bucket, { capacity, perMinute }, now) {
+  const refillPerMs = perMinute / 60000;
+  const previous = bucket || { tokens: capacity, updatedAt: now };
+  const tokens = Math.min(capacity, previous.tokens + (now - previous.updatedAt) * refillPerMs);
+  const allowed = tokens >= 1;
+  const remainingTokens = allowed ? tokens - 1 : tokens;
+
+  return {
+    allowed,
+    limit: capacity,
+    remaining: Math.floor(remainingTokens),
+    // Seconds until the next token (when blocked) and until the bucket is full again
+    retryAfter: allowed ? 0 : Math.ceil((1 - remainingTokens) / refillPerMs / 1000),
+    resetAfter: Math.ceil((capacity - remainingTokens) / refillPerMs / 1000),
+    bucket: { tokens: remainingTokens, updatedAt: now }
+  };
+}
+
+export function rateLimitHeaders(result) {
+  const headers = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(result.resetAfter)
+  };
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.retryAfter);
+  }
+  return headers;
+}
+
+export function rateLimitError(result) {
+  return new ChatError(
+    ERROR_TYPES.RATE_LIMITED,
+    `You're sending messages too quickly. Please wait ${result.retryAfter}s.`,
+    { retryAfter: result.retryAfter, remaining: result.remaining }
+  );
+}
+
+/**
+ * RateLimiter Durable Object - one instance per client IP, holding that IP's bucket
+ * Worker isolates don't share memory, so the count has to live somewhere central
+ */
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const limit = await request.json();
+    const bucket = await this.state.storage.get('bucket');
+    const result = takeToken(bucket, limit, Date.now());
+    await this.state.storage.put('bucket', result.bucket);
+    return Response.json(result);
+  }
+}
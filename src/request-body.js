@@ -0,0 +1,33 @@
+/**
+ * Reads a request body into memory, stopping as soon as it passes maxBytes.
+ * Content-Length is optional (chunked uploads leave it out), so it only turns
+ * bodies away early - the count is what enforces the limit. Throws tooLarge()
+ */
+export async function readBodyWithin(request, maxBytes, tooLarge) {
+  if (Number(request.headers.get('Content-Length')) > maxBytes) {
+    throw tooLarge();
+  }
+  const chunks = [];
+  let size = 0;
+  if (request.body) {
+    const reader = request.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.byteLength;
+      if (size > maxBytes) {
+        await reader.cancel();
+        throw tooLarge();
+      }
+      chunks.push(value);
+    }
+  }
+
+  const body = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return body;
+}
@@ -0,0 +1,28 @@
+/**
+ * SM-2 spaced repetition - grade is the student's recall from 0 (blackout) to 5 (perfect)
+ * A grade under 3 restarts the card at a one-day interval and leaves its ease alone;
+ * otherwise the interval goes 1 day, 6 days, then grows by the ease factor, and
+ * the ease moves up or down with the grade (never below 1.3)
+ */
+export function scheduleReview(card, grade, now) {
+  let { ease, intervalDays, repetitions } = card;
+  
+  if (grade < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.round(intervalDays * ease);
+    ease = Math.max(1.3, ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  }
+  
+  return {
+    ease: Math.round(ease * 100) / 100,
+    intervalDays,
+    repetitions,
+    dueAt: new Date(now.getTime() + intervalDays * 24 * 60 * 60 * 1000).toISOString(),
+    lastReviewedAt: now.toISOString()
+  };
+}
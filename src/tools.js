@@ -0,0 +1,405 @@
+/**
+ * Tools the chat model can call (Workers AI function calling) when TOOLS_ENABLED
+ * is "true". Each entry has a description and a JSON schema for its arguments, which
+ * the model sees, and run(args, context) resolving to a JSON-able result. Throw to
+ * hand the model an error instead. context.memory is the session's ChatMemory
+ * Add a tool by adding an entry - the chat loop and the UI pick it up from here
+ */
+const TOOLS = {
+  calculate: {
+    description: 'Evaluates an arithmetic expression exactly. Use it for every calculation instead of working numbers out yourself. Supports + - * / % ^ and ! (factorial), parentheses, scientific notation (3.2e5), the constants pi and e, deg (multiply by it to use degrees, like sin(30 deg)), and sqrt, cbrt, abs, exp, ln, log (base 10), log2, sin, cos, tan, asin, acos, atan, sinh, cosh, tanh, round, floor, ceil, nCr(n, k) and nPr(n, k). Angles are in radians.',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'The expression, e.g. "(4.5e3 * 9.81) / 2" or "sqrt(2) * sin(45 deg)"' }
+      },
+      required: ['expression']
+    },
+    run: ({ expression }) => ({ expression, result: evaluateExpression(String(expression)) })
+  },
+  
+  convert_units: {
+    description: 'Converts a value between units of length, mass, time, area, volume, speed, energy, power, pressure, force, temperature or digital data. Use symbols or names, e.g. km, mi, ft, in, kg, lb, oz, h, day, m2, acre, L, gal, km/h, mph, knots, J, kcal, eV, kWh, W, hp, Pa, atm, psi, bar, N, kN, lbf, C, F, K, MB, GiB. Write prefixes in their proper case: mW is milliwatts and MW megawatts.',
+    parameters: {
+      type: 'object',
+      properties: {
+        value: { type: 'number', description: 'The amount to convert' },
+        from: { type: 'string', description: 'Unit the value is in' },
+        to: { type: 'string', description: 'Unit to convert to' }
+      },
+      required: ['value', 'from', 'to']
+    },
+    run: ({ value, from, to }) => ({ value, from, to, result: convertUnits(Number(value), String(from), String(to)) })
+  },
+  
+  date_math: {
+    description: "Date and time arithmetic in UTC. 'today' gives the current date and time, 'add' moves a date by an amount of minutes, hours, days, weeks, months or years (negative to go back), 'difference' gives the time from date to other_date, and 'weekday' names the day of the week.",
+    parameters: {
+      type: 'object',
+      properties: {
+        operation: { type: 'string', enum: ['today', 'add', 'difference', 'weekday'] },
+        date: { type: 'string', description: 'ISO date (2025-03-14) or date-time (2025-03-14T09:30:00Z), or "today"' },
+        amount: { type: 'number', description: "How much to add - for 'add'" },
+        unit: { type: 'string', enum: ['minutes', 'hours', 'days', 'weeks', 'months', 'years'], description: "For 'add'" },
+        other_date: { type: 'string', description: "The end date - for 'difference'" }
+      },
+      required: ['operation']
+    },
+    run: args => dateMath(args)
+  },
+  
+  search_notes: {
+    description: "Searches the course notes the student uploaded and returns the closest excerpts. Use it when the question is about their course, lectures or notes.",
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for' }
+      },
+      required: ['query']
+    },
+    run: async ({ query }, { memory }) => {
+      const notes = await memory.searchNotes(String(query));
+      return {
+        matches: notes.map(note => ({ source: note.name, part: note.position + 1, excerpt: note.content }))
+      };
+    }
+  }
+};
+
+// What the model is told about the tools
+export const TOOL_DEFINITIONS = Object.entries(TOOLS).map(([name, { description, parameters }]) => ({ name, description, parameters }));
+
+/**
+ * Runs one of the model's tool calls - resolves with the step for the reply's
+ * metadata: { name, arguments, result } or { name, arguments, error }
+ */
+export async function runTool(call, context) {
+  const name = String(call && call.name);
+  let args = call && call.arguments;
+  if (typeof args === 'string') {
+    try {
+      args = JSON.parse(args);
+    } catch (error) {
+      // reported below
+    }
+  }
+  
+  const step = { name, arguments: args };
+  try {
+    const tool = Object.hasOwn(TOOLS, name) ? TOOLS[name] : null;
+    if (!tool) {
+      throw new Error(`Unknown tool "${name}"`);
+    }
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+      throw new Error('Arguments must be a JSON object');
+    }
+    const missing = (tool.parameters.required || []).filter(key => args[key] === undefined || args[key] === null);
+    if (missing.length > 0) {
+      throw new Error(`Missing ${missing.join(', ')}`);
+    }
+    step.result = await tool.run(args, context);
+  } catch (error) {
+    step.error = error.message;
+  }
+  return step;
+}
+
+// Floating point noise like 0.1 + 0.2 = 0.30000000000000004 is rounded away
+function roundResult(value) {
+  if (!Number.isFinite(value)) {
+    throw new Error('The result is not a finite number');
+  }
+  return Number(value.toPrecision(12));
+}
+
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E, deg: Math.PI / 180 };
+const CALCULATOR_FUNCTIONS = {
+  sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  nCr: (n, k) => factorial(n) / (factorial(k) * factorial(n - k)),
+  nPr: (n, k) => factorial(n) / factorial(n - k)
+};
+
+function factorial(n) {
+  if (!Number.isInteger(n) || n < 0 || n > 170) {
+    throw new Error('Factorials need a whole number from 0 to 170');
+  }
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/**
+ * Recursive-descent evaluator - no eval, only the operators, constants and
+ * functions above. Precedence from loosest: + -, then * / % (and implicit
+ * multiplication before a bracket, constant or function, like 2pi or 3(4 + 1)),
+ * then unary minus, then ^ (right-associative) and ! on the number before it
+ * Two numbers in a row ("2 3", "1 000", "1.2.3") are an error, not a product
+ */
+export function evaluateExpression(expression) {
+  if (expression.length > 500) {
+    throw new Error('Expression is too long');
+  }
+  const tokens = expression.replace(/\*\*/g, '^').replace(/×/g, '*').replace(/÷/g, '/')
+    .match(/(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?|[a-z]\w*|\S/gi) || [];
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = token => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+  
+  const parseSum = () => {
+    let value = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  };
+  
+  const parseProduct = () => {
+    let value = parseUnary();
+    while (true) {
+      const token = peek();
+      if (token === '*') {
+        next();
+        value *= parseUnary();
+      } else if (token === '/' || token === '%') {
+        next();
+        const divisor = parseUnary();
+        if (divisor === 0) throw new Error('Division by zero');
+        value = token === '/' ? value / divisor : value % divisor;
+      } else if (token === '(' || Object.hasOwn(CALCULATOR_CONSTANTS, token) || Object.hasOwn(CALCULATOR_FUNCTIONS, token)) {
+        value *= parseUnary(); // implicit multiplication
+      } else if (token !== undefined && /^[\d.]/.test(token)) {
+        throw new Error(`Expected an operator before "${token}"`);
+      } else {
+        return value;
+      }
+    }
+  };
+  
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+  
+  const parsePower = () => {
+    let base = parsePrimary();
+    while (peek() === '!') {
+      next();
+      base = factorial(base);
+    }
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+  
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) {
+      throw new Error('Unexpected end of expression');
+    }
+    if (token === '(') {
+      const value = parseSum();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) {
+      return Number(token);
+    }
+    if (Object.hasOwn(CALCULATOR_CONSTANTS, token)) {
+      return CALCULATOR_CONSTANTS[token];
+    }
+    if (Object.hasOwn(CALCULATOR_FUNCTIONS, token)) {
+      const fn = CALCULATOR_FUNCTIONS[token];
+      expect('(');
+      const args = [parseSum()];
+      while (peek() === ',') {
+        next();
+        args.push(parseSum());
+      }
+      expect(')');
+      if (args.length !== fn.length) {
+        throw new Error(`${token} takes ${fn.length} argument${fn.length === 1 ? '' : 's'}`);
+      }
+      return fn(...args);
+    }
+    throw new Error(`Unexpected "${token}"`);
+  };
+  
+  const value = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}"`);
+  }
+  return roundResult(value);
+}
+
+/**
+ * Conversion factors to each dimension's base unit (metre, kilogram, second, ...)
+ * Keys are the proper symbols - case matters for SI prefixes (mJ vs MJ), see findUnit
+ */
+const UNIT_FACTORS = {
+  length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, um: 1e-6, nm: 1e-9, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254, nmi: 1852, au: 149597870700, ly: 9460730472580800 },
+  mass: { kg: 1, g: 0.001, mg: 1e-6, ug: 1e-9, t: 1000, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318 },
+  time: { s: 1, ms: 0.001, us: 1e-6, ns: 1e-9, min: 60, h: 3600, day: 86400, week: 604800, yr: 31557600 },
+  area: { m2: 1, cm2: 1e-4, mm2: 1e-6, km2: 1e6, ha: 1e4, acre: 4046.8564224, ft2: 0.09290304, in2: 0.00064516, mi2: 2589988.110336 },
+  volume: { m3: 1, L: 0.001, mL: 1e-6, cm3: 1e-6, gal: 0.003785411784, qt: 0.000946352946, pt: 0.000473176473, cup: 0.0002365882365, floz: 0.0000295735295625, ft3: 0.028316846592, in3: 0.000016387064 },
+  speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, knot: 1852 / 3600, 'ft/s': 0.3048 },
+  energy: { J: 1, mJ: 0.001, kJ: 1000, MJ: 1e6, cal: 4.184, kcal: 4184, eV: 1.602176634e-19, Wh: 3600, kWh: 3.6e6, BTU: 1055.05585262 },
+  power: { W: 1, mW: 0.001, kW: 1000, MW: 1e6, hp: 745.69987158227 },
+  pressure: { Pa: 1, mPa: 0.001, kPa: 1000, MPa: 1e6, bar: 1e5, atm: 101325, psi: 6894.757293168, mmHg: 133.322387415, torr: 101325 / 760 },
+  force: { N: 1, kN: 1000, lbf: 4.4482216152605, dyn: 1e-5 },
+  data: { B: 1, bit: 0.125, kB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4 }
+};
+
+// Spelled-out names and other spellings, matched in any case
+const UNIT_ALIASES = {
+  meter: 'm', meters: 'm', metre: 'm', metres: 'm', kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+  centimeter: 'cm', centimeters: 'cm', millimeter: 'mm', millimeters: 'mm', 'µm': 'um', micrometer: 'um', mile: 'mi', miles: 'mi',
+  yard: 'yd', yards: 'yd', foot: 'ft', feet: 'ft', inch: 'in', inches: 'in',
+  kilogram: 'kg', kilograms: 'kg', gram: 'g', grams: 'g', milligram: 'mg', milligrams: 'mg', tonne: 't', tonnes: 't',
+  pound: 'lb', pounds: 'lb', lbs: 'lb', ounce: 'oz', ounces: 'oz', stone: 'st',
+  second: 's', seconds: 's', sec: 's', millisecond: 'ms', milliseconds: 'ms', minute: 'min', minutes: 'min',
+  hour: 'h', hours: 'h', hr: 'h', days: 'day', d: 'day', weeks: 'week', year: 'yr', years: 'yr',
+  'm^2': 'm2', 'cm^2': 'cm2', 'km^2': 'km2', 'ft^2': 'ft2', hectare: 'ha', hectares: 'ha', acres: 'acre',
+  'm^3': 'm3', 'cm^3': 'cm3', cc: 'cm3', liter: 'L', liters: 'L', litre: 'L', litres: 'L', milliliter: 'mL', milliliters: 'mL',
+  gallon: 'gal', gallons: 'gal', quart: 'qt', pint: 'pt', cups: 'cup', 'fl oz': 'floz',
+  kph: 'km/h', kmh: 'km/h', mps: 'm/s', knots: 'knot', fps: 'ft/s',
+  joule: 'J', joules: 'J', calorie: 'cal', calories: 'cal', kilocalorie: 'kcal', kilocalories: 'kcal', watt: 'W', watts: 'W',
+  horsepower: 'hp', pascal: 'Pa', atmosphere: 'atm', atmospheres: 'atm', newton: 'N', newtons: 'N',
+  byte: 'B', bytes: 'B', bits: 'bit',
+  celsius: 'C', '°c': 'C', degc: 'C', fahrenheit: 'F', '°f': 'F', degf: 'F', kelvin: 'K'
+};
+
+// Temperatures are offset scales, so they go through kelvin rather than a factor
+const TEMPERATURE_UNITS = {
+  C: { toKelvin: value => value + 273.15, fromKelvin: value => value - 273.15 },
+  F: { toKelvin: value => (value - 32) * 5 / 9 + 273.15, fromKelvin: value => (value - 273.15) * 9 / 5 + 32 },
+  K: { toKelvin: value => value, fromKelvin: value => value }
+};
+
+// symbol -> { dimension, symbol, factor }, and lower-cased symbol -> the symbols it could be
+const UNITS = new Map();
+const FOLDED_UNITS = new Map();
+for (const [dimension, factors] of [...Object.entries(UNIT_FACTORS), ['temperature', TEMPERATURE_UNITS]]) {
+  for (const symbol of Object.keys(factors)) {
+    UNITS.set(symbol, { dimension, symbol, factor: dimension === 'temperature' ? undefined : factors[symbol] });
+    const folded = symbol.toLowerCase();
+    FOLDED_UNITS.set(folded, [...(FOLDED_UNITS.get(folded) || []), symbol]);
+  }
+}
+
+/**
+ * Exact symbols win (mJ is millijoules, MJ megajoules), then names in any case,
+ * then symbols in any case as long as only one fits - "mj" could be either
+ */
+function findUnit(unit) {
+  const name = unit.trim();
+  const folded = name.toLowerCase();
+  const symbols = UNITS.has(name) ? [name]
+    : Object.hasOwn(UNIT_ALIASES, folded) ? [UNIT_ALIASES[folded]]
+    : FOLDED_UNITS.get(folded) || [];
+  if (symbols.length > 1) {
+    throw new Error(`"${unit}" is ambiguous - use ${symbols.join(' or ')}`);
+  }
+  if (symbols.length === 0) {
+    throw new Error(`Unknown unit "${unit}"`);
+  }
+  return UNITS.get(symbols[0]);
+}
+
+export function convertUnits(value, from, to) {
+  if (!Number.isFinite(value)) {
+    throw new Error('value must be a number');
+  }
+  const source = findUnit(from);
+  const target = findUnit(to);
+  if (source.dimension !== target.dimension) {
+    throw new Error(`Can't convert ${source.dimension} (${from}) to ${target.dimension} (${to})`);
+  }
+  if (source.dimension === 'temperature') {
+    return roundResult(TEMPERATURE_UNITS[target.symbol].fromKelvin(TEMPERATURE_UNITS[source.symbol].toKelvin(value)));
+  }
+  return roundResult(value * source.factor / target.factor);
+}
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DATE_UNIT_MS = { minutes: 60000, hours: 3600000, days: 86400000, weeks: 604800000 };
+
+// Dates without a time are read as midnight UTC and given back the same way
+function parseToolDate(value, field) {
+  if (value === undefined || value === null || value === 'today') {
+    return { date: new Date(), dateOnly: value === 'today' };
+  }
+  const text = String(value).trim();
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : text);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} is not an ISO date`);
+  }
+  return { date, dateOnly: /^\d{4}-\d{2}-\d{2}$/.test(text) };
+}
+
+function formatToolDate(date, dateOnly) {
+  const iso = date.toISOString();
+  return { date: dateOnly ? iso.slice(0, 10) : iso, weekday: WEEKDAYS[date.getUTCDay()] };
+}
+
+function dateMath({ operation, date, amount, unit, other_date: otherDate }) {
+  if (operation === 'today') {
+    return formatToolDate(new Date(), false);
+  }
+  
+  const start = parseToolDate(date, 'date');
+  if (operation === 'weekday') {
+    return formatToolDate(start.date, start.dateOnly);
+  }
+  
+  if (operation === 'add') {
+    const count = Number(amount);
+    if (!Number.isFinite(count)) {
+      throw new Error('amount must be a number');
+    }
+    const result = new Date(start.date);
+    if (unit === 'months' || unit === 'years') {
+      if (!Number.isInteger(count)) {
+        throw new Error(`${unit} must be a whole number`);
+      }
+      // Jan 31 + 1 month is the last day of February, not early March
+      const day = result.getUTCDate();
+      result.setUTCDate(1);
+      result.setUTCMonth(result.getUTCMonth() + (unit === 'years' ? count * 12 : count));
+      const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+      result.setUTCDate(Math.min(day, lastDay));
+    } else if (Object.hasOwn(DATE_UNIT_MS, unit)) {
+      result.setTime(result.getTime() + count * DATE_UNIT_MS[unit]);
+    } else {
+      throw new Error('unit must be minutes, hours, days, weeks, months or years');
+    }
+    return formatToolDate(result, start.dateOnly && !['minutes', 'hours'].includes(unit));
+  }
+  
+  if (operation === 'difference') {
+    const end = parseToolDate(otherDate, 'other_date');
+    const ms = end.date.getTime() - start.date.getTime();
+    return {
+      from: formatToolDate(start.date, start.dateOnly).date,
+      to: formatToolDate(end.date, end.dateOnly).date,
+      days: roundResult(ms / DATE_UNIT_MS.days),
+      weeks: roundResult(ms / DATE_UNIT_MS.weeks),
+      hours: roundResult(ms / DATE_UNIT_MS.hours)
+    };
+  }
+  
+  throw new Error('operation must be today, add, difference or weekday');
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { parseDueDate, defaultRemindAt, renderAssignmentsCalendar, foldIcsLine } from '../src/assignments.js';
+import { newSession, api } from './helpers.js';
+
+describe('parseDueDate', () => {
+  it.each([
+    ['2025-03-14', '2025-03-14T23:59:00.000Z'],
+    ['2024-02-29', '2024-02-29T23:59:00.000Z'],
+    ['2025-03-14T09:30', '2025-03-14T09:30:00.000Z'],
+    ['2025-03-14T09:30:15Z', '2025-03-14T09:30:15.000Z'],
+    ['2025-03-14 09:30:00+02:00', '2025-03-14T07:30:00.000Z'],
+    ['  2025-12-31  ', '2025-12-31T23:59:00.000Z']
+  ])('reads %s as %s', (text, expected) => {
+    expect(parseDueDate(text)).toBe(expected);
+  });
+
+  it.each(['2025-02-30', '2025-02-29', '2025-04-31', '2025-13-01', '2025-00-10', '2025-01-00', '2025-03-14T24:00', '2025-03-14T10:60', '2025-03-14T10:30:61Z'])(
+    'rejects the impossible %s',
+    (text) => {
+      expect(parseDueDate(text)).toBeNull();
+    }
+  );
+
+  it.each(['next Friday', '14/03/2025', '2025-3-14', '', 20250314, null])('rejects %s', (value) => {
+    expect(parseDueDate(value)).toBeNull();
+  });
+});
+
+describe('defaultRemindAt', () => {
+  const now = Date.parse('2025-03-10T12:00:00Z');
+
+  it('reminds a day ahead, or an hour ahead when that is too soon', () => {
+    expect(defaultRemindAt('2025-03-14T23:59:00Z', now)).toBe('2025-03-13T23:59:00.000Z');
+    expect(defaultRemindAt('2025-03-10T20:00:00Z', now)).toBe('2025-03-10T19:00:00.000Z');
+  });
+
+  it('gives up when the deadline is under an hour away', () => {
+    expect(defaultRemindAt('2025-03-10T12:30:00Z', now)).toBeNull();
+  });
+});
+
+describe('renderAssignmentsCalendar', () => {
+  const now = new Date('2025-03-10T12:00:00Z');
+  const assignment = {
+    id: 'a1',
+    title: 'Essay; draft, v2',
+    course: 'HIST 101',
+    dueAt: '2025-03-14T23:59:00.000Z',
+    remindAt: '2025-03-13T23:59:00.000Z',
+    status: 'in_progress',
+    updatedAt: '2025-03-09T08:00:00.000Z'
+  };
+
+  it('writes an event with an alarm for open work, CRLF-terminated', () => {
+    const ics = renderAssignmentsCalendar([assignment], now);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    const lines = ics.split('\r\n');
+    expect(lines).toContain('UID:a1@cf-ai-student-assistant');
+    expect(lines).toContain('DTSTAMP:20250310T120000Z');
+    expect(lines).toContain('DTSTART:20250314T235900Z');
+    expect(lines).toContain('SUMMARY:Due: Essay\\; draft\\, v2 (HIST 101)');
+    expect(lines).toContain('DESCRIPTION:Status: in progress');
+    expect(lines).toContain('TRIGGER;VALUE=DATE-TIME:20250313T235900Z');
+  });
+
+  it('leaves the alarm off finished work', () => {
+    const ics = renderAssignmentsCalendar([{ ...assignment, status: 'done' }], now);
+    expect(ics).toContain('SUMMARY:✓ Essay');
+    expect(ics).not.toContain('BEGIN:VALARM');
+  });
+});
+
+describe('foldIcsLine', () => {
+  it('keeps lines to 75 bytes without splitting a character', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldIcsLine(line);
+    const parts = folded.split('\r\n');
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(new TextEncoder().encode(part).length).toBeLessThanOrEqual(75);
+    }
+    expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+  });
+
+  it('leaves short lines alone', () => {
+    expect(foldIcsLine('VERSION:2.0')).toBe('VERSION:2.0');
+  });
+});
+
+describe('/api/assignments', () => {
+  it('refuses an impossible due date instead of rolling it over', async () => {
+    const cookie = await newSession();
+    const { status, data } = await api(cookie, '/api/assignments', { method: 'POST', body: { title: 'Lab report', dueAt: '2031-02-30' } });
+    expect(status).toBe(400);
+    expect(data.error).toMatch(/dueAt/);
+    expect((await api(cookie, '/api/assignments')).data.assignments).toEqual([]);
+  });
+
+  it('saves a valid one with its reminder and lists it in the feed', async () => {
+    const cookie = await newSession();
+    const created = await api(cookie, '/api/assignments', { method: 'POST', body: { title: 'Lab report', dueAt: '2031-02-28' } });
+    expect(created.status).toBe(201);
+    expect(created.data.assignment).toMatchObject({ dueAt: '2031-02-28T23:59:00.000Z', remindAt: '2031-02-27T23:59:00.000Z', status: 'todo' });
+
+    const ics = await api(cookie, '/api/assignments.ics');
+    expect(ics.headers.get('Content-Type')).toMatch(/text\/calendar/);
+    expect(ics.data).toContain('SUMMARY:Due: Lab report');
+  });
+});
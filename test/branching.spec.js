@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { newSession, api } from './helpers.js';
+
+function chat(cookie, body) {
+  return api(cookie, '/api/chat', { method: 'POST', body });
+}
+
+async function openBranch(cookie, conversationId) {
+  const { data } = await api(cookie, `/api/history?conversation=${conversationId}`);
+  return data.messages;
+}
+
+describe('branching conversations', () => {
+  it('edits an earlier message onto a new branch and switches back', async () => {
+    const cookie = await newSession();
+    const first = await chat(cookie, { message: 'What is a cell?' });
+    const conversationId = first.data.conversation.id;
+    await chat(cookie, { conversationId, message: 'And a tissue?' });
+    const [, , secondQuestion] = await openBranch(cookie, conversationId);
+
+    const edited = await chat(cookie, { action: 'edit', conversationId, messageId: secondQuestion.id, message: 'And an organ?' });
+    expect(edited.status).toBe(200);
+    expect(edited.data.response).toBe('Echo: And an organ?');
+
+    const branch = await openBranch(cookie, conversationId);
+    expect(branch.map(message => message.content)).toEqual(['What is a cell?', 'Echo: What is a cell?', 'And an organ?', 'Echo: And an organ?']);
+    expect(branch[2].siblingIds).toEqual([secondQuestion.id, edited.data.userMessageId]);
+    expect(branch[0].siblingIds).toBeUndefined();
+
+    const switched = await chat(cookie, { action: 'switch', conversationId, messageId: secondQuestion.id });
+    expect(switched.data.success).toBe(true);
+    expect((await openBranch(cookie, conversationId)).map(message => message.content).slice(2)).toEqual(['And a tissue?', 'Echo: And a tissue?']);
+  });
+
+  it('regenerates a reply as a sibling of the original', async () => {
+    const cookie = await newSession();
+    const first = await chat(cookie, { message: 'Define entropy' });
+    const conversationId = first.data.conversation.id;
+
+    const regenerated = await chat(cookie, { action: 'regenerate', conversationId, messageId: first.data.messageId });
+    expect(regenerated.status).toBe(200);
+    expect(regenerated.data.userMessageId).toBe(first.data.userMessageId);
+
+    const branch = await openBranch(cookie, conversationId);
+    expect(branch.map(message => message.id)).toEqual([first.data.userMessageId, regenerated.data.messageId]);
+    expect(branch[1].siblingIds).toEqual([first.data.messageId, regenerated.data.messageId]);
+  });
+
+  it('pages through the open branch from the cursor and marks forks on each page', async () => {
+    const cookie = await newSession();
+    const first = await chat(cookie, { message: 'One' });
+    const conversationId = first.data.conversation.id;
+    for (const message of ['Two', 'Three']) {
+      await chat(cookie, { conversationId, message });
+    }
+    const [firstQuestion, , , , thirdQuestion] = await openBranch(cookie, conversationId);
+    await chat(cookie, { action: 'edit', conversationId, messageId: thirdQuestion.id, message: 'Four' });
+    const editedFirst = await chat(cookie, { action: 'edit', conversationId, messageId: firstQuestion.id, message: 'Uno' });
+    await chat(cookie, { action: 'switch', conversationId, messageId: firstQuestion.id });
+
+    const pages = [];
+    let cursor = '';
+    do {
+      const { data } = await api(cookie, `/api/history?conversation=${conversationId}&limit=2${cursor}`);
+      pages.unshift(data.messages);
+      cursor = data.nextCursor === null ? null : `&before=${data.nextCursor}`;
+    } while (cursor !== null);
+    const branch = pages.flat();
+    expect(branch.map(message => message.content)).toEqual(['One', 'Echo: One', 'Two', 'Echo: Two', 'Four', 'Echo: Four']);
+    expect(branch[0].siblingIds).toEqual([firstQuestion.id, editedFirst.data.userMessageId]);
+    expect(branch[4].siblingIds).toEqual([thirdQuestion.id, branch[4].id]);
+    expect(branch.filter(message => message.siblingIds).length).toBe(2);
+
+    const { data: newer } = await api(cookie, `/api/history?conversation=${conversationId}&after=${branch[1].id}&limit=3`);
+    expect(newer.messages.map(message => message.content)).toEqual(['Two', 'Echo: Two', 'Four']);
+    expect(newer.nextCursor).toBe(branch[4].id);
+  });
+
+  it('refuses to edit a reply or to branch from a missing message', async () => {
+    const cookie = await newSession();
+    const first = await chat(cookie, { message: 'Hello' });
+    const conversationId = first.data.conversation.id;
+
+    const editReply = await chat(cookie, { action: 'edit', conversationId, messageId: first.data.messageId, message: 'Hi' });
+    expect(editReply.status).toBe(400);
+    const missing = await chat(cookie, { action: 'regenerate', conversationId, messageId: 9999 });
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,30 @@
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { chatPagePolicy } from '../src/content-security.js';
+
+async function sha256Base64(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+describe('chat page Content-Security-Policy', () => {
+  it('pins the page\'s one inline script by its hash', async () => {
+    const response = await SELF.fetch('https://assistant.example/');
+    const html = await response.text();
+    const scripts = [...html.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/g)];
+    expect(scripts).toHaveLength(1);
+    expect(scripts[0][0]).toMatch(/^<script>/);
+
+    const policy = response.headers.get('Content-Security-Policy');
+    expect(policy).toContain(`script-src 'sha256-${await sha256Base64(scripts[0][1])}'`);
+    expect(policy).not.toContain('unsafe-eval');
+    expect(policy).toContain("connect-src 'self' wss://assistant.example");
+  });
+
+  it('uses ws: for the socket on plain http', () => {
+    const policy = chatPagePolicy('abc=', new URL('http://localhost:8787/'));
+    expect(policy).toContain("script-src 'sha256-abc='");
+    expect(policy).toContain("connect-src 'self' ws://localhost:8787");
+    expect(policy).toContain("object-src 'none'");
+  });
+});
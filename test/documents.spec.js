@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { newSession, api } from './helpers.js';
+
+describe('/api/documents', () => {
+  it('takes the type of a JSON upload from its file name', async () => {
+    const cookie = await newSession();
+    const markdown = await api(cookie, '/api/documents', { method: 'POST', body: { name: 'Week 3 notes.md', content: '# Mitosis\n\nProphase, metaphase, anaphase, telophase.' } });
+    expect(markdown.status).toBe(201);
+    expect(markdown.data.document).toMatchObject({ name: 'Week 3 notes.md', type: 'markdown' });
+
+    const text = await api(cookie, '/api/documents', { method: 'POST', body: { name: 'glossary', content: 'Osmosis: water moving across a membrane.' } });
+    expect(text.data.document.type).toBe('text');
+
+    const explicit = await api(cookie, '/api/documents', { method: 'POST', body: { name: 'slides.md', type: 'text', content: 'Plain after all.' } });
+    expect(explicit.data.document.type).toBe('text');
+  });
+
+  it('reads a multipart file the same way', async () => {
+    const cookie = await newSession();
+    const form = new FormData();
+    form.append('file', new File(['# Cells\n\nThe basic unit of life.'], 'cells.MD'));
+    const { status, data } = await api(cookie, '/api/documents', { method: 'POST', body: form });
+    expect(status).toBe(201);
+    expect(data.document.type).toBe('markdown');
+    expect((await api(cookie, '/api/documents')).data.documents.map(document => document.name)).toEqual(['cells.MD']);
+  });
+
+  it('turns an oversized JSON upload away', async () => {
+    const cookie = await newSession();
+    const content = 'a'.repeat(5 * 1024 * 1024);
+    const { status, data } = await api(cookie, '/api/documents', { method: 'POST', body: { name: 'huge.txt', content } });
+    expect(status).toBe(413);
+    expect(data.error).toMatch(/too large/);
+    expect((await api(cookie, '/api/documents')).data.documents).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { newSession, api } from './helpers.js';
+
+function chat(cookie, body) {
+  return api(cookie, '/api/chat', { method: 'POST', body });
+}
+
+async function openBranch(cookie, conversationId) {
+  const { data } = await api(cookie, `/api/history?conversation=${conversationId}`);
+  return data.messages;
+}
+
+describe('conversation export and import', () => {
+  it('round-trips every branch through a JSON export', async () => {
+    const cookie = await newSession();
+    const first = await chat(cookie, { message: 'What is a cell?' });
+    const conversationId = first.data.conversation.id;
+    await chat(cookie, { conversationId, message: 'And a tissue?' });
+    const [, , secondQuestion] = await openBranch(cookie, conversationId);
+    await chat(cookie, { action: 'edit', conversationId, messageId: secondQuestion.id, message: 'And an organ?' });
+    await chat(cookie, { action: 'switch', conversationId, messageId: secondQuestion.id });
+
+    const { data: file } = await api(cookie, `/api/export?conversation=${conversationId}&format=json`);
+    expect(file.version).toBe(2);
+    expect(file.messages.map(message => message.content)).toEqual([
+      'What is a cell?', 'Echo: What is a cell?', 'And a tissue?', 'Echo: And a tissue?', 'And an organ?', 'Echo: And an organ?'
+    ]);
+    expect(file.messages[4].parentId).toBe(file.messages[1].id);
+    expect(file.conversation.activeLeaf).toBe(file.messages[3].id);
+
+    const { data: markdown } = await api(cookie, `/api/export?conversation=${conversationId}&format=md`);
+    expect(markdown).toContain('And a tissue?');
+    expect(markdown).not.toContain('And an organ?');
+
+    const imported = await api(cookie, '/api/import', { method: 'POST', body: file });
+    expect(imported.status).toBe(201);
+    expect(imported.data.imported).toBe(6);
+    const branch = await openBranch(cookie, imported.data.conversation.id);
+    expect(branch.map(message => message.content).slice(2)).toEqual(['And a tissue?', 'Echo: And a tissue?']);
+    expect(branch[2].siblingIds).toHaveLength(2);
+    expect(branch.every(message => !file.messages.some(original => original.id === message.id))).toBe(true);
+  });
+
+  it('drops metadata the file has no business setting', async () => {
+    const cookie = await newSession();
+    const file = {
+      format: 'cf-ai-student-assistant/conversation',
+      version: 2,
+      conversation: { title: 'Forged' },
+      messages: [
+        { id: 7, parentId: null, role: 'user', content: 'Hi', timestamp: '2025-01-01T00:00:00Z', metadata: { moderation: { action: 'warn' } } },
+        {
+          id: 9, parentId: 7, role: 'assistant', content: 'Hello', timestamp: '2025-01-01T00:00:01Z',
+          metadata: { model: '@cf/meta/llama', moderation: { action: 'allow' }, reminder: { assignmentId: 'x' }, parentId: 1 }
+        }
+      ]
+    };
+
+    const imported = await api(cookie, '/api/import', { method: 'POST', body: file });
+    expect(imported.status).toBe(201);
+    const [question, reply] = await openBranch(cookie, imported.data.conversation.id);
+    expect(question.metadata).toBeNull();
+    expect(reply.metadata).toEqual({ model: '@cf/meta/llama' });
+    expect(reply.parentId).toBe(question.id);
+  });
+
+  it('reads version 1 exports as one branch and rejects broken parent links', async () => {
+    const cookie = await newSession();
+    const messages = [
+      { role: 'user', content: 'Hi', timestamp: '2025-01-01T00:00:00Z' },
+      { role: 'assistant', content: 'Hello', timestamp: '2025-01-01T00:00:01Z' }
+    ];
+    const legacy = await api(cookie, '/api/import', {
+      method: 'POST', body: { format: 'cf-ai-student-assistant/conversation', version: 1, conversation: {}, messages }
+    });
+    expect(legacy.status).toBe(201);
+    expect((await openBranch(cookie, legacy.data.conversation.id)).map(message => message.content)).toEqual(['Hi', 'Hello']);
+
+    const orphan = await api(cookie, '/api/import', {
+      method: 'POST',
+      body: {
+        format: 'cf-ai-student-assistant/conversation',
+        version: 2,
+        conversation: {},
+        messages: [{ ...messages[0], id: 1, parentId: 5 }]
+      }
+    });
+    expect(orphan.status).toBe(400);
+    expect(orphan.data.error).toContain('messages[0].parentId');
+  });
+
+  it('turns an oversized import away', async () => {
+    const cookie = await newSession();
+    const { status, data } = await api(cookie, '/api/import', { method: 'POST', body: 'x'.repeat(2 * 1024 * 1024 + 1) });
+    expect(status).toBe(413);
+    expect(data.code).toBe('payload_too_large');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { scheduleReview } from '../src/spaced-repetition.js';
+import { newSession, api, setChatMemoryVars } from './helpers.js';
+
+const NOW = new Date('2025-03-14T12:00:00.000Z');
+const NEW_CARD = { ease: 2.5, intervalDays: 0, repetitions: 0 };
+
+describe('scheduleReview', () => {
+  it('goes 1 day, 6 days, then grows by the ease factor', () => {
+    const first = scheduleReview(NEW_CARD, 5, NOW);
+    expect(first).toEqual({ ease: 2.6, intervalDays: 1, repetitions: 1, dueAt: '2025-03-15T12:00:00.000Z', lastReviewedAt: NOW.toISOString() });
+    const second = scheduleReview(first, 4, NOW);
+    expect(second).toMatchObject({ ease: 2.6, intervalDays: 6, repetitions: 2, dueAt: '2025-03-20T12:00:00.000Z' });
+    const third = scheduleReview(second, 3, NOW);
+    expect(third).toMatchObject({ ease: 2.46, intervalDays: 16, repetitions: 3 });
+  });
+
+  it('restarts a failed card at one day and keeps its ease', () => {
+    const card = { ease: 2.2, intervalDays: 40, repetitions: 5 };
+    expect(scheduleReview(card, 2, NOW)).toMatchObject({ ease: 2.2, intervalDays: 1, repetitions: 0, dueAt: '2025-03-15T12:00:00.000Z' });
+  });
+
+  it('never lets the ease drop below 1.3', () => {
+    expect(scheduleReview({ ease: 1.35, intervalDays: 6, repetitions: 2 }, 3, NOW)).toMatchObject({ ease: 1.3, intervalDays: 8 });
+  });
+});
+
+describe('/api/decks', () => {
+  it('makes a deck with the stub model and schedules a review', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, {
+      AI_STUB_MODE: 'scripted',
+      AI_STUB_SCRIPT: JSON.stringify([{
+        match: 'flashcards',
+        reply: { title: 'Cells', cards: [{ question: 'Powerhouse of the cell?', answer: 'Mitochondria' }, { question: 'Holds the DNA?', answer: 'Nucleus' }] }
+      }])
+    });
+    const created = await api(cookie, '/api/decks', { method: 'POST', body: { topic: 'cell biology', count: 2 } });
+    expect(created.status).toBe(201);
+    const deckId = created.data.deck.id;
+
+    const due = await api(cookie, `/api/decks/${deckId}/due`);
+    expect(due.data.cards.map(card => card.answer)).toEqual(['Mitochondria', 'Nucleus']);
+
+    const [card] = due.data.cards;
+    const reviewed = await api(cookie, `/api/decks/${deckId}/cards/${card.id}/review`, { method: 'POST', body: { grade: 5 } });
+    expect(reviewed.data.card).toMatchObject({ ease: 2.6, intervalDays: 1, repetitions: 1 });
+    expect((await api(cookie, `/api/decks/${deckId}/due`)).data.cards.map(card => card.answer)).toEqual(['Nucleus']);
+
+    const invalid = await api(cookie, `/api/decks/${deckId}/cards/${card.id}/review`, { method: 'POST', body: { grade: 6 } });
+    expect(invalid.status).toBe(400);
+  });
+});
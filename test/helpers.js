@@ -0,0 +1,49 @@
+import { env, SELF, runInDurableObject } from 'cloudflare:test';
+
+const clientIps = new Map(); // cookie -> CF-Connecting-IP
+
+// A fresh signed session, the way the chat page hands one out. Each gets its own
+// client IP too, so the per-IP rate limit (and its RateLimiter) isn't shared
+export async function newSession() {
+  const response = await SELF.fetch('https://example.com/');
+  await response.text();
+  const cookie = response.headers.get('Set-Cookie').split(';')[0];
+  clientIps.set(cookie, `10.${crypto.getRandomValues(new Uint8Array(3)).join('.')}`);
+  return cookie;
+}
+
+// Calls the Worker as the browser would, JSON in and out
+export async function api(cookie, path, { method = 'GET', body, headers = {} } = {}) {
+  const json = body !== undefined && !(body instanceof ArrayBuffer || ArrayBuffer.isView(body) || typeof body === 'string' || body instanceof FormData);
+  const response = await SELF.fetch(`https://example.com${path}`, {
+    method,
+    headers: { Cookie: cookie, 'CF-Connecting-IP': clientIps.get(cookie) || '10.255.0.1', ...(json ? { 'Content-Type': 'application/json' } : {}), ...headers },
+    body: json ? JSON.stringify(body) : body
+  });
+  const text = await response.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // not JSON - left as text
+  }
+  return { status: response.status, headers: response.headers, data };
+}
+
+export function chatMemoryFor(cookie) {
+  const sessionId = decodeURIComponent(cookie.split('=')[1]).split('.')[0];
+  return env.CHAT_MEMORY.get(env.CHAT_MEMORY.idFromName(sessionId));
+}
+
+// Swaps vars on the session's ChatMemory - e.g. a scripted stub model for one test
+export function setChatMemoryVars(cookie, vars) {
+  return runInDurableObject(chatMemoryFor(cookie), instance => {
+    instance.env = { ...instance.env, ...vars };
+  });
+}
+
+// POST /api/chat?stream=1 - every SSE event, in order
+export async function streamChat(cookie, message) {
+  const { data } = await api(cookie, '/api/chat?stream=1', { method: 'POST', body: { message } });
+  return data.split('\n\n').filter(Boolean).map(event => JSON.parse(event.replace(/^data: /, '')));
+}
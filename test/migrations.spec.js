@@ -0,0 +1,35 @@
+import { runInDurableObject } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { newSession, api, chatMemoryFor } from './helpers.js';
+
+describe('schema migrations', () => {
+  it('leaves a failed step unapplied and resumes from it, importing key-value messages', async () => {
+    const cookie = await newSession();
+    await runInDurableObject(chatMemoryFor(cookie), async instance => {
+      // Back to before the last step, with pre-SQL data waiting and the step set to fail
+      const { storage } = instance.state;
+      const lastStep = storage.kv.get('schemaVersion');
+      instance.sql.exec('DROP TABLE assignments; CREATE VIEW assignments AS SELECT 1 AS due_at');
+      storage.kv.put('schemaVersion', lastStep - 1);
+      storage.kv.put('messages', [
+        { role: 'user', content: 'Old question', timestamp: '2024-01-01T00:00:00.000Z' },
+        { role: 'assistant', content: 'Old answer', timestamp: '2024-01-01T00:00:01.000Z' }
+      ]);
+
+      await expect(instance.migrateStorage()).rejects.toThrow();
+      expect(storage.kv.get('schemaVersion')).toBe(lastStep - 1);
+      expect(storage.kv.get('messages')).toHaveLength(2);
+      expect(instance.sql.exec('SELECT COUNT(*) AS count FROM messages').one().count).toBe(0);
+
+      instance.sql.exec('DROP VIEW assignments');
+      await instance.migrateStorage();
+      expect(storage.kv.get('schemaVersion')).toBe(lastStep);
+      expect(storage.kv.get('messages')).toBeUndefined();
+    });
+
+    const { data } = await api(cookie, '/api/conversations');
+    expect(data.conversations).toHaveLength(1);
+    const { data: history } = await api(cookie, `/api/history?conversation=${data.conversations[0].id}`);
+    expect(history.messages.map(message => message.content)).toEqual(['Old question', 'Old answer']);
+  });
+});
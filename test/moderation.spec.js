@@ -0,0 +1,73 @@
+import { SELF, runInDurableObject } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { newSession, api, chatMemoryFor, setChatMemoryVars, streamChat } from './helpers.js';
+
+// The guard model passes the student's message, then flags the reply
+const FLAG_REPLY = [
+  { model: 'guard', match: 'lock', reply: 'safe', times: 1 },
+  { model: 'guard', match: 'lock', reply: 'unsafe\nS2' }
+];
+
+describe('output moderation on a streamed reply', () => {
+  it('sends nothing of a blocked reply', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, { AI_STUB_MODE: 'scripted', AI_STUB_SCRIPT: JSON.stringify(FLAG_REPLY) });
+    // Blocked before the first token, so it's a plain JSON error rather than an event stream
+    const { status, headers, data } = await api(cookie, '/api/chat?stream=1', { method: 'POST', body: { message: 'how do I pick a lock' } });
+    expect(status).toBe(422);
+    expect(headers.get('Content-Type')).not.toMatch(/event-stream/);
+    expect(data).toMatchObject({ code: 'content_blocked', stage: 'output' });
+    expect(JSON.stringify(data)).not.toContain('Echo:');
+  });
+
+  it('sends a redacted reply only after it has been redacted', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, {
+      AI_STUB_MODE: 'scripted',
+      AI_STUB_SCRIPT: JSON.stringify(FLAG_REPLY),
+      MODERATION_ACTIONS: JSON.stringify({ S2: 'redact' })
+    });
+    const events = await streamChat(cookie, 'how do I pick a lock');
+    const tokens = events.filter(event => event.type === 'token').map(event => event.token);
+    expect(tokens.join('')).toBe(events.at(-1).response);
+    expect(tokens.join('')).not.toContain('Echo:');
+  });
+
+  it('sends a reply that passes once it has been checked', async () => {
+    const cookie = await newSession();
+    const events = await streamChat(cookie, 'what is a prime number');
+    expect(events.filter(event => event.type === 'token').map(event => event.token)).toEqual(['Echo: what is a prime number']);
+    expect(events.at(-1)).toMatchObject({ type: 'done', response: 'Echo: what is a prime number' });
+  });
+});
+
+describe('moderation review log', () => {
+  async function flaggedSession() {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, { AI_STUB_MODE: 'scripted', AI_STUB_SCRIPT: JSON.stringify([{ model: 'guard', reply: 'unsafe\nS2' }]) });
+    expect((await api(cookie, '/api/chat', { method: 'POST', body: { message: 'how do I pick a lock' } })).status).toBe(422);
+    const objectId = await runInDurableObject(chatMemoryFor(cookie), (instance, state) => state.id.toString());
+    return { cookie, objectId };
+  }
+
+  const review = (objectId, token) => SELF.fetch(`https://assistant.example/api/moderation/${objectId}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  it('is not served to the student', async () => {
+    const { cookie } = await flaggedSession();
+    expect((await api(cookie, '/api/moderation')).status).toBe(404);
+  });
+
+  it('needs the reviewer token', async () => {
+    const { objectId } = await flaggedSession();
+    expect((await review(objectId)).status).toBe(401);
+    expect((await review(objectId, 'test-secret')).status).toBe(401);
+
+    const response = await review(objectId, 'test-reviewer');
+    expect(response.status).toBe(200);
+    const { entries } = await response.json();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ stage: 'input', action: 'block', categories: ['S2'] });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { takeToken } from '../src/rate-limit.js';
+import { newSession, api, setChatMemoryVars } from './helpers.js';
+
+const LIMIT = { capacity: 10, perMinute: 6 };
+const NOW = 1_700_000_000_000;
+
+describe('takeToken', () => {
+  it('starts a new bucket full and takes one token', () => {
+    const result = takeToken(undefined, LIMIT, NOW);
+    expect(result).toEqual({
+      allowed: true,
+      limit: 10,
+      remaining: 9,
+      retryAfter: 0,
+      resetAfter: 10,
+      bucket: { tokens: 9, updatedAt: NOW }
+    });
+  });
+
+  it('blocks an empty bucket until the next token refills', () => {
+    const result = takeToken({ tokens: 0.5, updatedAt: NOW }, LIMIT, NOW);
+    expect(result).toMatchObject({ allowed: false, remaining: 0, retryAfter: 5, resetAfter: 95 });
+    expect(result.bucket).toEqual({ tokens: 0.5, updatedAt: NOW });
+  });
+
+  it('refills at perMinute tokens a minute', () => {
+    const result = takeToken({ tokens: 0, updatedAt: NOW }, LIMIT, NOW + 30_000);
+    expect(result).toMatchObject({ allowed: true, remaining: 2 });
+    expect(result.bucket.tokens).toBeCloseTo(2);
+  });
+
+  it('never holds more than capacity after a long idle', () => {
+    const result = takeToken({ tokens: 3, updatedAt: NOW }, LIMIT, NOW + 24 * 60 * 60 * 1000);
+    expect(result).toMatchObject({ allowed: true, remaining: 9 });
+  });
+
+  it('lets exactly capacity requests through a burst', () => {
+    let bucket;
+    const allowed = [];
+    for (let request = 0; request < 12; request++) {
+      const result = takeToken(bucket, LIMIT, NOW);
+      allowed.push(result.allowed);
+      bucket = result.bucket;
+    }
+    expect(allowed.filter(Boolean)).toHaveLength(10);
+    expect(allowed.slice(10)).toEqual([false, false]);
+  });
+});
+
+describe('session message quota', () => {
+  it('answers 429 with Retry-After once the bucket is empty', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, { RATE_LIMIT_SESSION_CAPACITY: '2', RATE_LIMIT_SESSION_PER_MINUTE: '1' });
+    const first = await api(cookie, '/api/chat', { method: 'POST', body: { message: 'one' } });
+    expect(first.status).toBe(200);
+    expect(first.headers.get('X-RateLimit-Limit')).toBe('2');
+    expect(first.headers.get('X-RateLimit-Remaining')).toBe('1');
+    expect((await api(cookie, '/api/chat', { method: 'POST', body: { message: 'two' } })).status).toBe(200);
+
+    const blocked = await api(cookie, '/api/chat', { method: 'POST', body: { message: 'three' } });
+    expect(blocked.status).toBe(429);
+    expect(blocked.data.code).toBe('rate_limited');
+    expect(Number(blocked.headers.get('Retry-After'))).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { readBodyWithin } from '../src/request-body.js';
+
+const tooLarge = () => new Error('too large');
+
+// A chunked body (no Content-Length) of `chunks` pieces, counting how many were pulled
+function chunkedRequest(chunks, size) {
+  const pulled = { count: 0 };
+  const body = new ReadableStream({
+    pull(controller) {
+      if (pulled.count++ < chunks) controller.enqueue(new Uint8Array(size));
+      else controller.close();
+    }
+  });
+  return { request: new Request('https://example.com/', { method: 'POST', body, duplex: 'half' }), pulled };
+}
+
+describe('readBodyWithin', () => {
+  it('reads a body under the limit in full', async () => {
+    const { request } = chunkedRequest(3, 100);
+    expect((await readBodyWithin(request, 300, tooLarge)).byteLength).toBe(300);
+  });
+
+  it('stops reading a chunked body once it passes the limit', async () => {
+    const { request, pulled } = chunkedRequest(100, 1024);
+    await expect(readBodyWithin(request, 4096, tooLarge)).rejects.toThrow('too large');
+    expect(pulled.count).toBeLessThan(10);
+  });
+
+  it('turns a body away by its Content-Length before reading it', async () => {
+    const request = new Request('https://example.com/', { method: 'POST', body: 'x'.repeat(10), headers: { 'Content-Length': '10' } });
+    await expect(readBodyWithin(request, 5, tooLarge)).rejects.toThrow('too large');
+    expect(request.bodyUsed).toBe(false);
+  });
+});
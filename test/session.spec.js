@@ -0,0 +1,98 @@
+import { SELF, runInDurableObject, runDurableObjectAlarm } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { newSession, api, chatMemoryFor } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('sessions', () => {
+  it('refuses API calls without a validly signed cookie', async () => {
+    expect((await api('', '/api/conversations')).status).toBe(401);
+    const cookie = await newSession();
+    expect((await api(`${cookie.slice(0, -2)}xx`, '/api/conversations')).status).toBe(401);
+  });
+});
+
+describe('DELETE /api/session', () => {
+  it('erases the data, clears the cookie and returns a verified receipt', async () => {
+    const cookie = await newSession();
+    await api(cookie, '/api/chat', { method: 'POST', body: { message: 'hello' } });
+    await api(cookie, '/api/assignments', { method: 'POST', body: { title: 'Essay', dueAt: '2031-01-01' } });
+
+    const { status, headers, data } = await api(cookie, '/api/session', { method: 'DELETE' });
+    expect(status).toBe(200);
+    expect(headers.get('Set-Cookie')).toMatch(/^cf_ai_session=; .*Max-Age=0/);
+    expect(data.receipt).toMatchObject({ reason: 'request', verified: true, remaining: { rows: 0, storageKeys: 0 } });
+    expect(data.receipt.deleted.rows.messages).toBe(2);
+    expect(data.receipt.deleted.rows.assignments).toBe(1);
+  });
+
+  it('keeps refusing the old cookie afterwards, without storing anything new', async () => {
+    const cookie = await newSession();
+    await api(cookie, '/api/chat', { method: 'POST', body: { message: 'hello' } });
+    await api(cookie, '/api/session', { method: 'DELETE' });
+
+    const replay = await api(cookie, '/api/session');
+    expect(replay.status).toBe(401);
+    expect(replay.headers.get('Set-Cookie')).toMatch(/Max-Age=0/);
+    expect((await api(cookie, '/api/chat', { method: 'POST', body: { message: 'again' } })).status).toBe(401);
+
+    await runInDurableObject(chatMemoryFor(cookie), async (instance, state) => {
+      expect([...(await state.storage.list()).keys()]).toEqual(['erasedAt']);
+      expect(await state.storage.getAlarm()).toBeNull();
+    });
+  });
+
+  it('closes a socket whose frame arrives after the erasure, without storing anything', async () => {
+    const cookie = await newSession();
+    const conversation = (await api(cookie, '/api/conversations', { method: 'POST', body: {} })).data.conversation;
+    await api(cookie, '/api/session', { method: 'DELETE' });
+
+    const socket = { send: vi.fn(), close: vi.fn() };
+    await runInDurableObject(chatMemoryFor(cookie), async (instance, state) => {
+      await instance.webSocketMessage(socket, JSON.stringify({ id: 1, type: 'send', conversationId: conversation.id, message: 'still there?' }));
+      expect([...(await state.storage.list()).keys()]).toEqual(['erasedAt']);
+    });
+    expect(socket.close).toHaveBeenCalledWith(1000, 'Session data deleted');
+    expect(socket.send).not.toHaveBeenCalled();
+  });
+
+  it('turns off the calendar feed link', async () => {
+    const cookie = await newSession();
+    const { data } = await api(cookie, '/api/assignments/feed');
+    const feed = new URL(data.url).pathname;
+    expect((await SELF.fetch(`https://example.com${feed}`)).status).toBe(200);
+
+    await api(cookie, '/api/session', { method: 'DELETE' });
+    expect((await SELF.fetch(`https://example.com${feed}`)).status).toBe(404);
+  });
+});
+
+describe('retention', () => {
+  it('erases a session idle for longer than RETENTION_DAYS when the alarm fires', async () => {
+    const cookie = await newSession();
+    await api(cookie, '/api/chat', { method: 'POST', body: { message: 'hello' } });
+    const chatMemory = chatMemoryFor(cookie);
+    await runInDurableObject(chatMemory, async (instance, state) => {
+      instance.lastActiveAt = Date.now() - 91 * DAY_MS;
+      await state.storage.put('lastActiveAt', instance.lastActiveAt);
+    });
+
+    const log = vi.spyOn(console, 'log');
+    try {
+      expect(await runDurableObjectAlarm(chatMemory)).toBe(true);
+      const line = log.mock.calls.map(args => args.join(' ')).find(text => text.startsWith('Erased an inactive session'));
+      expect(line).toMatch(/\d+ rows, \d+ storage keys, verified=true$/);
+      expect(line).not.toContain(cookie.split('.')[0]);
+    } finally {
+      log.mockRestore();
+    }
+    expect((await api(cookie, '/api/conversations')).status).toBe(401);
+  });
+
+  it('leaves an active session alone', async () => {
+    const cookie = await newSession();
+    await api(cookie, '/api/chat', { method: 'POST', body: { message: 'hello' } });
+    expect(await runDurableObjectAlarm(chatMemoryFor(cookie))).toBe(true);
+    expect((await api(cookie, '/api/conversations')).data.conversations).toHaveLength(1);
+  });
+});
@@ -0,0 +1,111 @@
+import { env, runInDurableObject } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { createStubModelProvider, getModelProvider } from '../src/providers.js';
+import { toChatError } from '../src/errors.js';
+import { newSession, api, setChatMemoryVars } from './helpers.js';
+
+const chat = (content) => ({ messages: [{ role: 'system', content: 'sys' }, { role: 'user', content }] });
+
+describe('createStubModelProvider', () => {
+  it('echoes the last user message by default', async () => {
+    const provider = createStubModelProvider({});
+    expect(await provider.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', chat('hi there'))).toEqual({ response: 'Echo: hi there' });
+  });
+
+  it('answers safety classifiers with "safe"', async () => {
+    const provider = createStubModelProvider({});
+    expect(await provider.run('@cf/meta/llama-guard-3-8b', chat('anything'))).toEqual({ response: 'safe' });
+  });
+
+  it('follows scripted rules and retires them after `times` uses', async () => {
+    const provider = createStubModelProvider({
+      AI_STUB_MODE: 'scripted',
+      AI_STUB_SCRIPT: JSON.stringify([{ match: 'quiz', reply: 'Quiz time', times: 1 }])
+    });
+    expect((await provider.run('m', chat('start a quiz'))).response).toBe('Quiz time');
+    expect((await provider.run('m', chat('start a quiz'))).response).toBe('Echo: start a quiz');
+  });
+
+  it('throws Workers AI style errors that classify like the real ones', async () => {
+    const provider = createStubModelProvider({ AI_STUB_ERROR: 'timeout' });
+    const error = await provider.run('m', chat('hi')).catch(error => error);
+    expect(toChatError(error).code).toBe('model_timeout');
+  });
+
+  it('rejects a malformed script', () => {
+    expect(() => createStubModelProvider({ AI_STUB_MODE: 'scripted', AI_STUB_SCRIPT: '[' })).toThrow(/AI_STUB_SCRIPT/);
+  });
+
+  it('is only used when AI_PROVIDER asks for it', () => {
+    expect(getModelProvider({ AI_PROVIDER: 'stub' }).name).toBe('stub');
+    expect(() => getModelProvider({})).toThrow(/No AI binding/);
+  });
+});
+
+describe('ChatMemory with the stub model', () => {
+  it('answers a chat message end to end', async () => {
+    const cookie = await newSession();
+    const { status, data } = await api(cookie, '/api/chat', { method: 'POST', body: { message: 'What is osmosis?' } });
+    expect(status).toBe(200);
+    expect(data.response).toBe('Echo: What is osmosis?');
+
+    const history = await api(cookie, `/api/history?conversation=${data.conversation.id}`);
+    expect(history.data.messages.map(message => message.content)).toEqual(['What is osmosis?', 'Echo: What is osmosis?']);
+  });
+
+  it('falls back to the second model when the first keeps failing', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, {
+      AI_STUB_MODE: 'scripted',
+      AI_STUB_SCRIPT: JSON.stringify([{ model: '70b', error: 'capacity' }])
+    });
+    const { status, data } = await api(cookie, '/api/chat', { method: 'POST', body: { message: 'hello' } });
+    expect(status).toBe(200);
+    expect(data.model).toBe('@cf/meta/llama-3.1-8b-instruct-fast');
+  });
+
+  it('retries a failed title call like any other model call', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, {
+      AI_STUB_MODE: 'scripted',
+      AI_STUB_SCRIPT: JSON.stringify([
+        { match: '^Student:', error: 'capacity', times: 1 },
+        { match: '^Student:', reply: 'Osmosis basics' }
+      ])
+    });
+    const { status } = await api(cookie, '/api/chat', { method: 'POST', body: { message: 'What is osmosis?' } });
+    expect(status).toBe(200);
+    const { data } = await api(cookie, '/api/conversations');
+    expect(data.conversations[0].title).toBe('Osmosis basics');
+  });
+
+  it('turns an exhausted quota into a 429', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, { AI_STUB_ERROR: 'quota' });
+    const { status, data } = await api(cookie, '/api/chat', { method: 'POST', body: { message: 'hello' } });
+    expect(status).toBe(429);
+    expect(data.code).toBe('quota_exhausted');
+  });
+
+  it('fails with not_configured instead of falling back to the stub', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, { AI_PROVIDER: undefined });
+    const { status, data } = await api(cookie, '/api/chat', { method: 'POST', body: { message: 'hello' } });
+    expect(status).toBe(503);
+    expect(data.code).toBe('not_configured');
+  });
+
+  it('reports a missing AI binding in the health probe', async () => {
+    const healthObject = env.CHAT_MEMORY.get(env.CHAT_MEMORY.idFromName('health-check'));
+    const probe = await runInDurableObject(healthObject, async instance => {
+      const configured = instance.env;
+      instance.env = { ...configured, AI_PROVIDER: undefined };
+      try {
+        return await instance.runHealthProbe(false);
+      } finally {
+        instance.env = configured;
+      }
+    });
+    expect(probe.ai).toMatchObject({ status: 'down', error: expect.stringMatching(/No AI binding/) });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateExpression, convertUnits } from '../src/tools.js';
+import { newSession, setChatMemoryVars, streamChat } from './helpers.js';
+
+// Moderation holds replies back until they're checked, so it's off here
+describe('streamed replies with tools enabled', () => {
+  it('streams a reply that used no tools token by token', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, { MODERATION_ENABLED: 'false' });
+    const events = await streamChat(cookie, 'tell me about the water cycle in a few words');
+    const tokens = events.filter(event => event.type === 'token');
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.map(event => event.token).join('')).toBe('Echo: tell me about the water cycle in a few words');
+    expect(events.at(-1)).toMatchObject({ type: 'done', tools: [] });
+  });
+
+  it('runs the tool rounds first, then streams the answer', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, {
+      MODERATION_ENABLED: 'false',
+      AI_STUB_MODE: 'scripted',
+      AI_STUB_SCRIPT: JSON.stringify([
+        { match: 'work out', model: '70b', toolCalls: [{ name: 'calculate', arguments: { expression: '6 * 7' } }], times: 1 }
+      ])
+    });
+    const events = await streamChat(cookie, 'work out 6 times 7');
+    const tokens = events.filter(event => event.type === 'token');
+    const done = events.at(-1);
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.map(event => event.token).join('')).toBe(done.response);
+    expect(done.response).toContain('"result":42');
+    expect(done.tools).toEqual([{ round: 1, name: 'calculate', arguments: { expression: '6 * 7' }, result: { expression: '6 * 7', result: 42 } }]);
+  });
+});
+
+describe('evaluateExpression', () => {
+  it.each([
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['2 ^ 3 ^ 2', 512],
+    ['-2 ^ 2', -4],
+    ['10 % 4', 2],
+    ['5!', 120],
+    ['0.1 + 0.2', 0.3],
+    ['3.2e5 / 2', 160000],
+    ['.5 * 4', 2],
+    ['2pi', 6.28318530718],
+    ['3(4 + 1)', 15],
+    ['2 sqrt(16)', 8],
+    ['sin(30 deg)', 0.5],
+    ['nCr(5, 2)', 10],
+    ['2 ** 10', 1024],
+    ['6 × 7 ÷ 2', 21]
+  ])('%s = %s', (expression, expected) => {
+    expect(evaluateExpression(expression)).toBe(expected);
+  });
+
+  it.each(['1.2.3', '2 3', '1 000 000', '(1 + 2)3', '1..2'])('rejects two numbers in a row in %s', (expression) => {
+    expect(() => evaluateExpression(expression)).toThrow(/Expected an operator/);
+  });
+
+  it.each([
+    ['1 / 0', /Division by zero/],
+    ['(1 + 2', /Expected "\)"/],
+    ['2 +', /Unexpected end/],
+    ['foo(2)', /Unexpected "foo"/],
+    ['2x', /Unexpected "x"/],
+    ['nCr(5)', /takes 2 arguments/],
+    ['171!', /whole number/],
+    ['sqrt(-1)', /not a finite number/]
+  ])('rejects %s', (expression, error) => {
+    expect(() => evaluateExpression(expression)).toThrow(error);
+  });
+});
+
+describe('convertUnits', () => {
+  it.each([
+    [1, 'km', 'm', 1000],
+    [1, 'mi', 'km', 1.609344],
+    [100, 'C', 'F', 212],
+    [0, 'K', 'celsius', -273.15],
+    [1, 'kN', 'N', 1000],
+    [1, 'kn', 'N', 1000],
+    [10, 'knots', 'km/h', 18.52],
+    [1, 'mJ', 'J', 0.001],
+    [1, 'MJ', 'J', 1e6],
+    [1, 'mW', 'W', 0.001],
+    [1, 'MW', 'kW', 1000],
+    [1, 'mPa', 'Pa', 0.001],
+    [1, 'MPa', 'kPa', 1000],
+    [1, 'kwh', 'kJ', 3600],
+    [1, 'GiB', 'mb', 1073.741824],
+    [2, 'Liters', 'mL', 2000],
+    [1, 'atm', 'Torr', 760]
+  ])('%s %s = %s %s', (value, from, to, expected) => {
+    expect(convertUnits(value, from, to)).toBe(expected);
+  });
+
+  it.each(['mj', 'mw', 'mpa'])('asks which prefix %s means', (unit) => {
+    expect(() => convertUnits(1, unit, 'J')).toThrow(/ambiguous/);
+  });
+
+  it('refuses to mix dimensions', () => {
+    expect(() => convertUnits(1, 'kg', 'm')).toThrow("Can't convert mass (kg) to length (m)");
+  });
+
+  it('rejects unknown units and non-numbers', () => {
+    expect(() => convertUnits(1, 'furlong', 'm')).toThrow('Unknown unit "furlong"');
+    expect(() => convertUnits(NaN, 'm', 'km')).toThrow(/must be a number/);
+  });
+});
@@ -0,0 +1,41 @@
+import { runInDurableObject } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { newSession, api, chatMemoryFor, setChatMemoryVars } from './helpers.js';
+
+// What ws.send does once the client has hung up
+const closedSocket = {
+  send() {
+    throw new TypeError("Can't call WebSocket send() after close()");
+  }
+};
+
+describe('webSocketMessage', () => {
+  it('finishes and saves a reply when the socket closes mid-stream', async () => {
+    const cookie = await newSession();
+    await setChatMemoryVars(cookie, { MODERATION_ENABLED: 'false' });
+    const conversation = (await api(cookie, '/api/conversations', { method: 'POST', body: {} })).data.conversation;
+
+    const errors = vi.spyOn(console, 'error');
+    try {
+      await runInDurableObject(chatMemoryFor(cookie), instance => instance.webSocketMessage(
+        closedSocket,
+        JSON.stringify({ id: 1, type: 'send', conversationId: conversation.id, message: 'explain photosynthesis briefly' })
+      ));
+      expect(errors.mock.calls.map(args => String(args[0]))).not.toContain('Skipping malformed stream line:');
+    } finally {
+      errors.mockRestore();
+    }
+
+    const history = await api(cookie, `/api/history?conversation=${conversation.id}`);
+    expect(history.data.messages.map(message => message.content)).toEqual([
+      'explain photosynthesis briefly',
+      'Echo: explain photosynthesis briefly'
+    ]);
+  });
+
+  it('ignores a closed socket when answering a bad frame', async () => {
+    const cookie = await newSession();
+    await expect(runInDurableObject(chatMemoryFor(cookie), instance => instance.webSocketMessage(closedSocket, 'not json')))
+      .resolves.toBeUndefined();
+  });
+});
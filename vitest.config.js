@@ -0,0 +1,24 @@
+import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+
+// Tests run inside workerd with the offline env from wrangler.jsonc - the stub
+// model provider, no AI binding and nothing that needs a Cloudflare login
+export default defineWorkersConfig({
+  test: {
+    poolOptions: {
+      workers: {
+        wrangler: { configPath: './wrangler.jsonc', environment: 'offline' },
+        // Every test opens its own session (and client IP, see test/helpers.js), so
+        // there's nothing to isolate - and isolated storage can't snapshot
+        // SQLite-backed Durable Objects
+        isolatedStorage: false,
+        singleWorker: true,
+        miniflare: {
+          // workerd's own node:vm and node:console (on by default at our compatibility
+          // date) would replace the ones the pool swaps in to run vitest
+          compatibilityFlags: ['nodejs_compat', 'disable_nodejs_vm_module', 'disable_nodejs_console_module'],
+          bindings: { SESSION_SECRET: 'test-secret', MODERATION_REVIEW_TOKEN: 'test-reviewer' }
+        }
+      }
+    }
+  }
+});